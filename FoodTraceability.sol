@@ -4,7 +4,10 @@ pragma solidity ^0.8.20;
 /**
  * @title FoodTraceability
  * @notice A transparent traceability contract for frozen food supply chains.
- *         Tracks each product lot through IoT logs and QR tokens.
+ *         Tracks each product lot through IoT logs, signed QR labels, stage handoffs and recalls,
+ *         records lineage when lots are split into packs or merged into blends, and keeps
+ *         certification records that independent certifiers attest from their own wallets.
+ *         Writes are restricted by roles that admins grant to wallet addresses.
  *         Supports consumer lookups for farm-to-fork visibility.
  */
 contract FoodTraceability {
@@ -15,7 +18,13 @@ contract FoodTraceability {
     struct IoTRecord {
         int256 temperature;   // recorded temperature (°C)
         string note;          // descriptive note (e.g., "Packed", "In Transit")
-        uint256 timestamp;    // block timestamp
+        uint256 timestamp;    // block timestamp (device capture time for batch imports)
+    }
+
+    struct StageRecord {
+        uint8 stage;          // stage entered (see Product.stage)
+        address handler;      // party that took custody at this stage
+        uint256 timestamp;    // block timestamp of the handoff
     }
 
     struct Product {
@@ -24,14 +33,71 @@ contract FoodTraceability {
         string certifications;    // certification text
         uint8 stage;              // 0=Registered, 1=Vendor, 2=Manufacturer, 3=Logistics, 4=Retail, 5=Sold
         address handler;          // most recent handler
-        string latestQR;          // most recent QR token
+        string latestQR;          // most recent QR token (hex digest of the signed label payload)
         IoTRecord[] logs;         // IoT history
         bool exists;              // existence flag
+        address custodian;        // party currently holding the lot (changes only through handoffs)
+        address pendingHandler;   // receiver of an initiated, not yet accepted handoff
+        StageRecord[] custody;    // chain of custody, one record per stage reached
+        address qrIssuer;         // account that issued latestQR
+        uint256 qrIssuedAt;       // block timestamp of latestQR
+    }
+
+    struct Recall {
+        uint8 severity;       // 0 = none, 1 = Class I (serious health risk), 2 = Class II, 3 = Class III
+        string reason;        // why the lot is unsafe (e.g., "Listeria detected")
+        address issuer;       // handler that issued the recall (the only one who can lift it)
+        uint256 issuedAt;     // block timestamp of the recall
     }
 
+    struct Certification {
+        string certType;      // e.g., "USDA Organic", "FairTrade"
+        string issuingBody;   // certifier organisation (e.g., "CCOF")
+        string certificateId; // certificate number assigned by the issuing body
+        uint256 validFrom;    // unix seconds
+        uint256 validTo;      // unix seconds (expiry)
+        bytes32 documentHash; // keccak256 of the certificate document (0 = none)
+        address addedBy;      // handler that added the record
+        address attestedBy;   // certifier wallet that attested it (0 = not attested)
+        uint256 attestedAt;   // block timestamp of the attestation
+    }
+
+    uint8 private constant FINAL_HANDOFF_STAGE = 4; // Retail
+
+    // role ids; vendor..retailer equal the stage they handle (see Product.stage)
+    uint8 public constant ROLE_ADMIN = 0;        // grants and revokes roles
+    uint8 public constant ROLE_VENDOR = 1;       // registers lots
+    uint8 public constant ROLE_MANUFACTURER = 2;
+    uint8 public constant ROLE_LOGISTICS = 3;
+    uint8 public constant ROLE_RETAILER = 4;
+    uint8 public constant ROLE_CERTIFIER = 5;    // attests certification records
+    uint8 public constant ROLE_CONSUMER = 6;     // informational; lookups are open to everyone
+    uint8 private constant ROLE_COUNT = 7;
+    uint256 private constant HANDLER_ROLES =
+        (uint256(1) << ROLE_VENDOR) | (uint256(1) << ROLE_MANUFACTURER) | (uint256(1) << ROLE_LOGISTICS) | (uint256(1) << ROLE_RETAILER);
+    uint256 public constant MAX_IOT_BATCH = 50;     // readings per captureIoTBatch call
+    uint256 public constant MAX_RECALL_BATCH = 50;  // lots per issueRecall call
+    uint256 public constant MAX_LINEAGE_BATCH = 50; // child lots per splitLot / parent lots per mergeLots
+    uint256 public constant MAX_CERTIFICATIONS = 20; // certification records per lot
+
     // mapping lot number → Product
     mapping(string => Product) private products;
 
+    // account → bitmask of its roles (bit n = role id n), plus the members of each role for listing
+    mapping(address => uint256) private roleMask;
+    mapping(uint8 => address[]) private roleMembers;
+    mapping(uint8 => mapping(address => uint256)) private roleMemberIndex; // 1-based position in roleMembers
+
+    // mapping lot number → active recall (severity 0 = not recalled)
+    mapping(string => Recall) private recalls;
+
+    // lineage, recorded in both directions: lot → lots it was split / merged from, and lots made from it
+    mapping(string => string[]) private parentLots;
+    mapping(string => string[]) private childLots;
+
+    // mapping lot number → structured certification records (the free-text `certifications` stays as entered)
+    mapping(string => Certification[]) private certificationRecords;
+
     /* -------------------------------------------------------------------------- */
     /*                                   Events                                   */
     /* -------------------------------------------------------------------------- */
@@ -39,6 +105,87 @@ contract FoodTraceability {
     event ProductRegistered(string indexed lotNumber, string name, string origin);
     event IoTDataCaptured(string indexed lotNumber, int256 temperature, string note, address indexed handler);
     event QRGenerated(string indexed lotNumber, string token, address indexed generator);
+    event HandoffInitiated(string indexed lotNumber, uint8 toStage, address indexed from, address indexed to);
+    event HandoffCancelled(string indexed lotNumber, address indexed from);
+    event StageUpdated(string indexed lotNumber, uint8 stage, address indexed handler);
+    event RecallIssued(string indexed lotNumber, uint8 severity, string reason, address indexed issuer);
+    event RecallLifted(string indexed lotNumber, address indexed issuer);
+    event LotSplit(string indexed lotNumber, string[] childLots, address indexed handler);
+    event LotsMerged(string indexed lotNumber, string[] parentLots, address indexed handler);
+    event CertificationAdded(string indexed lotNumber, uint256 index, string certType, address indexed addedBy);
+    event CertificationAttested(string indexed lotNumber, uint256 index, address indexed certifier);
+    event RoleGranted(uint8 indexed role, address indexed account, address indexed admin);
+    event RoleRevoked(uint8 indexed role, address indexed account, address indexed admin);
+
+    /* -------------------------------------------------------------------------- */
+    /*                               Access Control                               */
+    /* -------------------------------------------------------------------------- */
+
+    modifier onlyRole(uint8 role) {
+        require(hasRole(role, msg.sender), "Caller lacks the required role");
+        _;
+    }
+
+    // vendor, manufacturer, logistics or retailer
+    modifier onlyHandler() {
+        require(roleMask[msg.sender] & HANDLER_ROLES != 0, "Caller lacks the required role");
+        _;
+    }
+
+    /// @notice The deployer becomes the first admin.
+    constructor() {
+        addRole(ROLE_ADMIN, msg.sender);
+        emit RoleGranted(ROLE_ADMIN, msg.sender, msg.sender);
+    }
+
+    /**
+     * @notice Grant a role to an account (admins only).
+     * @param role    Role id (ROLE_ADMIN..ROLE_CONSUMER).
+     * @param account Wallet receiving the role.
+     */
+    function grantRole(uint8 role, address account) public onlyRole(ROLE_ADMIN) {
+        require(role < ROLE_COUNT, "Invalid role");
+        require(account != address(0), "Invalid account");
+        require(!hasRole(role, account), "Role already granted");
+        addRole(role, account);
+        emit RoleGranted(role, account, msg.sender);
+    }
+
+    /**
+     * @notice Revoke a role from an account (admins only). The last admin cannot be removed.
+     * @param role    Role id.
+     * @param account Wallet losing the role.
+     */
+    function revokeRole(uint8 role, address account) public onlyRole(ROLE_ADMIN) {
+        require(hasRole(role, account), "Role not granted");
+        require(role != ROLE_ADMIN || roleMembers[ROLE_ADMIN].length > 1, "Cannot revoke the last admin");
+
+        address[] storage members = roleMembers[role];
+        uint256 index = roleMemberIndex[role][account] - 1;
+        address last = members[members.length - 1];
+        members[index] = last;
+        roleMemberIndex[role][last] = index + 1;
+        members.pop();
+        delete roleMemberIndex[role][account];
+        roleMask[account] &= ~(uint256(1) << role);
+
+        emit RoleRevoked(role, account, msg.sender);
+    }
+
+    /// @notice Whether an account holds a role.
+    function hasRole(uint8 role, address account) public view returns (bool) {
+        return roleMask[account] & (uint256(1) << role) != 0;
+    }
+
+    /// @notice Bitmask of an account's roles (bit n = role id n).
+    function getRoles(address account) public view returns (uint256) {
+        return roleMask[account];
+    }
+
+    /// @notice Accounts holding a role, in no particular order.
+    function getRoleMembers(uint8 role) public view returns (address[] memory) {
+        return roleMembers[role];
+    }
 
     /* -------------------------------------------------------------------------- */
     /*                               Core Functions                               */
@@ -56,19 +203,8 @@ contract FoodTraceability {
         string memory name,
         string memory origin,
         string memory certifications
-    ) public {
-        require(bytes(lotNumber).length > 0, "Invalid lot number");
-        require(!products[lotNumber].exists, "Product already registered");
-
-        Product storage p = products[lotNumber];
-        p.name = name;
-        p.origin = origin;
-        p.certifications = certifications;
-        p.stage = 1; // Vendor stage by default
-        p.handler = msg.sender;
-        p.exists = true;
-
-        emit ProductRegistered(lotNumber, name, origin);
+    ) public onlyRole(ROLE_VENDOR) {
+        createLot(lotNumber, name, origin, certifications, 1); // Vendor stage by default
     }
 
     /**
@@ -81,7 +217,7 @@ contract FoodTraceability {
         string memory lotNumber,
         int256 temperature,
         string memory handlingNotes
-    ) public {
+    ) public onlyHandler {
         require(products[lotNumber].exists, "Unknown product");
 
         Product storage p = products[lotNumber];
@@ -95,6 +231,37 @@ contract FoodTraceability {
         emit IoTDataCaptured(lotNumber, temperature, handlingNotes, msg.sender);
     }
 
+    /**
+     * @notice Capture a batch of readings exported by a data logger, keeping the device timestamps.
+     * @param lotNumber    Product lot number.
+     * @param temperatures Recorded temperatures (°C).
+     * @param notes        Note per reading.
+     * @param recordedAt   Device capture time per reading (unix seconds, not in the future).
+     */
+    function captureIoTBatch(
+        string memory lotNumber,
+        int256[] memory temperatures,
+        string[] memory notes,
+        uint256[] memory recordedAt
+    ) public onlyHandler {
+        require(products[lotNumber].exists, "Unknown product");
+        uint256 count = temperatures.length;
+        require(count > 0 && count <= MAX_IOT_BATCH, "Invalid batch size");
+        require(notes.length == count && recordedAt.length == count, "Length mismatch");
+
+        Product storage p = products[lotNumber];
+        for (uint256 i = 0; i < count; i++) {
+            require(recordedAt[i] > 0 && recordedAt[i] <= block.timestamp, "Invalid timestamp");
+            p.logs.push(IoTRecord({
+                temperature: temperatures[i],
+                note: notes[i],
+                timestamp: recordedAt[i]
+            }));
+            emit IoTDataCaptured(lotNumber, temperatures[i], notes[i], msg.sender);
+        }
+        p.handler = msg.sender;
+    }
+
     /**
      * @notice Returns all IoT logs for a given product.
      * @param lotNumber Product lot number.
@@ -152,33 +319,365 @@ contract FoodTraceability {
     }
 
     /**
-     * @notice Generates a pseudo-random QR token and associates it with a product.
-     * @param lotNumber Product lot number.
-     * @return token The newly generated QR token string.
+     * @notice Records a new signed QR label for a product.
+     *         The label itself (lot, issuer, issue time, wallet signature) is built and signed
+     *         off-chain; only its digest is stored so scanners can tell current labels from
+     *         stale or counterfeit ones.
+     * @param lotNumber   Product lot number.
+     * @param payloadHash keccak256 of the signed label message.
+     * @return token The stored QR token (0x-prefixed hex of payloadHash).
      */
-    function generateQRToken(string memory lotNumber)
+    function generateQRToken(string memory lotNumber, bytes32 payloadHash)
         public
+        onlyHandler
         returns (string memory token)
     {
         require(products[lotNumber].exists, "Not found");
+        require(payloadHash != bytes32(0), "Invalid QR payload");
 
-        token = string(
-            abi.encodePacked(
-                "QR-",
-                lotNumber,
-                "-",
-                uint2str(
-                    uint256(keccak256(abi.encodePacked(block.timestamp, msg.sender, lotNumber))) % 100000
-                )
-            )
-        );
+        token = toHexString(payloadHash);
 
-        products[lotNumber].latestQR = token;
-        products[lotNumber].handler = msg.sender;
+        Product storage p = products[lotNumber];
+        p.latestQR = token;
+        p.qrIssuer = msg.sender;
+        p.qrIssuedAt = block.timestamp;
+        p.handler = msg.sender;
 
         emit QRGenerated(lotNumber, token, msg.sender);
     }
 
+    /**
+     * @notice Returns the current QR token of a product and who issued it.
+     * @param lotNumber Product lot number.
+     * @return token    Latest QR token (empty when none was issued).
+     * @return issuer   Account that issued it.
+     * @return issuedAt Block timestamp of issuance.
+     */
+    function getQRToken(string memory lotNumber)
+        public
+        view
+        returns (string memory token, address issuer, uint256 issuedAt)
+    {
+        require(products[lotNumber].exists, "Not found");
+        Product storage p = products[lotNumber];
+        return (p.latestQR, p.qrIssuer, p.qrIssuedAt);
+    }
+
+    /* -------------------------------------------------------------------------- */
+    /*                              Stage Handoffs                                */
+    /* -------------------------------------------------------------------------- */
+
+    /**
+     * @notice Start handing a lot over to the party responsible for the next stage.
+     *         Only the current custodian, while it holds a handler role, may initiate; the lot always
+     *         moves exactly one stage forward.
+     * @param lotNumber Product lot number.
+     * @param to        Address of the receiving party (must call acceptHandoff and hold the next stage's role).
+     */
+    function initiateHandoff(string memory lotNumber, address to) public onlyHandler {
+        Product storage p = products[lotNumber];
+        require(p.exists, "Unknown product");
+        require(msg.sender == p.custodian, "Only the current custodian can hand off");
+        require(p.stage < FINAL_HANDOFF_STAGE, "Lot is already at the final stage");
+        require(p.pendingHandler == address(0), "Handoff already pending");
+        require(to != address(0) && to != msg.sender, "Invalid receiver");
+        require(hasRole(p.stage + 1, to), "Receiver lacks the role for the next stage");
+
+        p.pendingHandler = to;
+        emit HandoffInitiated(lotNumber, p.stage + 1, msg.sender, to);
+    }
+
+    /**
+     * @notice Accept a pending handoff, moving the lot to the next stage.
+     * @param lotNumber Product lot number.
+     */
+    function acceptHandoff(string memory lotNumber) public {
+        Product storage p = products[lotNumber];
+        require(p.exists, "Unknown product");
+        require(p.pendingHandler != address(0), "No pending handoff");
+        require(msg.sender == p.pendingHandler, "Only the designated receiver can accept");
+        require(hasRole(p.stage + 1, msg.sender), "Receiver lacks the role for the next stage");
+
+        p.stage += 1;
+        p.custodian = msg.sender;
+        p.handler = msg.sender;
+        p.pendingHandler = address(0);
+        p.custody.push(StageRecord({ stage: p.stage, handler: msg.sender, timestamp: block.timestamp }));
+
+        emit StageUpdated(lotNumber, p.stage, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw a pending handoff before it is accepted.
+     * @param lotNumber Product lot number.
+     */
+    function cancelHandoff(string memory lotNumber) public onlyHandler {
+        Product storage p = products[lotNumber];
+        require(p.exists, "Unknown product");
+        require(p.pendingHandler != address(0), "No pending handoff");
+        require(msg.sender == p.custodian, "Only the current custodian can cancel");
+
+        p.pendingHandler = address(0);
+        emit HandoffCancelled(lotNumber, msg.sender);
+    }
+
+    /**
+     * @notice Returns the pending handoff for a lot, if any.
+     * @param lotNumber Product lot number.
+     * @return custodian Party currently holding the lot.
+     * @return to        Receiver of the pending handoff (zero address when none).
+     * @return toStage   Stage the lot moves to once accepted (0 when none).
+     */
+    function getPendingHandoff(string memory lotNumber)
+        public
+        view
+        returns (address custodian, address to, uint8 toStage)
+    {
+        require(products[lotNumber].exists, "Unknown product");
+        Product storage p = products[lotNumber];
+        custodian = p.custodian;
+        to = p.pendingHandler;
+        toStage = to == address(0) ? 0 : p.stage + 1;
+    }
+
+    /**
+     * @notice Returns the chain of custody for a lot.
+     * @param lotNumber Product lot number.
+     * @return stages     Stage entered at each handoff.
+     * @return handlers   Party that took custody.
+     * @return timestamps Block timestamps of each handoff.
+     */
+    function getStageHistory(string memory lotNumber)
+        public
+        view
+        returns (uint8[] memory stages, address[] memory handlers, uint256[] memory timestamps)
+    {
+        require(products[lotNumber].exists, "Unknown product");
+
+        Product storage p = products[lotNumber];
+        uint256 count = p.custody.length;
+
+        stages = new uint8[](count);
+        handlers = new address[](count);
+        timestamps = new uint256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            StageRecord storage r = p.custody[i];
+            stages[i] = r.stage;
+            handlers[i] = r.handler;
+            timestamps[i] = r.timestamp;
+        }
+    }
+
+    /* -------------------------------------------------------------------------- */
+    /*                                  Recalls                                   */
+    /* -------------------------------------------------------------------------- */
+
+    /**
+     * @notice Flag one or more lots as unsafe. Only parties that held a lot (its custodian or
+     *         any handler in its chain of custody) and still hold a handler role can recall it.
+     *         Re-issuing updates the recall.
+     * @param lotNumbers Lots to recall (1..MAX_RECALL_BATCH).
+     * @param severity   1 = Class I (serious health risk), 2 = Class II, 3 = Class III.
+     * @param reason     Why the lots are unsafe; shown to everyone who looks them up.
+     */
+    function issueRecall(string[] memory lotNumbers, uint8 severity, string memory reason) public onlyHandler {
+        require(lotNumbers.length > 0 && lotNumbers.length <= MAX_RECALL_BATCH, "Invalid batch size");
+        require(severity >= 1 && severity <= 3, "Invalid severity");
+        require(bytes(reason).length > 0, "Recall reason required");
+
+        for (uint256 i = 0; i < lotNumbers.length; i++) {
+            Product storage p = products[lotNumbers[i]];
+            require(p.exists, "Unknown product");
+            require(hasHeld(p, msg.sender), "Only a handler of the lot can recall it");
+
+            recalls[lotNumbers[i]] = Recall({ severity: severity, reason: reason, issuer: msg.sender, issuedAt: block.timestamp });
+            emit RecallIssued(lotNumbers[i], severity, reason, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Clear the recall of a lot (e.g., issued in error or resolved).
+     * @param lotNumber Product lot number.
+     */
+    function liftRecall(string memory lotNumber) public {
+        Recall storage r = recalls[lotNumber];
+        require(r.severity != 0, "No active recall");
+        require(msg.sender == r.issuer, "Only the recall issuer can lift it");
+
+        delete recalls[lotNumber];
+        emit RecallLifted(lotNumber, msg.sender);
+    }
+
+    /**
+     * @notice Returns the active recall of a lot.
+     * @param lotNumber Product lot number.
+     * @return severity 0 when the lot is not recalled.
+     * @return reason   Recall reason.
+     * @return issuer   Handler that issued the recall.
+     * @return issuedAt Block timestamp of the recall.
+     */
+    function getRecall(string memory lotNumber)
+        public
+        view
+        returns (uint8 severity, string memory reason, address issuer, uint256 issuedAt)
+    {
+        Recall storage r = recalls[lotNumber];
+        return (r.severity, r.reason, r.issuer, r.issuedAt);
+    }
+
+    /* -------------------------------------------------------------------------- */
+    /*                                  Lineage                                   */
+    /* -------------------------------------------------------------------------- */
+
+    /**
+     * @notice Split a lot into new child lots (e.g., a harvest into retail packs). Each child
+     *         copies the parent's product details and stage and starts in the caller's custody.
+     *         Recalled lots cannot be split, so a recall cannot be shed by repackaging.
+     * @param parentLot Lot being split; the caller must be its custodian and it must not be recalled.
+     * @param children  New lot numbers (1..MAX_LINEAGE_BATCH, none registered yet).
+     */
+    function splitLot(string memory parentLot, string[] memory children) public onlyHandler {
+        Product storage parent = products[parentLot];
+        require(parent.exists, "Unknown product");
+        require(msg.sender == parent.custodian, "Only the current custodian can split or merge");
+        require(recalls[parentLot].severity == 0, "Recalled lots cannot be split or merged");
+        require(children.length > 0 && children.length <= MAX_LINEAGE_BATCH, "Invalid batch size");
+
+        for (uint256 i = 0; i < children.length; i++) {
+            createLot(children[i], parent.name, parent.origin, parent.certifications, parent.stage);
+            parentLots[children[i]].push(parentLot);
+            childLots[parentLot].push(children[i]);
+        }
+        emit LotSplit(parentLot, children, msg.sender);
+    }
+
+    /**
+     * @notice Merge several lots into a new lot (e.g., ingredients into a blend). The merged lot
+     *         starts at the most advanced stage of its parents, in the caller's custody.
+     * @param parents        Lots being merged (2..MAX_LINEAGE_BATCH); the caller must hold them all
+     *                       and none may be recalled.
+     * @param mergedLot      New lot number.
+     * @param name           Product name of the blend.
+     * @param origin         Origin of the blend (e.g., the plant that mixed it).
+     * @param certifications Certifications that still apply to the blend.
+     */
+    function mergeLots(
+        string[] memory parents,
+        string memory mergedLot,
+        string memory name,
+        string memory origin,
+        string memory certifications
+    ) public onlyHandler {
+        require(parents.length >= 2 && parents.length <= MAX_LINEAGE_BATCH, "Invalid batch size");
+
+        uint8 stage = 1;
+        for (uint256 i = 0; i < parents.length; i++) {
+            Product storage parent = products[parents[i]];
+            require(parent.exists, "Unknown product");
+            require(msg.sender == parent.custodian, "Only the current custodian can split or merge");
+            require(recalls[parents[i]].severity == 0, "Recalled lots cannot be split or merged");
+            for (uint256 j = 0; j < i; j++) {
+                require(keccak256(bytes(parents[i])) != keccak256(bytes(parents[j])), "Duplicate parent lot");
+            }
+            if (parent.stage > stage) stage = parent.stage;
+        }
+
+        createLot(mergedLot, name, origin, certifications, stage);
+        for (uint256 i = 0; i < parents.length; i++) {
+            parentLots[mergedLot].push(parents[i]);
+            childLots[parents[i]].push(mergedLot);
+        }
+        emit LotsMerged(mergedLot, parents, msg.sender);
+    }
+
+    /**
+     * @notice Returns the direct lineage of a lot.
+     * @param lotNumber Product lot number.
+     * @return parents  Lots it was split from or merged from.
+     * @return children Lots split from it or blends it went into.
+     */
+    function getLineage(string memory lotNumber)
+        public
+        view
+        returns (string[] memory parents, string[] memory children)
+    {
+        require(products[lotNumber].exists, "Unknown product");
+        return (parentLots[lotNumber], childLots[lotNumber]);
+    }
+
+    /* -------------------------------------------------------------------------- */
+    /*                               Certifications                               */
+    /* -------------------------------------------------------------------------- */
+
+    /**
+     * @notice Add a certification record to a lot. Only parties that held the lot and still hold a
+     *         handler role can add one; it stays unverified until a certifier attests it.
+     * @param lotNumber     Product lot number.
+     * @param certType      Certification type (e.g., "USDA Organic").
+     * @param issuingBody   Certifier organisation.
+     * @param certificateId Certificate number assigned by the issuing body.
+     * @param validFrom     Start of validity (unix seconds).
+     * @param validTo       Expiry (unix seconds, after validFrom).
+     * @param documentHash  keccak256 of the certificate document, or 0.
+     */
+    function addCertification(
+        string memory lotNumber,
+        string memory certType,
+        string memory issuingBody,
+        string memory certificateId,
+        uint256 validFrom,
+        uint256 validTo,
+        bytes32 documentHash
+    ) public onlyHandler {
+        Product storage p = products[lotNumber];
+        require(p.exists, "Unknown product");
+        require(hasHeld(p, msg.sender), "Only a handler of the lot can add certifications");
+        require(bytes(certType).length > 0 && bytes(issuingBody).length > 0, "Certification type and issuing body required");
+        require(validTo > validFrom, "Invalid validity period");
+        Certification[] storage list = certificationRecords[lotNumber];
+        require(list.length < MAX_CERTIFICATIONS, "Too many certifications");
+
+        Certification storage c = list.push();
+        c.certType = certType;
+        c.issuingBody = issuingBody;
+        c.certificateId = certificateId;
+        c.validFrom = validFrom;
+        c.validTo = validTo;
+        c.documentHash = documentHash;
+        c.addedBy = msg.sender;
+
+        emit CertificationAdded(lotNumber, list.length - 1, certType, msg.sender);
+    }
+
+    /**
+     * @notice Attest a certification record from a certifier's own wallet. The party that added
+     *         the record cannot attest it, and expired records cannot be attested.
+     * @param lotNumber Product lot number.
+     * @param index     Position in getCertifications(lotNumber).
+     */
+    function attestCertification(string memory lotNumber, uint256 index) public onlyRole(ROLE_CERTIFIER) {
+        Certification[] storage list = certificationRecords[lotNumber];
+        require(index < list.length, "Unknown certification");
+        Certification storage c = list[index];
+        require(c.attestedBy == address(0), "Already attested");
+        require(msg.sender != c.addedBy, "Certifier must differ from the party that added it");
+        require(block.timestamp <= c.validTo, "Certification expired");
+
+        c.attestedBy = msg.sender;
+        c.attestedAt = block.timestamp;
+        emit CertificationAttested(lotNumber, index, msg.sender);
+    }
+
+    /**
+     * @notice Returns all certification records of a lot, in the order they were added.
+     * @param lotNumber Product lot number.
+     */
+    function getCertifications(string memory lotNumber) public view returns (Certification[] memory) {
+        require(products[lotNumber].exists, "Unknown product");
+        return certificationRecords[lotNumber];
+    }
+
     /* -------------------------------------------------------------------------- */
     /*                                View Helpers                                */
     /* -------------------------------------------------------------------------- */
@@ -191,20 +690,60 @@ contract FoodTraceability {
     }
 
     /**
-     * @notice Convert uint to string (utility for QR generation).
+     * @notice Create a lot in the caller's custody (registration, split children, merged lots).
+     */
+    function createLot(
+        string memory lotNumber,
+        string memory name,
+        string memory origin,
+        string memory certifications,
+        uint8 stage
+    ) internal {
+        require(bytes(lotNumber).length > 0, "Invalid lot number");
+        require(!products[lotNumber].exists, "Product already registered");
+
+        Product storage p = products[lotNumber];
+        p.name = name;
+        p.origin = origin;
+        p.certifications = certifications;
+        p.stage = stage;
+        p.handler = msg.sender;
+        p.custodian = msg.sender;
+        p.exists = true;
+        p.custody.push(StageRecord({ stage: stage, handler: msg.sender, timestamp: block.timestamp }));
+
+        emit ProductRegistered(lotNumber, name, origin);
+    }
+
+    function addRole(uint8 role, address account) internal {
+        roleMask[account] |= uint256(1) << role;
+        roleMembers[role].push(account);
+        roleMemberIndex[role][account] = roleMembers[role].length;
+    }
+
+    /**
+     * @notice Whether an account is the custodian of a lot or took custody of it at any stage.
+     */
+    function hasHeld(Product storage p, address account) internal view returns (bool) {
+        if (p.custodian == account) return true;
+        for (uint256 i = 0; i < p.custody.length; i++) {
+            if (p.custody[i].handler == account) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @notice Convert bytes32 to a 0x-prefixed lowercase hex string (utility for QR tokens).
      */
-    function uint2str(uint256 _i) internal pure returns (string memory str) {
-        if (_i == 0) return "0";
-        uint256 j = _i;
-        uint256 length;
-        while (j != 0) { length++; j /= 10; }
-        bytes memory bstr = new bytes(length);
-        uint256 k = length;
-        j = _i;
-        while (j != 0) {
-            bstr[--k] = bytes1(uint8(48 + j % 10));
-            j /= 10;
+    function toHexString(bytes32 value) internal pure returns (string memory) {
+        bytes memory alphabet = "0123456789abcdef";
+        bytes memory str = new bytes(66);
+        str[0] = "0";
+        str[1] = "x";
+        for (uint256 i = 0; i < 32; i++) {
+            str[2 + i * 2] = alphabet[uint8(value[i] >> 4)];
+            str[3 + i * 2] = alphabet[uint8(value[i] & 0x0f)];
         }
-        str = string(bstr);
+        return string(str);
     }
 }
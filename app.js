@@ -1,6 +1,6 @@
 // app.js (fixed & simplified)
 // Frontend logic for Rich Products traceability demo
-// - Single ABI (extended) assumed to match FoodTraceability.sol
+// - ABI loaded from the compiled artifact; features are enabled per deployed contract
 // - Safer contract init + demo fallback
 // - Fixed localStorage/signup/login bugs
 // - jsQR camera decode support (optional if jsQR is loaded)
@@ -8,44 +8,72 @@
 // - Cleaner leaderboard merging
 
 // ==== CONFIG ====
-const CONTRACT_ADDRESS = "0x23Ec6454b4eEE71E5Eb9D76A7dDf2f3BdfE82cAa"; // paste deployed contract address here if available (leave empty to run demo mode)
-const API_BASE_URL = ""; // optional: cloud JSON API base URL (MockAPI / JSONBin). If empty, localStorage is used.
+// Deployments by network. The active one follows the wallet's chain ID (see "Networks" below):
+// - contractAddress: deployed FoodTraceability (empty = demo mode on that network)
+// - apiBaseUrl: optional cloud JSON API (MockAPI / JSONBin). If empty, browser storage is used (see STORAGE_BACKEND).
+// - explorerUrl / rpcUrl / currency: tx links and the details offered to the wallet by "Add network"
+// - startBlock: deployment block, so history scans skip empty ranges (omitted = found from the chain, see historyStartBlock)
+// - abiArtifact: compiled contract JSON (Remix / Hardhat artifact or a bare ABI array); default ABI_ARTIFACT_URL
+// networks.json (same shape, merged by key) and ?network=<key|chainId> / ?contract=0x…[&startBlock=n] override this list.
+const NETWORKS = {
+  sepolia: {
+    chainId: 11155111,
+    name: 'Sepolia testnet',
+    contractAddress: '0x23Ec6454b4eEE71E5Eb9D76A7dDf2f3BdfE82cAa',
+    apiBaseUrl: '',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    rpcUrl: 'https://rpc.sepolia.org',
+    currency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 }
+  },
+  local: {
+    chainId: 1337,
+    name: 'Localhost 8545',
+    contractAddress: '',
+    apiBaseUrl: '',
+    explorerUrl: '',
+    rpcUrl: 'http://127.0.0.1:8545',
+    currency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    startBlock: 0
+  }
+};
+const DEFAULT_NETWORK = 'sepolia'; // used without a wallet, and offered when the wallet is on an unknown chain
+const NETWORK_CONFIG_URL = 'networks.json'; // optional deployment overrides, fetched on load
+const ABI_ARTIFACT_URL = 'artifacts/FoodTraceabilityFull.json'; // build of the deployed contract; the ABI is read from here
+const STORAGE_BACKEND = ""; // 'local' | 'indexeddb' | 'rest'; empty = 'rest' when the network has an apiBaseUrl, else 'local'
+const IOT_GATEWAY_URL = ""; // optional: WebSocket gateway (e.g. ws://localhost:8787); simulator.html also works without it (BroadcastChannel)
 
 // ==== STATE ====
 let web3;
 let contract = null;
 let accounts = [];
 let contractAvailable = false;
+let initContractSeq = 0;
+let contractAddress = ''; // from the active network (or ?contract=)
+let apiBaseUrl = '';
 
 const $ = (id) => document.getElementById(id);
 const shortenAddress = (addr = '') => (addr ? `${addr.slice(0,6)}...${addr.slice(-4)}` : '');
 const TIMELINE_STAGES = ['Vendor', 'Manufacturer', 'Logistics', 'Retail'];
+const STAGE_NAMES = ['Registered', 'Vendor', 'Manufacturer', 'Logistics', 'Retail', 'Sold']; // index = on-chain Product.stage
 const DEMO_IOT_NOTES = ['Packed', 'In Cold Storage', 'Transit', 'Delivered'];
-const BADGE_LIBRARY = ['Sustainable Product', 'Farm Fresh', 'Cold Chain Champion'];
 const CAMERA_TIMEOUT_MS = 10000;
 const DEFAULT_PRODUCT_IMAGE = 'https://upload.wikimedia.org/wikipedia/commons/4/46/Frozen_peas_with_snow.jpg';
 
-// Extended ABI (keeps the methods used in this frontend). Update if your contract differs.
-const ABI_EXTENDED = [
-  {"inputs":[{"internalType":"string","name":"lotNumber","type":"string"}],"name":"consumerLookupByLot","outputs":[{"internalType":"string","name":"name","type":"string"},{"internalType":"string","name":"origin","type":"string"},{"internalType":"string","name":"certifications","type":"string"},{"internalType":"uint8","name":"stage","type":"uint8"},{"internalType":"address","name":"handler","type":"address"},{"internalType":"string","name":"latestQR","type":"string"}],"stateMutability":"view","type":"function"},
-  {"inputs":[{"internalType":"string","name":"lotNumber","type":"string"}],"name":"getIoTLogs","outputs":[{"internalType":"int256[]","name":"temps","type":"int256[]"},{"internalType":"string[]","name":"notes","type":"string[]"},{"internalType":"uint256[]","name":"timestamps","type":"uint256[]"}],"stateMutability":"view","type":"function"},
-  {"inputs":[{"internalType":"string","name":"lotNumber","type":"string"},{"internalType":"int256","name":"temperature","type":"int256"},{"internalType":"string","name":"handlingNotes","type":"string"}],"name":"captureIoTData","outputs":[],"stateMutability":"nonpayable","type":"function"},
-  {"inputs":[{"internalType":"string","name":"lotNumber","type":"string"}],"name":"generateQRToken","outputs":[{"internalType":"string","name":"token","type":"string"}],"stateMutability":"nonpayable","type":"function"}
-];
-
 // UI connection status object
 const CONNECTION_STATUS = {
   wallet: 'Wallet: not detected',
+  network: 'Network: —',
   contract: 'Contract: demo mode',
   tone: 'warning'
 };
 const renderConnectionStatus = () => {
   const el = $('connectionStatus');
   if (!el) return;
-  el.textContent = `${CONNECTION_STATUS.wallet} • ${CONNECTION_STATUS.contract}`;
+  el.textContent = `${CONNECTION_STATUS.wallet} • ${CONNECTION_STATUS.network} • ${CONNECTION_STATUS.contract}`;
   el.dataset.tone = CONNECTION_STATUS.tone;
 };
 const setWalletStatus = (message, tone) => { CONNECTION_STATUS.wallet = message; if (tone) CONNECTION_STATUS.tone = tone; renderConnectionStatus(); };
+const setNetworkStatus = (message) => { CONNECTION_STATUS.network = message; renderConnectionStatus(); };
 const setContractStatus = (message, tone) => { CONNECTION_STATUS.contract = message; if (tone) CONNECTION_STATUS.tone = tone; renderConnectionStatus(); };
 
 // Demo data store for when contract is not connected
@@ -56,6 +84,18 @@ const DEMO_PRODUCTS = {
     certifications: "Organic, FairTrade",
     stage: "Retail",
     iot: [{ts: Date.now()-3600*1000, temp:-18, note:"Packed"}, {ts: Date.now()-1800*1000, temp:-19, note:"In Cold Storage"}],
+    custody: [
+      {stage: "Vendor", handler: "Green Valley Farms", ts: Date.now()-4*86400*1000},
+      {stage: "Manufacturer", handler: "Rich Products Plant", ts: Date.now()-3*86400*1000},
+      {stage: "Logistics", handler: "ColdLine Freight", ts: Date.now()-2*86400*1000},
+      {stage: "Retail", handler: "FreshMart", ts: Date.now()-86400*1000}
+    ],
+    pendingHandoff: null,
+    certificationRecords: [
+      {certType: "USDA Organic", issuingBody: "CCOF", certificateId: "CCOF-2291", validFrom: Date.now()-200*86400*1000, validTo: Date.now()+165*86400*1000, documentHash: "", addedBy: "Green Valley Farms", attestedBy: "CCOF Certification Services", attestedAt: Date.now()-190*86400*1000},
+      {certType: "Fairtrade", issuingBody: "Fairtrade America", certificateId: "FT-10482", validFrom: Date.now()-400*86400*1000, validTo: Date.now()-35*86400*1000, documentHash: "", addedBy: "Green Valley Farms", attestedBy: "Fairtrade America", attestedAt: Date.now()-390*86400*1000}
+    ],
+    profile: "frozen",
     imageUrl: "https://topcart.s3.ap-south-1.amazonaws.com/wp-content/uploads/2021/11/11182908/thumbnail-1.png"
   },
   "LOT-2002": {
@@ -64,7 +104,36 @@ const DEMO_PRODUCTS = {
     certifications: "Sustainably Grown",
     stage: "Logistics",
     iot: [{ts: Date.now()-7200*1000, temp:-16, note:"Loaded"}, {ts: Date.now()-4000*1000, temp:-17, note:"Transit"}],
+    custody: [
+      {stage: "Vendor", handler: "Berry Farms", ts: Date.now()-2*86400*1000},
+      {stage: "Manufacturer", handler: "Rich Products Plant", ts: Date.now()-86400*1000},
+      {stage: "Logistics", handler: "ColdLine Freight", ts: Date.now()-8000*1000}
+    ],
+    pendingHandoff: null,
+    profile: "frozen",
     imageUrl: "https://images.unsplash.com/photo-1598512752271-33f913a53283?q=80&w=1974&auto=format&fit=crop"
+  },
+  "LOT-3003": {
+    name: "Frozen Spinach",
+    origin: "Sunrise Farms, OR",
+    certifications: "Organic",
+    stage: "Logistics",
+    iot: [
+      {ts: Date.now()-10*3600*1000, temp:-19, note:"Packed"},
+      {ts: Date.now()-9*3600*1000, temp:-18, note:"In Cold Storage"},
+      {ts: Date.now()-8*3600*1000, temp:-12, note:"Loading dock"},
+      {ts: Date.now()-7*3600*1000, temp:-5, note:"Transit"},
+      {ts: Date.now()-6*3600*1000, temp:-17, note:"Transit"},
+      {ts: Date.now()-2*3600*1000, temp:-18, note:"Delivered"}
+    ],
+    custody: [
+      {stage: "Vendor", handler: "Sunrise Farms", ts: Date.now()-2*86400*1000},
+      {stage: "Manufacturer", handler: "Rich Products Plant", ts: Date.now()-86400*1000},
+      {stage: "Logistics", handler: "ColdLine Freight", ts: Date.now()-8*3600*1000}
+    ],
+    pendingHandoff: null,
+    profile: "frozen",
+    imageUrl: "https://images.unsplash.com/photo-1576045057995-568f588f2d80?q=80&w=1974&auto=format&fit=crop"
   }
 };
 
@@ -93,6 +162,7 @@ const LEADERBOARD = [
 ];
 
 let currentUser = null; // { username, id }
+let activeLot = null; // lot currently shown in the product card
 let sessionPoints = 0;
 
 // web3 / contract initialization
@@ -107,6 +177,54 @@ async function init() {
   const loginBtn = $('loginBtn'); if(loginBtn) loginBtn.onclick = ()=>openAuthModal('login');
   const signupBtn = $('signupBtn'); if(signupBtn) signupBtn.onclick = ()=>openAuthModal('signup');
   const logoutBtn = $('logoutBtn'); if(logoutBtn) logoutBtn.onclick = logout;
+  const walletLoginBtn = $('walletLoginBtn'); if (walletLoginBtn) walletLoginBtn.onclick = signInWithWallet;
+  const chartZoomIn = $('chartZoomIn'); if (chartZoomIn) chartZoomIn.onclick = () => zoomTemperatureChart(0.8);
+  const chartZoomOut = $('chartZoomOut'); if (chartZoomOut) chartZoomOut.onclick = () => zoomTemperatureChart(1.25);
+  const chartReset = $('chartReset'); if (chartReset) chartReset.onclick = () => updateTemperatureChart({ view: null });
+  const handoffBtn = $('handoffBtn'); if (handoffBtn) handoffBtn.onclick = initiateHandoff;
+  const acceptHandoffBtn = $('acceptHandoffBtn'); if (acceptHandoffBtn) acceptHandoffBtn.onclick = acceptHandoff;
+  const cancelHandoffBtn = $('cancelHandoffBtn'); if (cancelHandoffBtn) cancelHandoffBtn.onclick = cancelHandoff;
+  const historyBtn = $('historyBtn'); if (historyBtn) historyBtn.onclick = openHistory;
+  const historyMoreBtn = $('historyMoreBtn'); if (historyMoreBtn) historyMoreBtn.onclick = loadHistoryPage;
+  const historyCsvBtn = $('historyCsvBtn'); if (historyCsvBtn) historyCsvBtn.onclick = () => exportHistory('csv');
+  const historyJsonBtn = $('historyJsonBtn'); if (historyJsonBtn) historyJsonBtn.onclick = () => exportHistory('json');
+  Object.keys(LEADERBOARD_WINDOWS).forEach((key) => { const tab = $(`lbWindow_${key}`); if (tab) tab.onclick = () => setLeaderboardWindow(key); });
+  const leaderboardPrevBtn = $('leaderboardPrevBtn'); if (leaderboardPrevBtn) leaderboardPrevBtn.onclick = () => setLeaderboardPage(leaderboardState.page - 1);
+  const leaderboardNextBtn = $('leaderboardNextBtn'); if (leaderboardNextBtn) leaderboardNextBtn.onclick = () => setLeaderboardPage(leaderboardState.page + 1);
+  const profileCloseBtn = $('profileCloseBtn'); if (profileCloseBtn) profileCloseBtn.onclick = closeProfile;
+  const networkSwitchBtn = $('networkSwitchBtn'); if (networkSwitchBtn) networkSwitchBtn.onclick = () => {
+    const select = $('networkSelect');
+    const preferred = preferredNetwork();
+    switchNetwork((select && select.value) || (preferred && preferred.key));
+  };
+  const historyCloseBtn = $('historyCloseBtn'); if (historyCloseBtn) historyCloseBtn.onclick = closeHistory;
+  const importFile = $('importFile'); if (importFile) importFile.addEventListener('change', onImportFileSelected);
+  const importLot = $('importLot'); if (importLot) importLot.addEventListener('input', () => { if (importState.records.length) buildImportPreview(); });
+  const importUnit = $('importUnit'); if (importUnit) importUnit.addEventListener('change', () => { if (importState.records.length) buildImportPreview(); });
+  IMPORT_FIELDS.forEach((field) => { const select = $(`importCol_${field}`); if (select) select.addEventListener('change', onImportMappingChanged); });
+  const importBtn = $('importBtn'); if (importBtn) importBtn.onclick = submitImport;
+  const importClearBtn = $('importClearBtn'); if (importClearBtn) importClearBtn.onclick = clearImport;
+  const outboxRetryBtn = $('outboxRetryBtn'); if (outboxRetryBtn) outboxRetryBtn.onclick = retryOutbox;
+  const txHistoryClearBtn = $('txHistoryClearBtn'); if (txHistoryClearBtn) txHistoryClearBtn.onclick = clearTxHistory;
+  const registerForm = $('registerForm'); if (registerForm) registerForm.addEventListener('submit', (ev) => { ev.preventDefault(); submitRegistration(); });
+  const recallForm = $('recallForm'); if (recallForm) recallForm.addEventListener('submit', (ev) => { ev.preventDefault(); submitRecall(); });
+  const splitForm = $('splitForm'); if (splitForm) splitForm.addEventListener('submit', (ev) => { ev.preventDefault(); submitSplit(); });
+  const mergeForm = $('mergeForm'); if (mergeForm) mergeForm.addEventListener('submit', (ev) => { ev.preventDefault(); submitMerge(); });
+  const certificationForm = $('certificationForm'); if (certificationForm) certificationForm.addEventListener('submit', (ev) => { ev.preventDefault(); submitCertification(); });
+  const certDocFile = $('certDocFile'); if (certDocFile) certDocFile.addEventListener('change', onCertificateFileSelected);
+  const roleForm = $('roleForm'); if (roleForm) roleForm.addEventListener('submit', (ev) => { ev.preventDefault(); submitRoleGrant(); });
+  const claimAdminBtn = $('claimAdminBtn'); if (claimAdminBtn) claimAdminBtn.onclick = claimAdmin;
+  const reportScope = $('reportScope'); if (reportScope) reportScope.addEventListener('change', onReportScopeChanged);
+  const reportPdfBtn = $('reportPdfBtn'); if (reportPdfBtn) reportPdfBtn.onclick = () => exportComplianceReport('pdf');
+  const reportCsvBtn = $('reportCsvBtn'); if (reportCsvBtn) reportCsvBtn.onclick = () => exportComplianceReport('csv');
+  const reportJsonBtn = $('reportJsonBtn'); if (reportJsonBtn) reportJsonBtn.onclick = () => exportComplianceReport('json');
+  const analyticsRefreshBtn = $('analyticsRefreshBtn'); if (analyticsRefreshBtn) analyticsRefreshBtn.onclick = refreshAnalytics;
+  const analyticsOrigin = $('analyticsOrigin'); if (analyticsOrigin) analyticsOrigin.onchange = renderAnalytics;
+  const labelForm = $('labelForm'); if (labelForm) labelForm.addEventListener('submit', (ev) => { ev.preventDefault(); previewLabels(); });
+  const labelPngBtn = $('labelPngBtn'); if (labelPngBtn) labelPngBtn.onclick = () => exportLabels('png');
+  const labelSvgBtn = $('labelSvgBtn'); if (labelSvgBtn) labelSvgBtn.onclick = () => exportLabels('svg');
+  const labelHtmlBtn = $('labelHtmlBtn'); if (labelHtmlBtn) labelHtmlBtn.onclick = () => exportLabels('html');
+  renderLabelSizes();
 
   // auth modal handlers
   const authModal = $('authModal');
@@ -120,6 +238,7 @@ async function init() {
     const password = passwordField ? passwordField.value : '';
     if (!username || !password) return alert('Username and password required');
     if (authModal && authModal.dataset.mode === 'signup') {
+      if (GUEST_NAME_PATTERN.test(username)) return alert('Guest names ("Guest", "Guest-…") are reserved');
       await signup(username, password);
     } else {
       await login(username, password);
@@ -127,17 +246,39 @@ async function init() {
     closeAuthModal();
   });
 
-  // restore saved user
-  try { const saved = localStorage.getItem('rpf_user'); if (saved) { currentUser = JSON.parse(saved); onLoginSuccess(currentUser); } } catch(e){}
+  // deployment for the wallet's chain (decides the contract and the storage backend)
+  await loadNetworkConfig();
+  // QR deep link: read-only consumer page instead of the full app
+  const consumerLink = parseConsumerLink(window.location.search);
+  if (consumerLink) return initConsumerPage(consumerLink);
+  await detectWalletNetwork();
 
-  renderLeaderboard();
+  // storage: run schema migrations, merge saved demo lots, restore the session (expired sessions are discarded)
+  await loadStoredDemoProducts();
+  await restoreSession();
+  await loadGuestName();
+  await loadOutbox();
+  await loadTxHistory();
+
+  // live sensor readings from simulator.html / a WebSocket gateway
+  connectGateway();
+
+  // offline support: cached app shell + outbox delivery when the connection returns
+  registerServiceWorker();
+  window.addEventListener('online', () => { renderOutbox(); retryOutbox(); });
+  window.addEventListener('offline', renderOutbox);
+
+  loadLeaderboard();
   renderBadges();
+  checkRecallNotices();
+  loadRoles();
+  renderActivityFeed();
   renderConnectionStatus();
 
-  if (CONTRACT_ADDRESS) {
+  if (contractAddress) {
     setContractStatus('Contract: detecting…', 'info');
   } else {
-    setContractStatus('Contract: demo mode (no address configured)', 'warning');
+    setContractStatus(noContractStatus(), 'warning');
   }
 
   // try connect to web3 (wallet)
@@ -158,15 +299,22 @@ async function init() {
         window.ethereum.on('accountsChanged', async (accs) => {
           accounts = accs || [];
           if (accounts.length) onConnected(accounts[0]); else onConnected('');
+          // a wallet session belongs to one address
+          if (currentUser && currentUser.method === 'wallet' && !sameParty(currentUser.address, accounts[0])) logout();
           // re-initialize contract if account changes
           await initContract();
+          loadRoles();
         });
 
-        window.ethereum.on('chainChanged', (chainId) => {
-          // remove listeners, then reload to re-init web3 & contract
-          try { window.ethereum.removeAllListeners && window.ethereum.removeAllListeners('accountsChanged'); } catch(e){}
-          try { window.ethereum.removeAllListeners && window.ethereum.removeAllListeners('chainChanged'); } catch(e){}
-          setTimeout(()=>window.location.reload(), 200);
+        window.ethereum.on('chainChanged', async (chainId) => {
+          // new chain: fresh web3 instance, contract and event subscriptions (no page reload)
+          unsubscribeContractEvents();
+          web3 = new Web3(window.ethereum);
+          selectNetwork(parseChainId(chainId));
+          pushActivity({ kind: 'network', title: 'Network changed', detail: activeNetwork ? `${activeNetwork.name} (chain ${activeNetwork.chainId})` : `Chain ID ${walletChainId || chainId} — no deployment` });
+          await initContract();
+          loadRoles();
+          if (activeLot) await showLot(activeLot);
         });
       } catch (e) { console.warn('Failed to attach ethereum event listeners', e); }
     } catch(e) { console.log('web3 init error', e); }
@@ -175,12 +323,20 @@ async function init() {
   }
 }
 
-// Initialize contract (simple approach: assume extended ABI)
+const noContractStatus = () => (activeNetwork
+  ? `Contract: demo mode (none configured for ${activeNetwork.name})`
+  : 'Contract: demo mode (unsupported network)');
+
+// Initialize contract: ABI from the network's artifact, then check the deployed code supports it
 async function initContract() {
+  const seq = ++initContractSeq;
+  unsubscribeContractEvents();
   contract = null;
   contractAvailable = false;
-  if (!CONTRACT_ADDRESS || CONTRACT_ADDRESS.length === 0) {
-    setContractStatus('Contract: demo mode (no address configured)', 'warning');
+  contractFeatures = {};
+  renderContractFeatures();
+  if (!contractAddress || contractAddress.length === 0) {
+    setContractStatus(noContractStatus(), 'warning');
     return;
   }
   if (!web3) {
@@ -188,28 +344,45 @@ async function initContract() {
     return;
   }
 
+  const artifactUrl = (activeNetwork && activeNetwork.abiArtifact) || ABI_ARTIFACT_URL;
+  let abi;
+  let code;
   try {
-    const c = new web3.eth.Contract(ABI_EXTENDED, CONTRACT_ADDRESS);
-    // make a safe read-only probe call (non-destructive)
-    try {
-      await c.methods.consumerLookupByLot('LOT-1001').call();
-      contract = c;
-      contractAvailable = true;
-      setContractStatus('Contract: extended ABI ready', 'success');
-      return;
-    } catch (e) {
-      // probe failed, still set contract but mark not available if methods fail later
-      contract = c;
-      contractAvailable = true; // still set true because some chains may reject probe for permission; rely on try/catch in actual calls
-      setContractStatus('Contract: connected (probe warning)', 'info');
-      return;
-    }
+    abi = await loadContractAbi(artifactUrl);
+  } catch (e) {
+    console.warn(`ABI artifact ${artifactUrl} could not be loaded`, e);
+    if (seq === initContractSeq) setContractStatus(`Contract: ABI artifact ${artifactUrl} not found — using demo data`, 'error');
+    return;
+  }
+  try {
+    code = await web3.eth.getCode(contractAddress);
   } catch (e) {
-    console.warn('Contract init failed', e);
-    setContractStatus('Contract: detection failed — using demo data', 'error');
-    contract = null;
-    contractAvailable = false;
+    console.warn('getCode failed', e);
+    if (seq === initContractSeq) setContractStatus('Contract: network unreachable — using demo data', 'error');
+    return;
   }
+  if (seq !== initContractSeq) return; // superseded by a newer account / chain change
+
+  if (!code || /^0x0*$/.test(code)) {
+    setContractStatus(`Contract: no code at ${shortenAddress(contractAddress)} on this network — using demo data`, 'error');
+    return;
+  }
+  contractFeatures = detectContractFeatures(abi, code);
+  renderContractFeatures();
+  if (!hasFeature('lookup')) {
+    setContractStatus('Contract: does not support product lookup — using demo data', 'error');
+    return;
+  }
+  contract = new web3.eth.Contract(abi, contractAddress);
+  contractAvailable = true;
+  renderContractFeatures();
+  const missing = CONTRACT_FEATURES.filter(feature => !hasFeature(feature.key)).length;
+  setContractStatus(missing ? `Contract: ready (${missing} feature(s) unavailable)` : 'Contract: ready', missing ? 'info' : 'success');
+  await subscribeContractEvents();
+  flushOutbox();
+  refreshPendingTxs();
+  checkRecallNotices();
+  loadRoles();
 }
 
 function onConnected(addr = '') {
@@ -239,6 +412,7 @@ async function connectWallet() {
     if (accounts.length) {
       onConnected(accounts[0]);
       await initContract();
+      loadRoles();
     } else {
       onConnected('');
     }
@@ -248,372 +422,6439 @@ async function connectWallet() {
   }
 }
 
-// Lookup product (uses on-chain if available, otherwise demo)
-async function lookupProduct() {
-  const input = $('lotInput');
-  if (!input) return;
-  const lot = input.value.trim();
-  if (!lot) { alert('Enter lot number'); return; }
+// ------------------ Networks ------------------
+// NETWORKS (plus networks.json) is the deployment registry. The wallet's chain picks the active entry,
+// which sets contractAddress, apiBaseUrl, the explorer used for tx links and the history start block.
+// ?network=<key|chainId> pins one deployment (the wallet is asked to switch to it) and ?contract=0x…
+// overrides its address (with ?startBlock= for its deployment block; the registry's belongs to the
+// registry's contract). On a chain with no entry the app stays in demo mode and offers to switch.
 
-  clearProductUI();
+const DEFAULT_NATIVE_CURRENCY = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+let networkRegistry = Object.assign({}, NETWORKS);
+let activeNetwork = null; // registry entry (with its key) for the wallet's chain, or null
+let walletChainId = null; // decimal chain ID reported by the wallet
+let pinnedNetworkKey = ''; // from ?network=
+let contractOverride = ''; // from ?contract=
+let contractOverrideStartBlock = null; // from ?startBlock= (only with ?contract=)
 
-  // if contract available, prefer on-chain lookup (safe try/catch)
-  if (CONTRACT_ADDRESS && contract && web3 && contractAvailable) {
-    try {
-      const res = await contract.methods.consumerLookupByLot(lot).call();
-      // consumerLookupByLot returns: name, origin, certifications, stage, handler, latestQR
-      const name = res[0] || '';
-      const origin = res[1] || '';
-      const certs = res[2] || '';
-      const stageNum = parseInt(res[3] || '0', 10);
-      const imageUrl = getProductImage(name);
-      showProduct({ name, origin, certs, stage: stageToString(stageNum), imageUrl });
+const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+const parseChainId = (value) => {
+  const id = /^0x/i.test(String(value)) ? parseInt(value, 16) : parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+const isBlockNumber = (value) => Number.isInteger(value) && value >= 0;
+const networkList = () => Object.keys(networkRegistry).map(key => Object.assign({ key }, networkRegistry[key]));
 
-      // fetch IoT logs if available
-      try {
-        const logsRes = await contract.methods.getIoTLogs(lot).call();
-        const temps = logsRes[0] || [];
-        const notes = logsRes[1] || [];
-        const timestamps = logsRes[2] || [];
-        const logs = temps.map((t, idx) => ({
-          ts: parseInt(timestamps[idx] || '0', 10) * 1000,
-          temp: parseInt(t, 10),
-          note: notes[idx] || ''
-        }));
-        renderIoTLogs(logs);
-      } catch (e) {
-        // not fatal — just show empty logs or demo fallback
-        console.warn('Failed to fetch on-chain IoT logs', e);
-      }
-      return;
-    } catch (e) {
-      console.warn('On-chain lookup failed; falling back to demo', e);
-      setContractStatus('Contract: on-chain lookup failed — using demo', 'warning');
+// registry key, or a chain ID in decimal / 0x hex
+function findNetwork(ref) {
+  if (!ref) return null;
+  if (networkRegistry[ref]) return Object.assign({ key: ref }, networkRegistry[ref]);
+  const chainId = parseChainId(ref);
+  return chainId ? networkList().find(net => net.chainId === chainId) || null : null;
+}
+
+async function loadNetworkConfig() {
+  networkRegistry = Object.assign({}, NETWORKS);
+  try {
+    const resp = await fetch(NETWORK_CONFIG_URL, { cache: 'no-store' });
+    if (resp.ok) {
+      const extra = await resp.json();
+      Object.keys(extra || {}).forEach((key) => {
+        const net = Object.assign({}, networkRegistry[key], extra[key]);
+        if (!parseChainId(net.chainId)) return console.warn(`${NETWORK_CONFIG_URL}: "${key}" has no valid chainId — ignored`);
+        if (net.contractAddress && !isAddress(net.contractAddress)) return console.warn(`${NETWORK_CONFIG_URL}: "${key}" has an invalid contractAddress — ignored`);
+        if (net.startBlock !== undefined && !isBlockNumber(net.startBlock)) return console.warn(`${NETWORK_CONFIG_URL}: "${key}" has an invalid startBlock — ignored`);
+        networkRegistry[key] = Object.assign(net, { chainId: parseChainId(net.chainId) });
+      });
     }
+  } catch (e) {
+    // the file is optional (and unreachable from file://)
   }
 
-  // show demo product if on-chain not used / failed
-  showDemoProduct(lot);
+  const params = new URLSearchParams(window.location.search);
+  const pinned = findNetwork(params.get('network'));
+  if (params.get('network') && !pinned) console.warn(`Unknown network "${params.get('network')}" in URL — ignored`);
+  pinnedNetworkKey = pinned ? pinned.key : '';
+  const override = params.get('contract') || '';
+  if (override && !isAddress(override)) console.warn('Invalid ?contract= address — ignored');
+  contractOverride = isAddress(override) ? override : '';
+  const overrideStart = params.get('startBlock');
+  contractOverrideStartBlock = contractOverride && /^\d+$/.test(overrideStart || '') ? parseInt(overrideStart, 10) : null;
+  if (overrideStart && contractOverrideStartBlock === null) console.warn('?startBlock= needs ?contract= and a block number — ignored');
 }
 
-function stageToString(n) {
-  const map = ['Registered','Vendor','Manufacturer','Logistics','Retail','Sold'];
-  return map[n] || 'Unknown';
-}
+// the deployment we want the wallet on: the pinned one, else the default
+const preferredNetwork = () => findNetwork(pinnedNetworkKey) || findNetwork(DEFAULT_NETWORK);
 
-function showDemoProduct(lot) {
-  const fallback = {name:'Unknown Product', origin:'Unknown', certifications:'-', stage:'Unknown', iot:[], imageUrl:''};
-  const p = DEMO_PRODUCTS[lot] || fallback;
-  const imageUrl = p.imageUrl || getProductImage(p.name);
-  showProduct({ name: p.name, origin: p.origin, certs: p.certifications, stage: p.stage, imageUrl });
-  renderIoTLogs(p.iot.map(x=>({ts:x.ts, temp:x.temp, note:x.note})));
-}
+// choose the deployment for the wallet's chain (null = no wallet)
+function selectNetwork(chainId) {
+  walletChainId = chainId;
+  const pinned = findNetwork(pinnedNetworkKey);
+  if (!chainId) activeNetwork = preferredNetwork();
+  else if (pinned) activeNetwork = pinned.chainId === chainId ? pinned : null;
+  else activeNetwork = networkList().find(net => net.chainId === chainId) || null;
 
-function showProduct({name, origin, certs, stage, iotCount, imageUrl}) {
-  const productImage = $('productImage');
-  if (productImage) {
-    productImage.src = imageUrl || DEFAULT_PRODUCT_IMAGE;
-    productImage.alt = `${name} photo`;
-    productImage.classList.remove('hidden');
+  contractAddress = activeNetwork ? (contractOverride || activeNetwork.contractAddress || '') : '';
+  if (activeNetwork && contractOverride) activeNetwork.startBlock = contractOverrideStartBlock === null ? undefined : contractOverrideStartBlock;
+  // storage follows the network too; on an unsupported chain keep the preferred network's API
+  const nextApi = (activeNetwork || preferredNetwork() || {}).apiBaseUrl || '';
+  if (nextApi !== apiBaseUrl) {
+    const reopen = storagePromise !== null;
+    apiBaseUrl = nextApi;
+    storagePromise = null;
+    if (reopen) { loadLeaderboard(); renderBadges(); checkRecallNotices(); loadRoles(); }
   }
+  if (!chainId) setNetworkStatus(activeNetwork ? `Network: ${activeNetwork.name} (no wallet)` : 'Network: —');
+  else setNetworkStatus(activeNetwork ? `Network: ${activeNetwork.name}` : `Network: unsupported (chain ${chainId})`);
+  renderNetworkBanner();
+}
 
-  const nameEl = $('productName'); if (nameEl) nameEl.textContent = name || 'Product Name';
-  const originEl = $('productOrigin'); if (originEl) originEl.textContent = origin || '-';
-  const certsEl = $('productCerts'); if (certsEl) certsEl.textContent = certs || '-';
-  const stageEl = $('productStage'); if (stageEl) stageEl.textContent = stage || '-';
+async function detectWalletNetwork() {
+  let chainId = null;
+  if (window.ethereum) {
+    try { chainId = parseChainId(await window.ethereum.request({ method: 'eth_chainId' })); } catch (e) { console.warn('eth_chainId failed', e); }
+  }
+  selectNetwork(chainId);
+}
 
-  const timeline = $('timeline');
-  if (timeline) {
-    timeline.innerHTML = '';
-    TIMELINE_STAGES.forEach((label) => {
-      const node = document.createElement('div');
-      node.className = 'timeline-step';
-      node.textContent = label;
-      timeline.appendChild(node);
+function renderNetworkBanner() {
+  const banner = $('networkBanner');
+  if (!banner) return;
+  const unsupported = Boolean(window.ethereum && walletChainId && !activeNetwork);
+  banner.classList.toggle('hidden', !unsupported);
+  if (!unsupported) return;
+  const pinned = findNetwork(pinnedNetworkKey);
+  const message = $('networkMessage');
+  if (message) {
+    message.textContent = pinned
+      ? `This page is set to ${pinned.name}, but your wallet is on chain ${walletChainId}.`
+      : `Chain ${walletChainId} has no Rich Products deployment — showing demo data.`;
+  }
+  const select = $('networkSelect');
+  if (select) {
+    const choices = pinned ? [pinned] : networkList().filter(net => net.contractAddress);
+    const preferred = preferredNetwork();
+    select.innerHTML = '';
+    choices.forEach((net) => {
+      const option = document.createElement('option');
+      option.value = net.key;
+      option.textContent = `${net.name} (chain ${net.chainId})`;
+      option.selected = Boolean(preferred && preferred.key === net.key);
+      select.appendChild(option);
     });
+    select.classList.toggle('hidden', choices.length < 2);
+  }
+}
 
-    // highlight active stage if possible
-    const activeIndex = TIMELINE_STAGES.findIndex(s => s.toLowerCase() === (stage || '').toLowerCase());
-    if (activeIndex >= 0 && timeline.children[activeIndex]) {
-      timeline.children[activeIndex].classList.add('active');
+// ask the wallet to switch; if it does not know the chain yet, offer to add it
+async function switchNetwork(key) {
+  const net = findNetwork(key);
+  if (!net || !window.ethereum) return;
+  const chainId = toHexChainId(net.chainId);
+  try {
+    await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (e) {
+    const code = e && (e.code || (e.data && e.data.originalError && e.data.originalError.code));
+    if (code === 4001) return; // declined
+    if (code !== 4902) {
+      console.warn('wallet_switchEthereumChain failed', e);
+      return alert(`Could not switch to ${net.name}: ${(e && e.message) || e}`);
+    }
+    if (!net.rpcUrl) return alert(`${net.name} is not in your wallet and has no rpcUrl configured to add it`);
+    try {
+      await window.ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId,
+          chainName: net.name,
+          rpcUrls: [net.rpcUrl],
+          blockExplorerUrls: net.explorerUrl ? [net.explorerUrl] : undefined,
+          nativeCurrency: net.currency || DEFAULT_NATIVE_CURRENCY
+        }]
+      });
+    } catch (addErr) {
+      if (addErr && addErr.code === 4001) return;
+      console.warn('wallet_addEthereumChain failed', addErr);
+      alert(`Could not add ${net.name}: ${(addErr && addErr.message) || addErr}`);
     }
   }
+  // the wallet's chainChanged event re-initializes the contract
 }
 
-function renderIoTLogs(logs) {
-  const list = $('iotLogs');
-  if (!list) return;
-  list.innerHTML = '';
+// block explorer link for 'tx' / 'address' on the active network ('' when none is configured)
+function explorerUrl(kind, value, network = activeNetwork) {
+  if (!network || !network.explorerUrl || !value) return '';
+  return `${network.explorerUrl.replace(/\/$/, '')}/${kind}/${value}`;
+}
 
-  if (!Array.isArray(logs) || logs.length === 0) {
-    const emptyState = document.createElement('li');
-    emptyState.textContent = 'No IoT logs available yet';
-    list.appendChild(emptyState);
-    return;
-  }
+// ------------------ Contract capabilities ------------------
+// The ABI comes from the compiled artifact (NETWORKS[…].abiArtifact or ABI_ARTIFACT_URL), not from
+// app.js. A feature is available when every function it needs is declared in that ABI with the
+// expected signature AND its 4-byte selector appears in the deployed bytecode (solc dispatchers
+// embed them; contracts behind a proxy therefore show as missing). On-chain, unavailable features
+// are disabled in the UI; demo mode supports everything.
 
-  logs.forEach((log) => {
-    const li = document.createElement('li');
-    const tempLine = document.createElement('div');
-    tempLine.className = 'iot-entry-meta';
-    tempLine.innerHTML = `<strong>${log.temp}°C</strong> — ${log.note}`;
+const CONTRACT_FEATURES = [
+  { key: 'lookup', label: 'Product lookup', required: ['consumerLookupByLot(string)', 'getIoTLogs(string)'] },
+  { key: 'registration', label: 'Lot registration', required: ['registerProduct(string,string,string,string)'] },
+  { key: 'duplicateCheck', label: 'Duplicate lot check', required: ['productExists(string)'] },
+  { key: 'iot', label: 'IoT capture', required: ['captureIoTData(string,int256,string)'] },
+  { key: 'iotBatch', label: 'Batch import (device timestamps)', required: ['captureIoTBatch(string,int256[],string[],uint256[])'] },
+  { key: 'qr', label: 'Signed QR tokens', required: ['generateQRToken(string,bytes32)', 'getQRToken(string)'] },
+  { key: 'handoff', label: 'Stage handoffs', required: ['initiateHandoff(string,address)', 'acceptHandoff(string)', 'cancelHandoff(string)', 'getPendingHandoff(string)'] },
+  { key: 'custody', label: 'Custody timeline', required: ['getStageHistory(string)'] },
+  { key: 'recall', label: 'Recalls', required: ['issueRecall(string[],uint8,string)', 'liftRecall(string)', 'getRecall(string)'] },
+  { key: 'lineage', label: 'Lot split & merge', required: ['splitLot(string,string[])', 'mergeLots(string[],string,string,string,string)', 'getLineage(string)'] },
+  { key: 'certifications', label: 'Certification records', required: ['addCertification(string,string,string,string,uint256,uint256,bytes32)', 'attestCertification(string,uint256)', 'getCertifications(string)'] },
+  { key: 'roles', label: 'Roles', required: ['grantRole(uint8,address)', 'revokeRole(uint8,address)', 'getRoles(address)', 'getRoleMembers(uint8)'] }
+];
+const abiCache = {}; // artifact URL -> Promise<abi>
+let contractFeatures = {}; // key -> { available, notInAbi: [signature], notDeployed: [signature] }
 
-    const timeLine = document.createElement('div');
-    timeLine.className = 'iot-entry-time';
-    timeLine.textContent = new Date(log.ts).toLocaleString();
+const hasFeature = (key) => Boolean(contractFeatures[key] && contractFeatures[key].available);
+// on-chain a feature needs contract support; demo data supports everything
+const featureEnabled = (key) => !onChainMode() || hasFeature(key);
+const featureLabel = (key) => (CONTRACT_FEATURES.find(feature => feature.key === key) || { label: key }).label;
+const abiSignature = (entry) => `${entry.name}(${(entry.inputs || []).map(input => input.type).join(',')})`;
 
-    li.appendChild(tempLine);
-    li.appendChild(timeLine);
-    list.appendChild(li);
+// Remix / Hardhat / Truffle artifacts have an `abi` array; a bare ABI array works too
+function loadContractAbi(url) {
+  if (!abiCache[url]) {
+    abiCache[url] = (async () => {
+      const resp = await fetch(url);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const artifact = await resp.json();
+      const abi = Array.isArray(artifact) ? artifact : artifact && artifact.abi;
+      if (!Array.isArray(abi)) throw new Error('artifact has no "abi" array');
+      return abi;
+    })();
+    abiCache[url].catch(() => { delete abiCache[url]; }); // try again on the next init
+  }
+  return abiCache[url];
+}
+
+function detectContractFeatures(abi, code) {
+  const declared = new Set(abi.filter(entry => entry.type === 'function').map(abiSignature));
+  const bytecode = String(code || '').toLowerCase();
+  const features = {};
+  CONTRACT_FEATURES.forEach((feature) => {
+    const notInAbi = feature.required.filter(sig => !declared.has(sig));
+    const notDeployed = feature.required.filter(sig => declared.has(sig) && !bytecode.includes(web3.utils.keccak256(sig).slice(2, 10)));
+    features[feature.key] = { available: !notInAbi.length && !notDeployed.length, notInAbi, notDeployed };
   });
+  return features;
 }
 
-function clearProductUI() {
-  const imageEl = $('productImage');
-  if (imageEl) {
-    imageEl.classList.add('hidden');
-    imageEl.removeAttribute('src');
+function renderContractFeatures() {
+  const list = $('contractFeatures');
+  if (list) {
+    list.innerHTML = '';
+    const detected = Object.keys(contractFeatures).length > 0;
+    list.classList.toggle('hidden', !detected);
+    if (detected) {
+      CONTRACT_FEATURES.forEach((feature) => {
+        const state = contractFeatures[feature.key];
+        const li = document.createElement('li');
+        li.dataset.available = String(state.available);
+        li.textContent = `${state.available ? '✓' : '✗'} ${feature.label}`;
+        if (state.notInAbi.length) li.title = `Not in the ABI artifact: ${state.notInAbi.join(', ')}`;
+        else if (state.notDeployed.length) li.title = `Not in the deployed contract: ${state.notDeployed.join(', ')}`;
+        list.appendChild(li);
+      });
+    }
   }
-  const resetMap = {
-    productName: 'Product Name',
-    productOrigin: '-',
-    productCerts: '-',
-    productStage: '-'
-  };
-  Object.entries(resetMap).forEach(([id, value]) => {
+  applyFeatureGates();
+}
+
+// disable controls for features the connected contract lacks
+function applyFeatureGates() {
+  [['logIoTBtn', 'iot'], ['generateQRBtn', 'qr']].forEach(([id, key]) => {
     const el = $(id);
-    if (el) el.textContent = value;
+    if (!el) return;
+    el.disabled = !featureEnabled(key);
+    el.title = featureEnabled(key) ? '' : `${featureLabel(key)} is not supported by this contract`;
   });
+  setRegistrationBusy(registrationInFlight);
+  setRecallBusy(recallInFlight);
+  setLineageBusy(lineageInFlight);
+  setCertificationBusy(certificationInFlight);
+  setRoleBusy(roleInFlight);
+  applyRoleGates();
+  renderImportPreview();
+  renderHandoffPanel(activeHandoff);
+}
 
-  const timeline = $('timeline'); if (timeline) timeline.innerHTML = '';
-  const logs = $('iotLogs'); if (logs) logs.innerHTML = '';
+// ------------------ Transaction manager ------------------
+// Every contract write goes through sendTx(): gas and fee are estimated first (a revert fails the
+// write before the wallet prompt), then the tx is followed to TX_CONFIRMATIONS confirmations.
+// Each write gets a toast (pending → confirmed / failed), and each tx that got a hash is kept in a
+// local history (sessionStore 'transactions/history', newest first) with an explorer link.
+
+const TX_CONFIRMATIONS = 3;
+const TX_GAS_HEADROOM = 1.2; // gas limit = estimate × headroom
+const TX_HISTORY_LIMIT = 50;
+const TX_TOAST_MS = 6000; // confirmed toasts close by themselves; failed ones stay until dismissed
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string), the ABI encoding of require() messages
+// require() messages from FoodTraceability.sol that need rewording; others are shown as they are
+const TX_REVERT_MESSAGES = {
+  'Unknown product': 'Lot is not registered on-chain',
+  'Not found': 'Lot is not registered on-chain',
+  'Product already registered': 'Lot is already registered on-chain',
+  'Invalid lot number': 'Lot number is empty',
+  'Invalid batch size': 'Batch is empty or larger than the contract accepts',
+  'Length mismatch': 'Batch temperatures, notes and timestamps do not line up',
+  'Invalid timestamp': 'A reading has no timestamp or one in the future',
+  'Invalid QR payload': 'QR label digest is empty',
+  'Invalid receiver': 'Receiver must be another wallet address',
+  'Caller lacks the required role': 'Your account lacks the role for this action — ask an admin to grant it'
+};
+const TX_STATUS_LABELS = { pending: 'Pending', confirmed: 'Confirmed', failed: 'Failed' };
+let txHistory = []; // [{ hash, label, lot, from, chainId, network, status, confirmations, gas, fee, blockNumber, error, submittedAt, updatedAt }]
+let txSeq = 0;
+const txToastTimers = {};
+
+function decodeRevertData(data) {
+  if (typeof data !== 'string' || !data.startsWith(ERROR_STRING_SELECTOR) || !web3 || !web3.eth || !web3.eth.abi) return '';
+  try { return web3.eth.abi.decodeParameter('string', `0x${data.slice(10)}`); } catch (e) { return ''; }
 }
 
-function generateQR() {
-  const input = $('lotInput');
-  if (!input) return;
-  const lot = input.value.trim();
-  if (!lot) return alert('Enter lot number to generate QR');
-  const container = $('qrcode'); if (!container) return;
-  container.innerHTML = '';
-  new QRCode(container, { text: lot, width: 160, height: 160 });
+// require() message behind an error, from any of the shapes wallets and nodes use ('' if none)
+function revertReason(e) {
+  if (!e) return '';
+  if (e.reason) return e.reason;
+  const nested = [e.data, e.data && e.data.data, e.data && e.data.originalError && e.data.originalError.data, e.error && e.error.data, e.error && e.error.data && e.error.data.data];
+  for (const data of nested) {
+    const reason = decodeRevertData(data);
+    if (reason) return reason;
+  }
+  const message = String(e.message || '');
+  const encoded = message.match(/0x08c379a0[0-9a-f]+/i);
+  const decoded = encoded ? decodeRevertData(encoded[0]) : '';
+  if (decoded) return decoded;
+  const text = message.match(/reverted with reason string '([^']+)'|execution reverted:?\s*([^"\n]+)/i);
+  return text ? (text[1] || text[2]).trim() : '';
 }
 
-// Camera scanning + optional jsQR decode
-let scanning = false;
-let videoStream = null;
-let qrScanInterval = null;
+function describeTxError(e) {
+  if (e && e.code === 4001) return 'transaction rejected in wallet';
+  const reason = revertReason(e);
+  if (reason) return TX_REVERT_MESSAGES[reason] || reason;
+  const message = (e && e.message) || 'unknown error';
+  if (/insufficient funds/i.test(message)) return 'not enough funds in the wallet to pay for gas';
+  if (e && e.receipt) return 'reverted by the contract';
+  return message.split('\n')[0];
+}
 
-async function startCameraScan() {
-  const video = $('qrVideo');
-  if (!video) return;
-  video.classList.remove('hidden');
+// mined-but-reverted receipts carry no reason; re-running the call at that block recovers it
+async function replayRevertReason(method, from, blockNumber) {
   try {
-    videoStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
-    video.srcObject = videoStream; video.play(); scanning = true;
-
-    // If jsQR is available, try to decode frames every 300ms
-    if (typeof jsQR === 'function') {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      qrScanInterval = setInterval(() => {
-        try {
-          if (video.readyState !== video.HAVE_ENOUGH_DATA) return;
-          canvas.width = video.videoWidth;
-          canvas.height = video.videoHeight;
-          ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const code = jsQR(imageData.data, imageData.width, imageData.height);
-          if (code && code.data) {
-            // found code — set input and lookup
-            const lotInput = $('lotInput');
-            if (lotInput) lotInput.value = code.data;
-            stopCameraScan();
-            lookupProduct();
-          }
-        } catch (e) {
-          console.warn('QR decode error', e);
-        }
-      }, 300);
-      // stop automatically after timeout if not found
-      setTimeout(()=>{ if (scanning) { stopCameraScan(); alert('Camera scan timed out — please enter lot manually'); } }, CAMERA_TIMEOUT_MS);
-    } else {
-      // no jsQR available — show camera and tell user to read code visually
-      setTimeout(()=>{ stopCameraScan(); alert('Camera scan demo: please type the lot shown on product packaging into the input (or add jsQR to enable automatic decoding)'); }, CAMERA_TIMEOUT_MS);
-    }
+    await method.call({ from }, blockNumber);
   } catch (e) {
-    alert('Camera unavailable or permission denied');
-    console.warn('startCameraScan error', e);
-    const video = $('qrVideo'); if (video) video.classList.add('hidden');
+    return revertReason(e);
   }
+  return '';
 }
 
-function stopCameraScan() {
-  if (qrScanInterval) { clearInterval(qrScanInterval); qrScanInterval = null; }
-  if (videoStream) { videoStream.getTracks().forEach(t => t.stop()); videoStream = null; }
-  const video = $('qrVideo'); if (video) video.classList.add('hidden');
-  scanning = false;
+// { gas: limit to send with, fee: estimated wei as a string (null if the gas price is unknown) }
+async function estimateTx(method, from) {
+  const gas = Number(await method.estimateGas({ from }));
+  let gasPrice = null;
+  try { gasPrice = await web3.eth.getGasPrice(); } catch (e) { console.warn('getGasPrice failed', e); }
+  return { gas: Math.ceil(gas * TX_GAS_HEADROOM), fee: gasPrice ? String(BigInt(gas) * BigInt(gasPrice)) : null };
 }
 
-// Simulate IoT log: will attempt on-chain captureIoTData if contract available, otherwise add demo IoT
-function simulateIoT() {
-  const lotInput = $('lotInput');
-  if (!lotInput) return;
-  const lot = lotInput.value.trim();
-  if (!lot) return alert('Enter lot number first');
-  const temp = -15 - Math.floor(Math.random() * 6);
-  const note = DEMO_IOT_NOTES[Math.floor(Math.random() * DEMO_IOT_NOTES.length)];
+function formatFee(wei, network = activeNetwork) {
+  if (wei === null || wei === undefined || !web3 || !web3.utils) return '';
+  const symbol = ((network && network.currency) || DEFAULT_NATIVE_CURRENCY).symbol;
+  return `${parseFloat(Number(web3.utils.fromWei(String(wei), 'ether')).toPrecision(3))} ${symbol}`;
+}
 
-  if (CONTRACT_ADDRESS && contract && accounts && accounts[0] && contractAvailable) {
-    // Try to call on-chain captureIoTData (extended ABI). If it fails, fallback to demo.
-    try {
-      contract.methods.captureIoTData(lot, temp, note).send({ from: accounts[0] })
-        .on('transactionHash', h => { alert('IoT log sent: ' + h); })
-        .on('error', e => { alert('Tx failed, showing demo log'); console.warn(e); addDemoIoT(lot, temp, note); });
-    } catch (e) {
-      console.warn('captureIoTData send failed', e);
-      addDemoIoT(lot, temp, note);
-    }
-  } else {
-    addDemoIoT(lot, temp, note);
+// Send a contract write; resolves with the receipt once mined, rejects with the wallet / revert error.
+// onStatus(message, tone) mirrors progress into the caller's status line until the tx is mined.
+// details: { label, lot, from (default accounts[0]), onHash(hash) }
+async function sendTx(method, onStatus = () => {}, details = {}) {
+  const id = ++txSeq;
+  const from = details.from || accounts[0];
+  const label = details.label || 'Contract transaction';
+  const network = activeNetwork;
+  let settled = false;
+  let hash = null;
+  const report = (state, message, tone) => {
+    if (!settled) onStatus(message, tone);
+    setTxToast(id, { label, state, detail: message, hash, network });
+  };
+
+  report('pending', 'Estimating gas…', 'info');
+  let estimate;
+  try {
+    estimate = await estimateTx(method, from);
+  } catch (e) {
+    if (isNetworkError(e)) dismissTxToast(id); // callers queue these in the outbox
+    else report('failed', `Failed — ${describeTxError(e)}`, 'error');
+    throw e;
   }
+  const fee = estimate.fee ? ` (≈ ${formatFee(estimate.fee, network)})` : '';
+  report('pending', `Pending — confirm in your wallet: gas limit ${estimate.gas}${fee}`, 'info');
+
+  return new Promise((resolve, reject) => {
+    method.send({ from, gas: estimate.gas })
+      .on('transactionHash', (h) => {
+        hash = h;
+        recordTx(h, { label, lot: details.lot || '', from, chainId: network ? network.chainId : walletChainId, network: network ? network.name : '', gas: estimate.gas, fee: estimate.fee });
+        if (details.onHash) details.onHash(h);
+        report('pending', `Pending — tx ${h} submitted, waiting to be mined…`, 'info');
+      })
+      .on('receipt', (receipt) => {
+        if (settled || !receipt || receipt.status === false) return; // reverts arrive through 'error'
+        const paid = receipt.gasUsed && receipt.effectiveGasPrice ? String(BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice)) : estimate.fee;
+        hash = receipt.transactionHash || hash;
+        recordTx(hash, { status: 'confirmed', blockNumber: receipt.blockNumber, fee: paid, confirmations: 1 });
+        report('confirmed', `Mined in block ${receipt.blockNumber} — 1/${TX_CONFIRMATIONS} confirmations`, 'success');
+        settled = true;
+        resolve(receipt);
+      })
+      .on('confirmation', (number, receipt) => {
+        const confirmations = Number(number) + 1; // web3 counts the including block as 0
+        if (!settled || confirmations < 2 || confirmations > TX_CONFIRMATIONS) return;
+        recordTx(hash, { confirmations });
+        report('confirmed', `Mined in block ${receipt.blockNumber} — ${confirmations}/${TX_CONFIRMATIONS} confirmations`, 'success');
+      })
+      .on('error', async (e, errorReceipt) => {
+        if (settled) return; // e.g. web3 giving up on confirmations after the receipt
+        const mined = e.receipt || errorReceipt;
+        if (mined && mined.status === false && !e.reason) e.reason = await replayRevertReason(method, from, mined.blockNumber);
+        if (hash && !isNetworkError(e)) recordTx(hash, { status: 'failed', error: describeTxError(e), blockNumber: mined ? mined.blockNumber : undefined });
+        if (isNetworkError(e) && !hash) dismissTxToast(id);
+        else report('failed', `Failed — ${describeTxError(e)}`, 'error');
+        settled = true;
+        reject(e);
+      });
+  });
 }
 
-// Fixed addDemoIoT (no duplicate keys)
-function addDemoIoT(lot, temp, note) {
-  if (!DEMO_PRODUCTS[lot]) {
-    DEMO_PRODUCTS[lot] = {
-      name: lot,
-      origin: 'Unknown',
-      certifications: '-',
-      stage: 'Unknown',
-      iot: [],
-      imageUrl: DEFAULT_PRODUCT_IMAGE
-    };
+// ---- toasts ----
+
+function setTxToast(id, { label, state, detail, hash, network }) {
+  const wrap = $('txToasts');
+  if (!wrap) return;
+  let toast = $(`txToast-${id}`);
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = `txToast-${id}`;
+    toast.className = 'tx-toast';
+    const title = document.createElement('strong');
+    title.dataset.role = 'title';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'tx-toast-close';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.textContent = '×';
+    close.onclick = () => dismissTxToast(id);
+    const body = document.createElement('div');
+    body.dataset.role = 'detail';
+    const link = document.createElement('a');
+    link.dataset.role = 'link';
+    Object.assign(link, { target: '_blank', rel: 'noopener', textContent: 'View on explorer' });
+    toast.append(close, title, body, link);
+    wrap.appendChild(toast);
   }
-  DEMO_PRODUCTS[lot].iot.push({ ts: Date.now(), temp: temp, note: note });
-  renderIoTLogs(DEMO_PRODUCTS[lot].iot.slice(-10).map(x => ({ ts: x.ts, temp: x.temp, note: x.note })));
+  toast.dataset.state = state;
+  toast.querySelector('[data-role="title"]').textContent = `${label} — ${TX_STATUS_LABELS[state]}`;
+  toast.querySelector('[data-role="detail"]').textContent = detail;
+  const link = toast.querySelector('[data-role="link"]');
+  const url = explorerUrl('tx', hash, network);
+  link.classList.toggle('hidden', !url);
+  if (url) link.href = url;
+  if (txToastTimers[id]) clearTimeout(txToastTimers[id]);
+  if (state === 'confirmed') txToastTimers[id] = setTimeout(() => dismissTxToast(id), TX_TOAST_MS);
 }
 
-// Consumer scan — local points awarding only (on-chain consumerScan not included in extended ABI)
-function consumerScan() {
-  const lotInput = $('lotInput');
-  if (!lotInput) return;
-  const lot = lotInput.value.trim();
-  if (!lot) return alert('Enter lot number');
+function dismissTxToast(id) {
+  if (txToastTimers[id]) { clearTimeout(txToastTimers[id]); delete txToastTimers[id]; }
+  const toast = $(`txToast-${id}`);
+  if (toast) toast.remove();
+}
 
-  // award local session points.
-  const basePoints = 10;
-  const bonus = awardBadgesIfAny(lot) || 0;
-  const increment = basePoints + bonus;
+// ---- history ----
 
-  sessionPoints += increment;
-  updateSessionPoints();
+async function loadTxHistory() {
+  try {
+    txHistory = (await sessionStore.get('transactions', 'history')) || [];
+  } catch (e) {
+    reportStorageError('loading transaction history', e);
+    txHistory = [];
+  }
+  renderTxHistory();
+}
 
-  // update leaderboard demo (local) and persist for user; store incremental points
-  const name = currentUser ? currentUser.username : 'You';
-  const entry = { name, points: increment, badges: bonus ? ['Farm Fresh'] : [] };
+function saveTxHistory() {
+  return sessionStore.set('transactions', 'history', txHistory).catch(e => reportStorageError('saving transaction history', e));
+}
 
-  // upsert into in-memory LEADERBOARD
-  const existing = LEADERBOARD.find(e => e.name === name);
+// insert or update the history row for a tx hash
+function recordTx(hash, fields) {
+  if (!hash) return;
+  const existing = txHistory.find(tx => tx.hash === hash);
   if (existing) {
-    existing.points = (existing.points || 0) + entry.points;
-    existing.badges = Array.from(new Set([...(existing.badges || []), ...(entry.badges || [])]));
+    Object.assign(existing, fields, { updatedAt: Date.now() });
   } else {
-    LEADERBOARD.push({ name: entry.name, points: entry.points, badges: entry.badges });
+    txHistory.unshift(Object.assign({ hash, label: 'Contract transaction', lot: '', status: 'pending', confirmations: 0, submittedAt: Date.now(), updatedAt: Date.now() }, fields));
+    txHistory.splice(TX_HISTORY_LIMIT);
   }
+  saveTxHistory();
+  renderTxHistory();
+}
 
-  persistLeaderboardEntry(entry);
-  renderLeaderboardWith(LEADERBOARD);
+function clearTxHistory() {
+  txHistory = txHistory.filter(tx => tx.status === 'pending'); // keep what is still in flight
+  saveTxHistory();
+  renderTxHistory();
 }
 
-function updateSessionPoints() { const el = $('sessionPoints'); if (el) el.textContent = sessionPoints; }
+// txs left pending by an earlier page load: look their receipts up once per contract init
+async function refreshPendingTxs() {
+  if (!web3 || !activeNetwork) return;
+  const pending = txHistory.filter(tx => tx.status === 'pending' && tx.chainId === activeNetwork.chainId);
+  for (const tx of pending) {
+    try {
+      const receipt = await web3.eth.getTransactionReceipt(tx.hash);
+      if (!receipt) continue;
+      if (receipt.status === false) recordTx(tx.hash, { status: 'failed', blockNumber: receipt.blockNumber, error: 'reverted by the contract' });
+      else recordTx(tx.hash, { status: 'confirmed', blockNumber: receipt.blockNumber, confirmations: Math.max(tx.confirmations, 1) });
+    } catch (e) {
+      console.warn('Receipt lookup failed', tx.hash, e);
+    }
+  }
+}
 
-function renderLeaderboard() { renderLeaderboardWith(LEADERBOARD); }
-function renderLeaderboardWith(list) {
-  const container = $('leaderboardList');
-  if (!container) return;
-  container.innerHTML = '';
-  const sorted = (list || []).slice().sort((a,b) => (b.points || 0) - (a.points || 0));
-  sorted.slice(0,20).forEach((entry) => {
+function renderTxHistory() {
+  const list = $('txHistoryList');
+  if (!list) return;
+  list.innerHTML = '';
+  const clearBtn = $('txHistoryClearBtn');
+  if (clearBtn) clearBtn.disabled = !txHistory.some(tx => tx.status !== 'pending');
+  if (!txHistory.length) {
+    const empty = document.createElement('li');
+    empty.className = 'activity-empty';
+    empty.textContent = 'No transactions sent from this browser yet';
+    list.appendChild(empty);
+    return;
+  }
+  txHistory.forEach((tx) => {
     const li = document.createElement('li');
-    const row = document.createElement('div');
-    row.className = 'lb-row';
+    li.dataset.status = tx.status;
 
-    const nameCell = document.createElement('div');
-    nameCell.className = 'lb-name';
-    nameCell.textContent = entry.name;
+    const head = document.createElement('div');
+    head.className = 'activity-head';
+    const title = document.createElement('strong');
+    title.textContent = tx.label;
+    const state = document.createElement('span');
+    state.className = 'tx-state';
+    state.textContent = TX_STATUS_LABELS[tx.status] || tx.status;
+    head.append(title, state);
 
-    (entry.badges || []).forEach((badge) => {
-      const badgeChip = document.createElement('span');
-      badgeChip.className = 'lb-badge';
-      badgeChip.textContent = badge;
-      nameCell.appendChild(badgeChip);
-    });
+    const detail = document.createElement('div');
+    detail.className = 'activity-detail';
+    detail.textContent = [tx.lot, tx.error].filter(Boolean).join(' — ');
 
-    const pointsCell = document.createElement('div');
-    pointsCell.className = 'lb-points';
-    pointsCell.textContent = entry.points;
+    const network = findNetwork(tx.chainId);
+    const meta = document.createElement('div');
+    meta.className = 'activity-meta';
+    const parts = [new Date(tx.submittedAt).toLocaleString()];
+    if (tx.network) parts.push(tx.network);
+    if (tx.blockNumber) parts.push(`block ${tx.blockNumber}`);
+    if (tx.status === 'confirmed') parts.push(`${Math.min(tx.confirmations, TX_CONFIRMATIONS)}/${TX_CONFIRMATIONS} confirmations`);
+    if (tx.fee) parts.push(`fee ${tx.status === 'confirmed' ? '' : '≈ '}${formatFee(tx.fee, network)}`);
+    meta.textContent = parts.join(' • ');
+    const txUrl = explorerUrl('tx', tx.hash, network);
+    const link = document.createElement(txUrl ? 'a' : 'span');
+    link.textContent = `tx ${tx.hash.slice(0, 10)}…`;
+    if (txUrl) Object.assign(link, { href: txUrl, target: '_blank', rel: 'noopener' });
+    meta.append(' • ', link);
 
-    row.appendChild(nameCell);
-    row.appendChild(pointsCell);
-    li.appendChild(row);
-    container.appendChild(li);
+    li.append(head, detail, meta);
+    list.appendChild(li);
   });
 }
 
-// ------------------ Auth & persistence ------------------
+// ------------------ Contract events ------------------
+// Live feed of ProductRegistered / IoTDataCaptured / QRGenerated (plus handoff and recall events).
+// Uses a web3 subscription when the provider supports it and polls getPastEvents as a
+// safety net; both paths are deduplicated. initContract() tears down and re-creates this.
+
+const EVENT_POLL_MS = 8000;
+const ACTIVITY_FEED_LIMIT = 25;
+const IOT_REFRESH_DEBOUNCE_MS = 300;
+const SEEN_EVENT_LIMIT = 2000; // duplicates only arrive from recent blocks, so the oldest keys can go
+const ACTIVITY_FEED = [];
+const seenEventKeys = new Set(); // insertion-ordered: the first key is the oldest
+const lotHashIndex = {}; // keccak256(lot) -> lot (indexed string event args arrive hashed)
+let eventSubscription = null;
+let eventPollTimer = null;
+let lastEventBlock = null;
+let eventGeneration = 0;
+let iotRefreshTimer = null;
+
+function rememberLot(lot) {
+  if (!lot || !web3 || !web3.utils) return;
+  try { lotHashIndex[web3.utils.keccak256(lot).toLowerCase()] = lot; } catch (e) {}
+}
+
+// indexed `string lotNumber` topics are keccak hashes; map back to lots we know about ('' if unknown)
+function resolveEventLot(value) {
+  if (!value) return '';
+  const key = String(value).toLowerCase();
+  if (lotHashIndex[key]) return lotHashIndex[key];
+  return /^0x[0-9a-f]{64}$/.test(key) ? '' : value;
+}
+
+async function subscribeContractEvents() {
+  unsubscribeContractEvents();
+  if (!contract || !web3) return;
+  const generation = ++eventGeneration;
+  Object.keys(DEMO_PRODUCTS).forEach(rememberLot);
+  if (activeLot) rememberLot(activeLot);
+
+  try { lastEventBlock = await web3.eth.getBlockNumber(); } catch (e) { lastEventBlock = null; }
+  if (generation !== eventGeneration) return;
+
+  try {
+    if (contract.events && typeof contract.events.allEvents === 'function') {
+      eventSubscription = contract.events.allEvents({ fromBlock: 'latest' })
+        .on('data', (ev) => { if (generation === eventGeneration) handleContractEvent(ev); })
+        .on('error', (e) => { console.warn('Event subscription unavailable — polling only', e); });
+    }
+  } catch (e) {
+    console.warn('Event subscription failed — polling only', e);
+    eventSubscription = null;
+  }
+  eventPollTimer = setInterval(() => pollContractEvents(generation), EVENT_POLL_MS);
+}
+
+function unsubscribeContractEvents() {
+  eventGeneration++;
+  if (eventSubscription) {
+    try { eventSubscription.unsubscribe && eventSubscription.unsubscribe(); } catch (e) {}
+    try { eventSubscription.removeAllListeners && eventSubscription.removeAllListeners(); } catch (e) {}
+    eventSubscription = null;
+  }
+  if (eventPollTimer) { clearInterval(eventPollTimer); eventPollTimer = null; }
+}
+
+async function pollContractEvents(generation) {
+  if (!contract || !web3 || generation !== eventGeneration) return;
+  try {
+    const latest = await web3.eth.getBlockNumber();
+    if (lastEventBlock === null) { lastEventBlock = latest; return; }
+    if (latest <= lastEventBlock) return;
+    const events = await contract.getPastEvents('allEvents', { fromBlock: lastEventBlock + 1, toBlock: latest });
+    if (generation !== eventGeneration) return;
+    lastEventBlock = latest;
+    events.forEach(handleContractEvent);
+  } catch (e) {
+    console.warn('Event polling failed', e);
+  }
+}
+
+function handleContractEvent(ev) {
+  if (!ev || !ev.event) return;
+  const key = `${ev.transactionHash}:${ev.logIndex}`;
+  if (seenEventKeys.has(key)) return;
+  seenEventKeys.add(key);
+  if (seenEventKeys.size > SEEN_EVENT_LIMIT) seenEventKeys.delete(seenEventKeys.values().next().value);
+
+  const values = ev.returnValues || {};
+  const lot = resolveEventLot(values.lotNumber);
+  const isActive = activeLot && lot === activeLot;
+  const entry = { kind: 'chain', lot, lotHash: lot ? '' : values.lotNumber, title: ev.event, detail: '', txHash: ev.transactionHash, blockNumber: ev.blockNumber };
+
+  switch (ev.event) {
+    case 'ProductRegistered':
+      entry.detail = `${values.name} — ${values.origin}`;
+      break;
+    case 'IoTDataCaptured': {
+      if (isActive) scheduleActiveIoTRefresh();
+      // captureIoTBatch emits one event per reading: fold them into a single feed entry per tx
+      const batch = ACTIVITY_FEED.find(item => item.kind === 'chain' && item.title === 'IoTDataCaptured' && item.txHash === ev.transactionHash);
+      if (batch) {
+        batch.count = (batch.count || 1) + 1;
+        batch.detail = `${batch.count} readings (by ${formatParty(values.handler)})`;
+        renderActivityFeed();
+        return;
+      }
+      entry.detail = `${values.temperature}°C — ${values.note} (by ${formatParty(values.handler)})`;
+      break;
+    }
+    case 'QRGenerated':
+      entry.detail = `${values.token} (by ${formatParty(values.generator)})`;
+      break;
+    case 'HandoffInitiated':
+      entry.detail = `→ ${stageToString(parseInt(values.toStage, 10))}: ${formatParty(values.from)} → ${formatParty(values.to)}`;
+      if (isActive && activeHandoff) loadOnChainCustody(activeLot, activeHandoff.stage);
+      break;
+    case 'HandoffCancelled':
+      entry.detail = `cancelled by ${formatParty(values.from)}`;
+      if (isActive && activeHandoff) loadOnChainCustody(activeLot, activeHandoff.stage);
+      break;
+    case 'RecallIssued':
+    case 'RecallLifted':
+      entry.detail = ev.event === 'RecallIssued'
+        ? `${recallSeverity({ severity: parseInt(values.severity, 10) }).label}: ${values.reason} (by ${formatParty(values.issuer)})`
+        : `lifted by ${formatParty(values.issuer)}`;
+      if (isActive || lineageIncludes(lot)) {
+        const shown = activeLot;
+        loadLotRecall(shown).then(recall => { if (activeLot === shown) renderRecallBanner(shown, recall); });
+      }
+      checkRecallNotices();
+      break;
+    case 'LotSplit':
+    case 'LotsMerged': {
+      const related = [].concat((ev.event === 'LotSplit' ? values.childLots : values.parentLots) || []);
+      related.forEach(rememberLot);
+      entry.detail = `${ev.event === 'LotSplit' ? 'into' : 'from'} ${related.join(', ')} (by ${formatParty(values.handler)})`;
+      if (activeLot && [lot, ...related].some(lineageIncludes)) refreshLineage(activeLot);
+      break;
+    }
+    case 'CertificationAdded':
+      entry.detail = `#${parseInt(values.index, 10) + 1} ${values.certType} (by ${formatParty(values.addedBy)})`;
+      if (isActive) refreshCertifications(lot);
+      break;
+    case 'CertificationAttested':
+      entry.detail = `#${parseInt(values.index, 10) + 1} attested by ${formatParty(values.certifier)}`;
+      if (isActive) refreshCertifications(lot);
+      break;
+    case 'RoleGranted':
+    case 'RoleRevoked': {
+      const role = ROLES[parseInt(values.role, 10)];
+      entry.detail = `${role ? role.label : `Role ${values.role}`} ${ev.event === 'RoleGranted' ? '→' : '✗'} ${formatParty(values.account)} (by ${formatParty(values.admin)})`;
+      loadRoles();
+      break;
+    }
+    case 'StageUpdated': {
+      const stage = stageToString(parseInt(values.stage, 10));
+      entry.detail = `${stage} — held by ${formatParty(values.handler)}`;
+      if (isActive) {
+        const stageEl = $('productStage'); if (stageEl) stageEl.textContent = stage;
+        loadOnChainCustody(activeLot, stage);
+      }
+      break;
+    }
+    default:
+      return;
+  }
+  pushActivity(entry);
+}
+
+// coalesce bursts of IoT events (batch imports) into one getIoTLogs call
+function scheduleActiveIoTRefresh() {
+  if (iotRefreshTimer) clearTimeout(iotRefreshTimer);
+  iotRefreshTimer = setTimeout(() => {
+    iotRefreshTimer = null;
+    if (activeLot) loadOnChainIoTLogs(activeLot, $('productName') ? $('productName').textContent : '');
+  }, IOT_REFRESH_DEBOUNCE_MS);
+}
+
+// kind: 'chain' | 'tx' | 'demo' | 'network'
+function pushActivity(entry) {
+  ACTIVITY_FEED.unshift(Object.assign({ ts: Date.now() }, entry));
+  ACTIVITY_FEED.splice(ACTIVITY_FEED_LIMIT);
+  renderActivityFeed();
+}
+
+function renderActivityFeed() {
+  const list = $('activityFeed');
+  if (!list) return;
+  list.innerHTML = '';
+  if (!ACTIVITY_FEED.length) {
+    const empty = document.createElement('li');
+    empty.className = 'activity-empty';
+    empty.textContent = 'No activity yet';
+    list.appendChild(empty);
+    return;
+  }
+  ACTIVITY_FEED.forEach((item) => {
+    const li = document.createElement('li');
+    li.dataset.kind = item.kind;
+
+    const head = document.createElement('div');
+    head.className = 'activity-head';
+    const title = document.createElement('strong');
+    title.textContent = item.title;
+    head.appendChild(title);
+    if (item.lot) {
+      const lotLink = document.createElement('button');
+      lotLink.type = 'button';
+      lotLink.className = 'activity-lot';
+      lotLink.textContent = item.lot;
+      lotLink.onclick = () => { const input = $('lotInput'); if (input) input.value = item.lot; lookupProduct(); };
+      head.appendChild(lotLink);
+    } else if (item.lotHash) {
+      const lotRef = document.createElement('span');
+      lotRef.className = 'activity-lot unknown';
+      lotRef.title = 'Lot number is only known by its hash';
+      lotRef.textContent = `lot ${String(item.lotHash).slice(0, 10)}…`;
+      head.appendChild(lotRef);
+    }
+
+    const detail = document.createElement('div');
+    detail.className = 'activity-detail';
+    detail.textContent = item.detail || '';
+
+    const meta = document.createElement('div');
+    meta.className = 'activity-meta';
+    const parts = [new Date(item.ts).toLocaleTimeString()];
+    if (item.blockNumber) parts.push(`block ${item.blockNumber}`);
+    if (item.kind === 'demo') parts.push('demo');
+    meta.textContent = parts.join(' • ');
+    if (item.txHash) {
+      const txUrl = explorerUrl('tx', item.txHash);
+      const tx = document.createElement(txUrl ? 'a' : 'span');
+      tx.textContent = `tx ${item.txHash.slice(0, 10)}…`;
+      if (txUrl) Object.assign(tx, { href: txUrl, target: '_blank', rel: 'noopener' });
+      meta.append(' • ', tx);
+    }
+
+    li.append(head, detail, meta);
+    list.appendChild(li);
+  });
+}
+
+// Lookup product (uses on-chain if available, otherwise demo)
+async function lookupProduct() {
+  const input = $('lotInput');
+  if (!input) return;
+  const lot = input.value.trim();
+  if (!lot) { alert('Enter lot number'); return; }
+  if (parseQRToken(lot) || parseConsumerLink(lot)) return onQRDecoded(lot); // pasted label payload or link
+  renderQRVerdict(null);
+  await showLot(lot);
+}
+
+// Render a lot into the product card (on-chain when available, otherwise demo data)
+async function showLot(lot) {
+  clearProductUI();
+
+  // if contract available, prefer on-chain lookup (safe try/catch)
+  if (contractAddress && contract && web3 && contractAvailable) {
+    try {
+      const res = await contract.methods.consumerLookupByLot(lot).call();
+      // consumerLookupByLot returns: name, origin, certifications, stage, handler, latestQR
+      const name = res[0] || '';
+      const origin = res[1] || '';
+      const certs = res[2] || '';
+      const stageNum = parseInt(res[3] || '0', 10);
+      const imageUrl = getProductImage(name);
+      const stage = stageToString(stageNum);
+      showProduct({ name, origin, certs, stage, imageUrl });
+      activeLot = lot;
+      rememberLot(lot);
+      cacheLookup(lot, { lookup: { name, origin, certs, stage } });
+      renderRecallBanner(lot, await loadLotRecall(lot));
+      renderCertifications(lot, await loadCertifications(lot));
+      refreshLineage(lot);
+      await loadOnChainCustody(lot, stage);
+      await loadOnChainIoTLogs(lot, name);
+      return;
+    } catch (e) {
+      if (isNetworkError(e) && await showCachedLot(lot)) return;
+      console.warn('On-chain lookup failed; falling back to demo', e);
+      setContractStatus('Contract: on-chain lookup failed — using demo', 'warning');
+    }
+  }
+
+  // offline before the contract could be reached: last cached on-chain result beats demo data
+  if (contractAddress && !contractAvailable && navigator.onLine === false && await showCachedLot(lot)) return;
+
+  // show demo product if on-chain not used / failed
+  showDemoProduct(lot);
+}
+
+// getIoTLogs returns parallel arrays (temps, notes, unix seconds)
+function parseIoTLogs(logsRes) {
+  const temps = logsRes[0] || [];
+  const notes = logsRes[1] || [];
+  const timestamps = logsRes[2] || [];
+  return temps.map((t, idx) => ({
+    ts: parseInt(timestamps[idx] || '0', 10) * 1000,
+    temp: parseInt(t, 10),
+    note: notes[idx] || ''
+  }));
+}
+
+// fetch + render IoT logs for an on-chain lot
+async function loadOnChainIoTLogs(lot, name) {
+  try {
+    const logs = parseIoTLogs(await contract.methods.getIoTLogs(lot).call());
+    activeChainLogs = { lot, name, logs };
+    cacheLookup(lot, { logs });
+    renderIoTLogs(withOutboxReadings(lot, logs), getTemperatureProfile(lot, name));
+  } catch (e) {
+    // not fatal — fall back to the cached logs (if any) plus queued readings
+    console.warn('Failed to fetch on-chain IoT logs', e);
+    const cached = await readCachedLookup(lot);
+    activeChainLogs = { lot, name, logs: (cached && cached.logs) || [] };
+    refreshActiveReadings();
+  }
+}
+
+function stageToString(n) {
+  return STAGE_NAMES[n] || 'Unknown';
+}
+
+function showDemoProduct(lot) {
+  const fallback = {name:'Unknown Product', origin:'Unknown', certifications:'-', stage:'Unknown', iot:[], imageUrl:''};
+  const p = DEMO_PRODUCTS[lot] || fallback;
+  const imageUrl = p.imageUrl || getProductImage(p.name);
+  showProduct({ name: p.name, origin: p.origin, certs: p.certifications, stage: p.stage, imageUrl, custody: p.custody, pendingHandoff: p.pendingHandoff });
+  activeLot = DEMO_PRODUCTS[lot] ? lot : null;
+  renderRecallBanner(lot, null);
+  if (activeLot) loadLotRecall(lot).then(recall => { if (activeLot === lot) renderRecallBanner(lot, recall); });
+  renderCertifications(activeLot, p.certificationRecords || []);
+  refreshLineage(activeLot);
+  renderHandoffPanel(activeLot ? { stage: p.stage, custodian: demoCustodian(p), pending: p.pendingHandoff } : null);
+  renderIoTLogs(p.iot.map(x=>({ts:x.ts, temp:x.temp, note:x.note})), getTemperatureProfile(lot, p.name));
+}
+
+function showProduct({name, origin, certs, stage, iotCount, imageUrl, custody, pendingHandoff}) {
+  const productImage = $('productImage');
+  if (productImage) {
+    productImage.src = imageUrl || DEFAULT_PRODUCT_IMAGE;
+    productImage.alt = `${name} photo`;
+    productImage.classList.remove('hidden');
+  }
+
+  const nameEl = $('productName'); if (nameEl) nameEl.textContent = name || 'Product Name';
+  const originEl = $('productOrigin'); if (originEl) originEl.textContent = origin || '-';
+  const certsEl = $('productCerts'); if (certsEl) certsEl.textContent = certs || '-';
+  const stageEl = $('productStage'); if (stageEl) stageEl.textContent = stage || '-';
+
+  renderTimeline(stage, custody, pendingHandoff);
+}
+
+// Timeline: one step per stage with the party that held the lot there and when it took custody
+function renderTimeline(stage, custody = [], pending = null) {
+  const timeline = $('timeline');
+  if (!timeline) return;
+  timeline.innerHTML = '';
+  const activeIndex = stageIndex(stage);
+
+  TIMELINE_STAGES.forEach((label, idx) => {
+    const node = document.createElement('div');
+    node.className = 'timeline-step';
+
+    const title = document.createElement('div');
+    title.className = 'timeline-label';
+    title.textContent = label;
+    node.appendChild(title);
+
+    const record = (custody || []).filter(r => stageIndex(r.stage) === idx).pop();
+    const detail = document.createElement('div');
+    detail.className = 'timeline-detail';
+    if (record) {
+      detail.textContent = `${formatParty(record.handler)} • ${new Date(record.ts).toLocaleString()}`;
+      node.classList.add('done');
+    } else if (pending && stageIndex(pending.toStage) === idx) {
+      detail.textContent = `Awaiting acceptance by ${formatParty(pending.to)}`;
+      node.classList.add('pending');
+    }
+    if (detail.textContent) node.appendChild(detail);
+
+    // highlight active stage if possible
+    if (idx === activeIndex) node.classList.add('active');
+    timeline.appendChild(node);
+  });
+
+  updateTemperatureChart({ transitions: (custody || []).map(r => ({ ts: r.ts, label: r.stage })) });
+}
+
+// ------------------ Cold-chain compliance ------------------
+// Temperature profiles describe the allowed band for a product class; the rules below run over
+// IoT logs (on-chain getIoTLogs or DEMO_PRODUCTS[lot].iot) and report findings with a severity.
+
+const TEMPERATURE_PROFILES = {
+  frozen:  { id: 'frozen',  label: 'Frozen',  target: -18, tolerance: 3, criticalMax: -10, maxExcursionMinutes: 30, maxGapMinutes: 120 },
+  chilled: { id: 'chilled', label: 'Chilled', target: 4,   tolerance: 2, criticalMax: 10,  maxExcursionMinutes: 60, maxGapMinutes: 120 },
+  ambient: { id: 'ambient', label: 'Ambient', target: 20,  tolerance: 5, criticalMax: 35,  maxExcursionMinutes: 240, maxGapMinutes: 720 }
+};
+const DEFAULT_TEMPERATURE_PROFILE = 'frozen';
+
+// keyword matchers (same approach as PRODUCT_IMAGE_MATCHERS) for lots without an explicit profile
+const TEMPERATURE_PROFILE_MATCHERS = [
+  { keywords: ['frozen'], profile: 'frozen' },
+  { keywords: ['ice cream'], profile: 'frozen' },
+  { keywords: ['chilled'], profile: 'chilled' },
+  { keywords: ['fresh'], profile: 'chilled' },
+  { keywords: ['dry'], profile: 'ambient' }
+];
+
+function getTemperatureProfile(lot, name = '') {
+  const demo = DEMO_PRODUCTS[lot];
+  if (demo && demo.profile && TEMPERATURE_PROFILES[demo.profile]) return TEMPERATURE_PROFILES[demo.profile];
+  const normalized = (name || '').trim().toLowerCase();
+  for (const matcher of TEMPERATURE_PROFILE_MATCHERS) {
+    if (matcher.keywords.every((keyword) => normalized.includes(keyword))) return TEMPERATURE_PROFILES[matcher.profile];
+  }
+  return TEMPERATURE_PROFILES[DEFAULT_TEMPERATURE_PROFILE];
+}
+
+const profileRange = (profile) => ({ min: profile.target - profile.tolerance, max: profile.target + profile.tolerance });
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+};
+
+// group consecutive out-of-band readings; an excursion lasts until the next in-band reading
+// (or the last reading when the lot never recovered)
+function findExcursions(logs, profile) {
+  const { min, max } = profileRange(profile);
+  const excursions = [];
+  let current = null;
+  logs.forEach((log, idx) => {
+    const out = log.temp < min || log.temp > max;
+    if (out) {
+      if (!current) current = { start: idx, indexes: [], startTs: log.ts, peak: log.temp, kind: log.temp > max ? 'high' : 'low' };
+      current.indexes.push(idx);
+      if (Math.abs(log.temp - profile.target) > Math.abs(current.peak - profile.target)) current.peak = log.temp;
+      return;
+    }
+    if (current) { current.endTs = log.ts; excursions.push(current); current = null; }
+  });
+  if (current) { current.endTs = logs[logs.length - 1].ts; current.ongoing = true; excursions.push(current); }
+  excursions.forEach((ex) => { ex.durationMs = Math.max(0, ex.endTs - ex.startTs); });
+  return excursions;
+}
+
+// each rule returns findings: { rule, severity: 'warning' | 'violation', message, indexes }
+const COLD_CHAIN_RULES = [
+  {
+    id: 'critical-temperature',
+    evaluate(logs, profile) {
+      return logs
+        .map((log, idx) => ({ log, idx }))
+        .filter(({ log }) => log.temp > profile.criticalMax)
+        .map(({ log, idx }) => ({
+          rule: this.id,
+          severity: 'violation',
+          message: `${log.temp}°C exceeds the ${profile.label.toLowerCase()} critical limit of ${profile.criticalMax}°C (${log.note || 'no note'})`,
+          indexes: [idx]
+        }));
+    }
+  },
+  {
+    id: 'excursion',
+    evaluate(logs, profile) {
+      const { min, max } = profileRange(profile);
+      return findExcursions(logs, profile).map((ex) => {
+        const tooLong = ex.durationMs > profile.maxExcursionMinutes * 60000;
+        const bound = ex.kind === 'high' ? `above ${max}°C` : `below ${min}°C`;
+        return {
+          rule: this.id,
+          severity: tooLong || ex.ongoing ? 'violation' : 'warning',
+          message: `${ex.indexes.length} reading(s) ${bound} for ${formatDuration(ex.durationMs)}${ex.ongoing ? ' (not yet recovered)' : ''}, peak ${ex.peak}°C`,
+          indexes: ex.indexes,
+          durationMs: ex.durationMs
+        };
+      });
+    }
+  },
+  {
+    id: 'reporting-gap',
+    evaluate(logs, profile) {
+      const findings = [];
+      for (let idx = 1; idx < logs.length; idx++) {
+        const gap = logs[idx].ts - logs[idx - 1].ts;
+        if (gap > profile.maxGapMinutes * 60000) {
+          findings.push({
+            rule: this.id,
+            severity: 'warning',
+            message: `No sensor data for ${formatDuration(gap)} (limit ${formatDuration(profile.maxGapMinutes * 60000)})`,
+            indexes: [idx],
+            durationMs: gap
+          });
+        }
+      }
+      return findings;
+    }
+  }
+];
+
+const SEVERITY_RANK = { ok: 0, warning: 1, violation: 2 };
+
+// min / max / mean of the readings and how many (and how long) they sat outside the profile band
+function temperatureStatistics(logs, profile) {
+  const sorted = (logs || []).slice().sort((a, b) => a.ts - b.ts);
+  if (!sorted.length) return { readings: 0, min: null, max: null, mean: null, outOfRange: 0, timeOutOfRangeMs: 0, first: null, last: null };
+  const temps = sorted.map(log => log.temp);
+  const excursions = findExcursions(sorted, profile);
+  return {
+    readings: sorted.length,
+    min: Math.min(...temps),
+    max: Math.max(...temps),
+    mean: Math.round((temps.reduce((sum, t) => sum + t, 0) / temps.length) * 10) / 10,
+    outOfRange: excursions.reduce((count, ex) => count + ex.indexes.length, 0),
+    timeOutOfRangeMs: excursions.reduce((ms, ex) => ms + ex.durationMs, 0),
+    first: sorted[0].ts,
+    last: sorted[sorted.length - 1].ts
+  };
+}
+
+// run all rules; verdict is 'no-data', 'compliant', 'warning' or 'violation'
+function evaluateColdChain(logs, profile = TEMPERATURE_PROFILES[DEFAULT_TEMPERATURE_PROFILE]) {
+  const sorted = (logs || []).slice().sort((a, b) => a.ts - b.ts);
+  if (!sorted.length) return { verdict: 'no-data', profile, findings: [], flagged: {}, logs: sorted };
+  const findings = COLD_CHAIN_RULES.reduce((all, rule) => all.concat(rule.evaluate(sorted, profile)), []);
+  const flagged = {}; // index -> worst severity
+  findings.forEach((f) => f.indexes.forEach((idx) => {
+    if (!flagged[idx] || SEVERITY_RANK[f.severity] > SEVERITY_RANK[flagged[idx]]) flagged[idx] = f.severity;
+  }));
+  const worst = findings.reduce((acc, f) => (SEVERITY_RANK[f.severity] > SEVERITY_RANK[acc] ? f.severity : acc), 'ok');
+  return { verdict: worst === 'ok' ? 'compliant' : worst, profile, findings, flagged, logs: sorted };
+}
+
+function renderComplianceVerdict(report) {
+  const verdictEl = $('complianceVerdict');
+  const findingsEl = $('complianceFindings');
+  if (verdictEl) {
+    if (!report) {
+      verdictEl.classList.add('hidden');
+    } else {
+      const { min, max } = profileRange(report.profile);
+      const labels = { 'no-data': 'No data', compliant: 'Compliant', warning: 'Warning', violation: 'Violation' };
+      verdictEl.textContent = `Cold chain: ${labels[report.verdict]} — ${report.profile.label} profile ${min}°C to ${max}°C`;
+      verdictEl.dataset.verdict = report.verdict;
+      verdictEl.classList.remove('hidden');
+    }
+  }
+  if (findingsEl) {
+    findingsEl.innerHTML = '';
+    (report ? report.findings : []).forEach((finding) => {
+      const li = document.createElement('li');
+      li.dataset.severity = finding.severity;
+      li.textContent = finding.message;
+      findingsEl.appendChild(li);
+    });
+  }
+}
+
+function renderIoTLogs(logs, profile) {
+  const list = $('iotLogs');
+  if (!list) return;
+  list.innerHTML = '';
+
+  if (!Array.isArray(logs) || logs.length === 0) {
+    renderComplianceVerdict(null);
+    updateTemperatureChart({ logs: [], profile });
+    const emptyState = document.createElement('li');
+    emptyState.textContent = 'No IoT logs available yet';
+    list.appendChild(emptyState);
+    return;
+  }
+
+  const report = evaluateColdChain(logs, profile);
+  renderComplianceVerdict(report);
+  updateTemperatureChart({ logs: report.logs, profile, flagged: report.flagged });
+
+  report.logs.forEach((log, idx) => {
+    const li = document.createElement('li');
+    const severity = report.flagged[idx];
+    if (severity) li.classList.add(`iot-${severity}`);
+
+    const tempLine = document.createElement('div');
+    tempLine.className = 'iot-entry-meta';
+    const temp = document.createElement('strong');
+    temp.textContent = `${log.temp}°C`;
+    tempLine.append(temp, ` — ${log.note}`); // notes come from imports, gateways and other users: text only
+    if (log.status) {
+      const chip = document.createElement('span');
+      chip.className = 'reading-status';
+      chip.dataset.status = log.status;
+      chip.textContent = READING_STATUS_LABELS[log.status] || log.status;
+      tempLine.appendChild(chip);
+    }
+
+    const timeLine = document.createElement('div');
+    timeLine.className = 'iot-entry-time';
+    timeLine.textContent = new Date(log.ts).toLocaleString();
+
+    li.appendChild(tempLine);
+    li.appendChild(timeLine);
+    list.appendChild(li);
+  });
+}
+
+// ------------------ Temperature chart ------------------
+// Dependency-free SVG chart of a lot's full IoT history: allowed band, stage-transition markers,
+// per-point tooltips, wheel/drag/keyboard zoom & pan, and a data table as text fallback.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_SIZE = { width: 640, height: 260, left: 44, right: 14, top: 14, bottom: 30 };
+const CHART_MIN_SPAN_MS = 5 * 60 * 1000;
+const chartState = { logs: [], profile: null, flagged: {}, transitions: [], view: null, drag: null };
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  return el;
+}
+
+function resetTemperatureChart() {
+  Object.assign(chartState, { logs: [], profile: null, flagged: {}, transitions: [], view: null, drag: null });
+  drawTemperatureChart();
+}
+
+// merge new data into the chart; a new log set resets the zoom to the full history
+function updateTemperatureChart(patch) {
+  if (patch.logs) chartState.view = null;
+  Object.assign(chartState, patch);
+  drawTemperatureChart();
+}
+
+function chartDataExtent() {
+  const times = chartState.logs.map(l => l.ts);
+  let from = Math.min(...times);
+  let to = Math.max(...times);
+  if (to - from < CHART_MIN_SPAN_MS) { from -= CHART_MIN_SPAN_MS / 2; to += CHART_MIN_SPAN_MS / 2; }
+  return { from, to };
+}
+
+function zoomTemperatureChart(factor, anchorRatio = 0.5) {
+  if (!chartState.logs.length) return;
+  const full = chartDataExtent();
+  const view = chartState.view || full;
+  const span = view.to - view.from;
+  const nextSpan = Math.min(full.to - full.from, Math.max(CHART_MIN_SPAN_MS, span * factor));
+  const anchor = view.from + span * anchorRatio;
+  chartState.view = clampChartView({ from: anchor - nextSpan * anchorRatio, to: anchor + nextSpan * (1 - anchorRatio) });
+  drawTemperatureChart();
+}
+
+function panTemperatureChart(deltaMs) {
+  if (!chartState.logs.length) return;
+  const view = chartState.view || chartDataExtent();
+  chartState.view = clampChartView({ from: view.from + deltaMs, to: view.to + deltaMs });
+  drawTemperatureChart();
+}
+
+function clampChartView(view) {
+  const full = chartDataExtent();
+  const span = Math.min(view.to - view.from, full.to - full.from);
+  const from = Math.max(full.from, Math.min(view.from, full.to - span));
+  return { from, to: from + span };
+}
+
+function drawTemperatureChart() {
+  const wrap = $('tempChart');
+  if (!wrap) return;
+  wrap.innerHTML = '';
+  const { logs, profile, flagged, transitions } = chartState;
+  const controls = $('tempChartControls');
+  if (controls) controls.classList.toggle('hidden', logs.length === 0);
+  renderTemperatureTable();
+  if (!logs.length) {
+    wrap.classList.add('hidden');
+    return;
+  }
+  wrap.classList.remove('hidden');
+
+  const { width, height, left, right, top, bottom } = CHART_SIZE;
+  const plotW = width - left - right;
+  const plotH = height - top - bottom;
+  const view = chartState.view || chartDataExtent();
+  const band = profile ? profileRange(profile) : null;
+  const temps = logs.map(l => l.temp).concat(band ? [band.min, band.max] : []);
+  const yMin = Math.floor(Math.min(...temps)) - 2;
+  const yMax = Math.ceil(Math.max(...temps)) + 2;
+  const x = (ts) => left + ((ts - view.from) / (view.to - view.from)) * plotW;
+  const y = (temp) => top + ((yMax - temp) / (yMax - yMin)) * plotH;
+
+  const readings = logs.map(l => l.temp);
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'temp-chart-svg', role: 'img', tabindex: '0', 'aria-describedby': 'tempChartHelp' });
+  const title = svgEl('title');
+  title.textContent = `Temperature history: ${logs.length} readings from ${Math.min(...readings)}°C to ${Math.max(...readings)}°C` +
+    (band ? `, allowed ${band.min}°C to ${band.max}°C` : '');
+  svg.appendChild(title);
+
+  const defs = svgEl('defs');
+  const clip = svgEl('clipPath', { id: 'tempChartClip' });
+  clip.appendChild(svgEl('rect', { x: left, y: top, width: plotW, height: plotH }));
+  defs.appendChild(clip);
+  svg.appendChild(defs);
+
+  // y axis grid + labels
+  const yStep = Math.max(1, Math.ceil((yMax - yMin) / 5));
+  for (let t = Math.ceil(yMin / yStep) * yStep; t <= yMax; t += yStep) {
+    svg.appendChild(svgEl('line', { x1: left, x2: width - right, y1: y(t), y2: y(t), class: 'chart-grid' }));
+    const label = svgEl('text', { x: left - 6, y: y(t) + 4, class: 'chart-axis-label', 'text-anchor': 'end' });
+    label.textContent = `${t}°`;
+    svg.appendChild(label);
+  }
+  // x axis labels
+  const spanMs = view.to - view.from;
+  for (let i = 0; i <= 4; i++) {
+    const ts = view.from + (spanMs * i) / 4;
+    const label = svgEl('text', { x: x(ts), y: height - 10, class: 'chart-axis-label', 'text-anchor': i === 0 ? 'start' : i === 4 ? 'end' : 'middle' });
+    const d = new Date(ts);
+    label.textContent = spanMs > 2 * 86400000 ? d.toLocaleDateString() : d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    svg.appendChild(label);
+  }
+
+  const plot = svgEl('g', { 'clip-path': 'url(#tempChartClip)' });
+  if (band) {
+    plot.appendChild(svgEl('rect', { x: left, y: y(band.max), width: plotW, height: y(band.min) - y(band.max), class: 'chart-band' }));
+  }
+  (transitions || []).forEach((tr) => {
+    if (!tr.ts || tr.ts < view.from || tr.ts > view.to) return;
+    plot.appendChild(svgEl('line', { x1: x(tr.ts), x2: x(tr.ts), y1: top, y2: top + plotH, class: 'chart-stage-line' }));
+    const label = svgEl('text', { x: x(tr.ts) + 4, y: top + 12, class: 'chart-stage-label' });
+    label.textContent = tr.label;
+    plot.appendChild(label);
+  });
+  const path = logs.map((l, idx) => `${idx ? 'L' : 'M'}${x(l.ts).toFixed(1)},${y(l.temp).toFixed(1)}`).join(' ');
+  plot.appendChild(svgEl('path', { d: path, class: 'chart-line' }));
+  logs.forEach((log, idx) => {
+    const point = svgEl('circle', { cx: x(log.ts), cy: y(log.temp), r: 4, class: `chart-point${flagged && flagged[idx] ? ` ${flagged[idx]}` : ''}` });
+    point.addEventListener('mouseenter', () => showChartTooltip(log, x(log.ts) / width, y(log.temp) / height));
+    point.addEventListener('mouseleave', hideChartTooltip);
+    plot.appendChild(point);
+  });
+  svg.appendChild(plot);
+
+  attachChartInteractions(svg, plotW / width);
+  wrap.appendChild(svg);
+  const tooltip = document.createElement('div');
+  tooltip.id = 'tempChartTooltip';
+  tooltip.className = 'chart-tooltip hidden';
+  wrap.appendChild(tooltip);
+}
+
+function showChartTooltip(log, xRatio, yRatio) {
+  const tooltip = $('tempChartTooltip');
+  if (!tooltip) return;
+  tooltip.innerHTML = '';
+  const temp = document.createElement('strong');
+  temp.textContent = `${log.temp}°C`;
+  const note = document.createElement('div');
+  note.textContent = log.note || '—';
+  const time = document.createElement('div');
+  time.className = 'chart-tooltip-time';
+  time.textContent = new Date(log.ts).toLocaleString();
+  tooltip.append(temp, note, time);
+  tooltip.style.left = `${(xRatio * 100).toFixed(1)}%`;
+  tooltip.style.top = `${(yRatio * 100).toFixed(1)}%`;
+  tooltip.classList.remove('hidden');
+}
+
+function hideChartTooltip() {
+  const tooltip = $('tempChartTooltip'); if (tooltip) tooltip.classList.add('hidden');
+}
+
+function attachChartInteractions(svg, plotRatio) {
+  const ratioAt = (ev) => {
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width) return 0.5;
+    const r = ((ev.clientX - rect.left) / rect.width - CHART_SIZE.left / CHART_SIZE.width) / plotRatio;
+    return Math.min(1, Math.max(0, r));
+  };
+  svg.addEventListener('wheel', (ev) => {
+    ev.preventDefault();
+    zoomTemperatureChart(ev.deltaY < 0 ? 0.8 : 1.25, ratioAt(ev));
+  }, { passive: false });
+  svg.addEventListener('pointerdown', (ev) => {
+    const view = chartState.view || chartDataExtent();
+    chartState.drag = { startX: ev.clientX, view, width: svg.getBoundingClientRect().width * plotRatio };
+  });
+  svg.addEventListener('pointermove', (ev) => {
+    const drag = chartState.drag;
+    if (!drag || !drag.width) return;
+    const deltaMs = -((ev.clientX - drag.startX) / drag.width) * (drag.view.to - drag.view.from);
+    chartState.view = clampChartView({ from: drag.view.from + deltaMs, to: drag.view.to + deltaMs });
+    const keepDrag = chartState.drag;
+    drawTemperatureChart();
+    chartState.drag = keepDrag;
+  });
+  ['pointerup', 'pointerleave'].forEach((type) => svg.addEventListener(type, () => { chartState.drag = null; }));
+  svg.addEventListener('keydown', (ev) => {
+    const view = chartState.view || chartDataExtent();
+    const step = (view.to - view.from) / 5;
+    const actions = {
+      '+': () => zoomTemperatureChart(0.8), '=': () => zoomTemperatureChart(0.8), '-': () => zoomTemperatureChart(1.25),
+      ArrowLeft: () => panTemperatureChart(-step), ArrowRight: () => panTemperatureChart(step), '0': () => updateTemperatureChart({ view: null })
+    };
+    if (!actions[ev.key]) return;
+    ev.preventDefault();
+    actions[ev.key]();
+    const svgNow = document.querySelector('#tempChart svg'); if (svgNow) svgNow.focus();
+  });
+}
+
+// text fallback: every reading with its compliance flag
+function renderTemperatureTable() {
+  const body = $('tempTableBody');
+  if (!body) return;
+  body.innerHTML = '';
+  const { logs, flagged } = chartState;
+  const fallback = $('tempChartFallback');
+  if (fallback) fallback.classList.toggle('hidden', logs.length === 0);
+  logs.forEach((log, idx) => {
+    const row = document.createElement('tr');
+    [new Date(log.ts).toLocaleString(), `${log.temp}°C`, log.note || '—', flagged && flagged[idx] ? flagged[idx] : 'ok'].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+}
+
+function clearProductUI() {
+  const imageEl = $('productImage');
+  if (imageEl) {
+    imageEl.classList.add('hidden');
+    imageEl.removeAttribute('src');
+  }
+  const resetMap = {
+    productName: 'Product Name',
+    productOrigin: '-',
+    productCerts: '-',
+    productStage: '-'
+  };
+  Object.entries(resetMap).forEach(([id, value]) => {
+    const el = $(id);
+    if (el) el.textContent = value;
+  });
+
+  const timeline = $('timeline'); if (timeline) timeline.innerHTML = '';
+  const logs = $('iotLogs'); if (logs) logs.innerHTML = '';
+  renderComplianceVerdict(null);
+  renderRecallBanner(null, null);
+  renderCertifications(null, []);
+  lineageTrace++;
+  renderLineage(null);
+  resetTemperatureChart();
+  activeLot = null;
+  activeChainLogs = null;
+  renderHandoffPanel(null);
+}
+
+// ------------------ Signed QR labels ------------------
+// A label encodes "RPQ1:<lot>:<issuer>:<issuedAt>:<signature>". The issuer signs a readable
+// message with their wallet (personal_sign); generateQRToken stores keccak256(message) as the
+// lot's latestQR. On scan the signature is recovered and compared with the on-chain token, so a
+// forged label fails the signature check and an old label no longer matches latestQR.
+
+const QR_TOKEN_PREFIX = 'RPQ1';
+const QR_LABEL_SIZE = 200;
+
+const qrSigningMessage = ({ lot, iss, iat }) =>
+  `Rich Products QR label\nLot: ${lot}\nIssuer: ${iss.toLowerCase()}\nIssued at: ${iat}`;
+
+function encodeQRToken({ lot, iss, iat, sig }) {
+  return [QR_TOKEN_PREFIX, encodeURIComponent(lot), iss, iat, sig].join(':');
+}
+
+// returns { lot, iss, iat, sig } or null when the text is not a signed label
+function parseQRToken(text) {
+  const parts = String(text || '').trim().split(':');
+  if (parts.length !== 5 || parts[0] !== QR_TOKEN_PREFIX) return null;
+  const [, lotPart, iss, iatPart, sig] = parts;
+  const iat = parseInt(iatPart, 10);
+  let lot;
+  try { lot = decodeURIComponent(lotPart); } catch (e) { return null; }
+  if (!lot || !isAddress(iss) || !iat || !/^0x[0-9a-fA-F]{130}$/.test(sig)) return null;
+  return { lot, iss, iat, sig };
+}
+
+// web3 utilities work without a wallet (signature recovery, hashing)
+function web3Utils() {
+  if (web3) return web3;
+  return typeof Web3 !== 'undefined' ? new Web3() : null;
+}
+
+function setQRStatus(message, tone) {
+  const el = $('qrStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function renderQRCode(text) {
+  const container = $('qrcode'); if (!container) return;
+  container.innerHTML = '';
+  new QRCode(container, { text, width: QR_LABEL_SIZE, height: QR_LABEL_SIZE, correctLevel: QRCode.CorrectLevel.M });
+}
+
+async function generateQR() {
+  const input = $('lotInput');
+  if (!input) return;
+  const lot = input.value.trim();
+  if (!lot) return alert('Enter lot number to generate QR');
+
+  if (!web3 || !accounts || !accounts[0]) {
+    // no wallet to sign with: plain label, clearly marked as unverifiable
+    renderConsumerQR(lot);
+    setQRStatus('Unsigned label — connect a wallet to issue a tamper-evident QR', 'warning');
+    return;
+  }
+
+  if (!checkRole(HANDLER_ROLES, setQRStatus)) return;
+  const iss = accounts[0];
+  const iat = Math.floor(Date.now() / 1000);
+  const message = qrSigningMessage({ lot, iss, iat });
+  let sig;
+  try {
+    setQRStatus('Sign the label in your wallet…', 'info');
+    sig = await web3.eth.personal.sign(message, iss, '');
+  } catch (e) {
+    console.warn('QR signing failed', e);
+    setQRStatus(`Label not signed — ${describeTxError(e)}`, 'error');
+    return;
+  }
+  const payloadHash = web3.utils.keccak256(message);
+  const token = encodeQRToken({ lot, iss, iat, sig });
+
+  if (onChainMode()) {
+    if (!hasFeature('qr')) { setQRStatus(`${featureLabel('qr')} are not supported by this contract`, 'error'); return; }
+    try {
+      await sendTx(contract.methods.generateQRToken(lot, payloadHash), setQRStatus, { label: 'Signed QR label', lot });
+    } catch (e) {
+      console.warn('generateQRToken failed', e);
+      setQRStatus(`Failed — ${describeTxError(e)}`, 'error');
+      return;
+    }
+    renderConsumerQR(lot, token);
+    setQRStatus(`Mined — signed label issued for ${lot}; earlier labels are now stale`, 'success');
+    return;
+  }
+
+  if (!DEMO_PRODUCTS[lot]) {
+    setQRStatus(`${lot} is not registered in demo data`, 'error');
+    return;
+  }
+  DEMO_PRODUCTS[lot].qrTokens = [...(DEMO_PRODUCTS[lot].qrTokens || []), { token: payloadHash, generator: iss, ts: iat * 1000 }];
+  saveDemoProduct(lot);
+  pushActivity({ kind: 'demo', lot, title: 'QRGenerated', detail: `${payloadHash.slice(0, 18)}… (by ${formatParty(iss)})` });
+  renderConsumerQR(lot, token);
+  setQRStatus(`Signed demo label issued for ${lot}`, 'success');
+}
+
+// current on-chain (or demo) token for a lot: { token, issuer, issuedAt } or null
+async function fetchCurrentQRToken(lot) {
+  if (onChainMode()) {
+    if (hasFeature('qr')) {
+      const res = await contract.methods.getQRToken(lot).call();
+      return { token: res[0] || '', issuer: res[1], issuedAt: parseInt(res[2] || '0', 10) };
+    }
+    // older deployments: only latestQR is available
+    const res = await contract.methods.consumerLookupByLot(lot).call();
+    return { token: res[5] || '', issuer: null, issuedAt: 0 };
+  }
+  const tokens = (DEMO_PRODUCTS[lot] && DEMO_PRODUCTS[lot].qrTokens) || [];
+  const latest = tokens[tokens.length - 1];
+  return latest ? { token: latest.token, issuer: latest.generator, issuedAt: Math.floor(latest.ts / 1000) } : { token: '', issuer: null, issuedAt: 0 };
+}
+
+// whether `iss` once recorded this exact label for the lot (QRGenerated events, or the demo lot's
+// qrTokens). The token is the digest of a message that names the lot, so matching it is enough.
+async function wasQRRecorded(lot, iss, payloadHash) {
+  const digest = payloadHash.toLowerCase();
+  if (onChainMode()) {
+    const events = await contract.getPastEvents('QRGenerated', { filter: { generator: iss }, fromBlock: await historyStartBlock(), toBlock: 'latest' });
+    return events.some(ev => String(ev.returnValues.token || '').toLowerCase() === digest);
+  }
+  const tokens = (DEMO_PRODUCTS[lot] && DEMO_PRODUCTS[lot].qrTokens) || [];
+  return tokens.some(record => record.token.toLowerCase() === digest && sameParty(record.generator, iss));
+}
+
+// status: 'valid' | 'stale' | 'counterfeit' | 'unsigned' | 'unverified'. A label is only stale
+// when its signer really recorded it and a newer one replaced it; an old iat proves nothing.
+async function verifyScannedCode(text) {
+  const parsed = parseQRToken(text);
+  if (!parsed) {
+    return { status: 'unsigned', lot: String(text || '').trim(), message: 'Unsigned label — authenticity cannot be verified' };
+  }
+  const { lot, iss, iat, sig } = parsed;
+  const utils = web3Utils();
+  if (!utils) return { status: 'unverified', lot, message: 'Signature check unavailable (web3 not loaded)' };
+
+  const message = qrSigningMessage({ lot, iss, iat });
+  let signer = '';
+  try { signer = utils.eth.accounts.recover(message, sig); } catch (e) { signer = ''; }
+  if (!sameParty(signer, iss)) {
+    return { status: 'counterfeit', lot, message: 'Counterfeit label — signature does not match the issuer' };
+  }
+
+  let current;
+  try {
+    current = await fetchCurrentQRToken(lot);
+  } catch (e) {
+    console.warn('QR token lookup failed', e);
+    return { status: 'unverified', lot, message: `Signature valid (issuer ${formatParty(iss)}), but the lot could not be checked on-chain` };
+  }
+  const payloadHash = utils.utils.keccak256(message);
+  if (current.token && current.token.toLowerCase() === payloadHash.toLowerCase()) {
+    if (current.issuer && !sameParty(current.issuer, iss)) {
+      return { status: 'counterfeit', lot, message: 'Counterfeit label — issuer differs from the on-chain record' };
+    }
+    return { status: 'valid', lot, message: `Authentic label issued by ${formatParty(iss)} on ${new Date(iat * 1000).toLocaleString()}` };
+  }
+  let recorded;
+  try {
+    recorded = await wasQRRecorded(lot, iss, payloadHash);
+  } catch (e) {
+    console.warn('QR label history lookup failed', e);
+    return { status: 'unverified', lot, message: `Signature valid (issuer ${formatParty(iss)}), but this label is not the current one and its record could not be checked` };
+  }
+  if (recorded) {
+    const newer = current.issuedAt ? ` on ${new Date(current.issuedAt * 1000).toLocaleString()}` : '';
+    return { status: 'stale', lot, message: `Stale label — a newer QR was issued${newer}` };
+  }
+  return { status: 'counterfeit', lot, message: 'Counterfeit label — it was never recorded for this lot' };
+}
+
+function renderQRVerdict(result, id = 'qrVerdict') {
+  const el = $(id);
+  if (!el) return;
+  if (!result) { el.classList.add('hidden'); return; }
+  el.textContent = result.message;
+  el.dataset.status = result.status;
+  el.classList.remove('hidden');
+}
+
+// text is a signed label, a consumer link (see "Consumer page") or a bare lot number
+async function onQRDecoded(text) {
+  const link = parseConsumerLink(text);
+  const result = await verifyScannedCode(link ? (link.label || link.lot) : text);
+  renderQRVerdict(result);
+  const lotInput = $('lotInput');
+  if (lotInput) lotInput.value = result.lot;
+  if (result.lot) await showLot(result.lot);
+}
+
+// ------------------ Consumer page ------------------
+// QR labels encode a link to this page: index.html?lot=… (plus the signed label as &label= and the
+// current ?network= / ?contract=), so a phone's camera app opens it directly. The link loads a
+// read-only view of the lot without a wallet — the deployment's rpcUrl through a plain HTTP
+// provider, else demo data — and the consumer-mode class hides every handler and admin control.
+
+const CONSUMER_LINK_PARAMS = ['network', 'contract', 'startBlock']; // carried into the link so it opens the same deployment
+let consumerPage = false;
+
+// { lot, label } from a consumer link (URL or query string), or null when the text is not one
+function parseConsumerLink(text) {
+  const str = String(text || '').trim();
+  let params;
+  try {
+    params = str.startsWith('?') ? new URLSearchParams(str) : new URL(str).searchParams;
+  } catch (e) {
+    return null;
+  }
+  const lot = (params.get('lot') || '').trim();
+  if (!lot) return null;
+  const label = params.get('label') || '';
+  return { lot, label: parseQRToken(label) ? label : '' };
+}
+
+function buildConsumerLink(lot, label = '') {
+  const url = new URL('index.html', window.location.href);
+  url.searchParams.set('lot', lot);
+  if (label) url.searchParams.set('label', label);
+  const current = new URLSearchParams(window.location.search);
+  CONSUMER_LINK_PARAMS.forEach((key) => { if (current.get(key)) url.searchParams.set(key, current.get(key)); });
+  return url.href;
+}
+
+// QR code for the lot's consumer link, with the link underneath for copying / testing
+function renderConsumerQR(lot, label = '') {
+  const link = buildConsumerLink(lot, label);
+  renderQRCode(link);
+  const container = $('qrcode');
+  if (!container) return;
+  const anchor = document.createElement('a');
+  anchor.className = 'qr-link';
+  anchor.href = link;
+  anchor.target = '_blank';
+  anchor.rel = 'noopener';
+  anchor.textContent = 'Open consumer page';
+  container.appendChild(anchor);
+}
+
+async function initConsumerPage(link) {
+  consumerPage = true;
+  document.documentElement.classList.add('consumer-mode');
+  const full = $('consumerAppLink');
+  if (full) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('lot');
+    url.searchParams.delete('label');
+    full.href = url.href;
+  }
+
+  // the pinned / default deployment, whatever chain a wallet happens to be on
+  selectNetwork(null);
+  setWalletStatus('Read-only view — no wallet needed', 'info');
+  await loadStoredDemoProducts();
+  const rpcUrl = activeNetwork && activeNetwork.rpcUrl;
+  if (contractAddress && rpcUrl && typeof Web3 !== 'undefined') {
+    setContractStatus('Contract: detecting…', 'info');
+    web3 = new Web3(new Web3.providers.HttpProvider(rpcUrl));
+    await initContract();
+  } else {
+    setContractStatus(noContractStatus(), 'warning');
+  }
+
+  const result = await verifyScannedCode(link.label || link.lot);
+  renderQRVerdict(result, 'consumerVerdict');
+  await showConsumerLot(result.lot || link.lot);
+}
+
+async function showConsumerLot(lot) {
+  await showLot(lot);
+  const name = $('productName');
+  document.title = `${activeLot && name ? name.textContent : lot} — Rich Products traceability`;
+}
+
+// Camera scanning + optional jsQR decode
+let scanning = false;
+let videoStream = null;
+let qrScanInterval = null;
+
+async function startCameraScan() {
+  const video = $('qrVideo');
+  if (!video) return;
+  video.classList.remove('hidden');
+  try {
+    videoStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    video.srcObject = videoStream; video.play(); scanning = true;
+
+    // If jsQR is available, try to decode frames every 300ms
+    if (typeof jsQR === 'function') {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      qrScanInterval = setInterval(() => {
+        try {
+          if (video.readyState !== video.HAVE_ENOUGH_DATA) return;
+          canvas.width = video.videoWidth;
+          canvas.height = video.videoHeight;
+          ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+          const code = jsQR(imageData.data, imageData.width, imageData.height);
+          if (code && code.data) {
+            // found code — verify the label, then lookup
+            stopCameraScan();
+            onQRDecoded(code.data);
+          }
+        } catch (e) {
+          console.warn('QR decode error', e);
+        }
+      }, 300);
+      // stop automatically after timeout if not found
+      setTimeout(()=>{ if (scanning) { stopCameraScan(); alert('Camera scan timed out — please enter lot manually'); } }, CAMERA_TIMEOUT_MS);
+    } else {
+      // no jsQR available — show camera and tell user to read code visually
+      setTimeout(()=>{ stopCameraScan(); alert('Camera scan demo: please type the lot shown on product packaging into the input (or add jsQR to enable automatic decoding)'); }, CAMERA_TIMEOUT_MS);
+    }
+  } catch (e) {
+    alert('Camera unavailable or permission denied');
+    console.warn('startCameraScan error', e);
+    const video = $('qrVideo'); if (video) video.classList.add('hidden');
+  }
+}
+
+function stopCameraScan() {
+  if (qrScanInterval) { clearInterval(qrScanInterval); qrScanInterval = null; }
+  if (videoStream) { videoStream.getTracks().forEach(t => t.stop()); videoStream = null; }
+  const video = $('qrVideo'); if (video) video.classList.add('hidden');
+  scanning = false;
+}
+
+// Simulate IoT log: one random reading for the lot in the search box
+function simulateIoT() {
+  const lotInput = $('lotInput');
+  if (!lotInput) return;
+  const lot = lotInput.value.trim();
+  if (!lot) return alert('Enter lot number first');
+  if (!checkRole(HANDLER_ROLES, alert)) return;
+  const temp = -15 - Math.floor(Math.random() * 6);
+  const note = DEMO_IOT_NOTES[Math.floor(Math.random() * DEMO_IOT_NOTES.length)];
+  recordReadings(lot, [{ ts: Date.now(), temp, note }]);
+}
+
+// Single entry point for new readings (Simulate button, IoT gateway). On-chain they go through the
+// outbox — one reading as captureIoTData, several as captureIoTBatch — otherwise into demo data.
+function recordReadings(lot, readings, source = '') {
+  if (!readings.length) return;
+  if (onChainMode() && accounts && accounts[0]) {
+    // prefer batches (they keep device timestamps); contracts without captureIoTBatch get single readings
+    const batch = hasFeature('iotBatch') && (readings.length > 1 || !hasFeature('iot'));
+    if (!batch && !hasFeature('iot')) {
+      pushActivity({ kind: 'network', lot, title: 'IoT capture unavailable', detail: `${readings.length} reading(s) not recorded — the contract has no captureIoTData / captureIoTBatch` });
+      return;
+    }
+    if (!batch) {
+      readings.forEach(r => enqueueOutbox('iot', lot, { temp: r.temp, note: r.note }));
+    } else {
+      for (let i = 0; i < readings.length; i += IMPORT_BATCH_SIZE) {
+        const chunk = readings.slice(i, i + IMPORT_BATCH_SIZE);
+        enqueueOutbox('iotBatch', lot, { temps: chunk.map(r => r.temp), notes: chunk.map(r => r.note), recordedAt: chunk.map(r => Math.floor(r.ts / 1000)) });
+      }
+    }
+    if (navigator.onLine === false) pushActivity({ kind: 'tx', lot, title: 'IoT reading queued', detail: `${readings.length} reading(s) (offline)` });
+    flushOutbox();
+    return;
+  }
+
+  readings.forEach(r => addDemoIoT(lot, r.temp, r.note, r.ts));
+  DEMO_PRODUCTS[lot].iot.sort((a, b) => a.ts - b.ts);
+  saveDemoProduct(lot);
+  const detail = readings.length === 1 ? `${readings[0].temp}°C — ${readings[0].note}` : `${readings.length} readings${source ? ` from ${source}` : ''}`;
+  pushActivity({ kind: 'demo', lot, title: 'IoTDataCaptured', detail });
+  if (!activeLot || activeLot === lot) {
+    renderIoTLogs(DEMO_PRODUCTS[lot].iot.map(x => ({ ts: x.ts, temp: x.temp, note: x.note })), getTemperatureProfile(lot, DEMO_PRODUCTS[lot].name));
+  }
+}
+
+// Fixed addDemoIoT (no duplicate keys)
+function addDemoIoT(lot, temp, note, ts = Date.now()) {
+  if (!DEMO_PRODUCTS[lot]) {
+    DEMO_PRODUCTS[lot] = {
+      name: lot,
+      origin: 'Unknown',
+      certifications: '-',
+      stage: 'Unknown',
+      iot: [],
+      imageUrl: DEFAULT_PRODUCT_IMAGE,
+      placeholder: true // created implicitly by an IoT log; a later registration may claim it
+    };
+  }
+  DEMO_PRODUCTS[lot].iot.push({ ts, temp, note });
+}
+
+// ------------------ Label sheets ------------------
+// Batch labels for the packing line: a list or range of lots is laid out on a label stock, each
+// label with the lot's consumer-page QR code, lot number, product name and origin. Batch labels
+// are unsigned (signing needs one wallet prompt per lot) — use Generate QR for a signed label.
+// The QR modules come from QRCode.js; every export (PNG, SVG, printable HTML) draws the same
+// geometry in millimetres, so a sheet prints at actual size.
+
+// sizes in mm; sheets are a cols × rows grid from the top-left margin, rolls print one label per page
+const LABEL_SIZES = [
+  { id: 'avery-5160', name: 'Avery 5160 — 2⅝″ × 1″, 30 per Letter sheet', page: { width: 215.9, height: 279.4 }, width: 66.675, height: 25.4, cols: 3, rows: 10, top: 12.7, left: 4.7625, gapX: 3.175, gapY: 0 },
+  { id: 'avery-5163', name: 'Avery 5163 — 4″ × 2″, 10 per Letter sheet', page: { width: 215.9, height: 279.4 }, width: 101.6, height: 50.8, cols: 2, rows: 5, top: 12.7, left: 3.97, gapX: 4.76, gapY: 0 },
+  { id: 'avery-l7160', name: 'Avery L7160 — 63.5 × 38.1 mm, 21 per A4 sheet', page: { width: 210, height: 297 }, width: 63.5, height: 38.1, cols: 3, rows: 7, top: 15.15, left: 7.25, gapX: 2.54, gapY: 0 },
+  { id: 'avery-l7163', name: 'Avery L7163 — 99.1 × 38.1 mm, 14 per A4 sheet', page: { width: 210, height: 297 }, width: 99.1, height: 38.1, cols: 2, rows: 7, top: 15.15, left: 4.65, gapX: 2.5, gapY: 0 },
+  { id: 'roll-2x1', name: 'Thermal roll — 2″ × 1″', page: { width: 50.8, height: 25.4 }, width: 50.8, height: 25.4, cols: 1, rows: 1, top: 0, left: 0, gapX: 0, gapY: 0 },
+  { id: 'roll-4x6', name: 'Thermal roll — 4″ × 6″ shipping', page: { width: 101.6, height: 152.4 }, width: 101.6, height: 152.4, cols: 1, rows: 1, top: 0, left: 0, gapX: 0, gapY: 0 }
+];
+const LABEL_MAX_LOTS = 1000;
+const LABEL_LOOKUP_BATCH = 25; // parallel on-chain lookups
+const LABEL_MAX_IMAGE_PAGES = 20; // PNG / SVG pages are zipped in memory; larger runs go to HTML
+const LABEL_PNG_DPI = 300;
+const LABEL_QR_QUIET = 2; // modules of white around the code (the label margin adds the rest)
+const LABEL_FONT = 'Helvetica, Arial, sans-serif';
+let labelCache = null; // { key, labels, missing } — on-chain lookups reused while the lot list is unchanged
+let labelsInFlight = false;
+
+const labelSize = (id) => LABEL_SIZES.find(size => size.id === id) || LABEL_SIZES[0];
+const mmRound = (value) => Math.round(value * 1000) / 1000;
+const escapeXml = (text) => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+function setLabelStatus(message, tone) {
+  const el = $('labelStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setLabelBusy(busy) {
+  labelsInFlight = busy;
+  ['labelPreviewBtn', 'labelPngBtn', 'labelSvgBtn', 'labelHtmlBtn'].forEach((id) => { const btn = $(id); if (btn) btn.disabled = busy; });
+}
+
+function renderLabelSizes() {
+  const select = $('labelSize');
+  if (!select || select.options.length) return;
+  LABEL_SIZES.forEach((size) => {
+    const option = document.createElement('option');
+    option.value = size.id;
+    option.textContent = size.name;
+    select.appendChild(option);
+  });
+}
+
+// lots separated like parseLotList; "LOT-1001..LOT-1250" (or "LOT-1001..1250") expands the numeric
+// suffix and keeps its zero padding. Throws with a readable message on a malformed range.
+function expandLotRanges(text) {
+  const lots = [];
+  for (const token of parseLotList(text)) {
+    const parts = token.split('..');
+    if (parts.length === 1) { lots.push(token); continue; }
+    const from = parts.length === 2 && /^(.*?)(\d+)$/.exec(parts[0]);
+    const to = parts.length === 2 && /^(.*?)(\d+)$/.exec(parts[1]);
+    if (!from || !to || (to[1] && to[1] !== from[1])) throw new Error(`"${token}" is not a range like LOT-1001..LOT-1250`);
+    const start = parseInt(from[2], 10);
+    const end = parseInt(to[2], 10);
+    if (end < start) throw new Error(`"${token}" runs backwards`);
+    if (end - start >= LABEL_MAX_LOTS) throw new Error(`"${token}" has more than ${LABEL_MAX_LOTS} lots`);
+    for (let n = start; n <= end; n++) lots.push(from[1] + String(n).padStart(from[2].length, '0'));
+  }
+  const unique = Array.from(new Set(lots));
+  if (unique.length > LABEL_MAX_LOTS) throw new Error(`At most ${LABEL_MAX_LOTS} labels per run — split the list`);
+  return unique;
+}
+
+// { lot, name, origin } for a registered lot, null otherwise (network failures are thrown)
+async function loadLabelDetail(lot) {
+  if (onChainMode()) {
+    try {
+      const res = await contract.methods.consumerLookupByLot(lot).call();
+      return { lot, name: res[0] || '', origin: res[1] || '' };
+    } catch (e) {
+      if (isNetworkError(e)) throw e;
+      return null; // reverted: not registered
+    }
+  }
+  const product = DEMO_PRODUCTS[lot];
+  return product && !product.placeholder ? { lot, name: product.name, origin: product.origin } : null;
+}
+
+async function loadLabelDetails(lots, onProgress) {
+  const details = [];
+  for (let i = 0; i < lots.length; i += LABEL_LOOKUP_BATCH) {
+    details.push(...await Promise.all(lots.slice(i, i + LABEL_LOOKUP_BATCH).map(loadLabelDetail)));
+    onProgress(details.length);
+  }
+  return details;
+}
+
+// QR modules (true = dark) for text, read from QRCode.js's encoded model. QRCode.js has no public
+// accessor for it, so a build without `_oQRCode` throws here instead of printing blank labels.
+function qrMatrix(text) {
+  if (typeof QRCode === 'undefined') throw new Error('the QR code library did not load');
+  const qr = new QRCode(document.createElement('div'), { text, width: 64, height: 64, correctLevel: QRCode.CorrectLevel.M });
+  const model = qr._oQRCode;
+  if (!model || typeof model.getModuleCount !== 'function' || typeof model.isDark !== 'function') {
+    throw new Error('this QRCode.js build does not expose its module grid');
+  }
+  const count = model.getModuleCount();
+  return Array.from({ length: count }, (_, row) => Array.from({ length: count }, (_, col) => model.isDark(row, col)));
+}
+
+// dark modules as horizontal runs { x, y, w, h } inside the QR box (label coordinates, mm)
+function qrRuns(matrix, box) {
+  const module = box.size / (matrix.length + LABEL_QR_QUIET * 2);
+  const runs = [];
+  matrix.forEach((cells, row) => {
+    for (let col = 0; col < cells.length; col++) {
+      if (!cells[col]) continue;
+      const start = col;
+      while (col + 1 < cells.length && cells[col + 1]) col++;
+      runs.push({ x: box.x + (start + LABEL_QR_QUIET) * module, y: box.y + (row + LABEL_QR_QUIET) * module, w: (col - start + 1) * module, h: module });
+    }
+  });
+  return runs;
+}
+
+// wide labels: QR left, text right; tall ones: QR on top, text below
+function labelLayout(size) {
+  const pad = Math.max(1.5, Math.min(size.width, size.height) * 0.06);
+  const wide = size.width >= size.height * 1.4;
+  const qrSize = wide ? size.height - pad * 2 : Math.min(size.width - pad * 2, size.height * 0.6);
+  const text = wide ? { x: pad * 2 + qrSize, y: pad, width: size.width - qrSize - pad * 3 } : { x: pad, y: pad * 2 + qrSize, width: size.width - pad * 2 };
+  return {
+    qr: { x: wide ? pad : (size.width - qrSize) / 2, y: pad, size: qrSize },
+    text,
+    fontSize: Math.min(wide ? qrSize / 5 : size.width / 14, text.width / 6, 6)
+  };
+}
+
+// lot (bold, shrunk to fit), name, origin (cut to one line of the text column)
+const LABEL_CHAR_WIDTH = 0.55; // average glyph width / font size
+
+function labelTextLines(label, layout) {
+  let y = layout.text.y;
+  const lotSize = Math.min(layout.fontSize, layout.text.width / (label.lot.length * LABEL_CHAR_WIDTH * 1.1));
+  return [
+    { text: label.lot, size: lotSize, bold: true, whole: true },
+    { text: label.name, size: layout.fontSize * 0.85 },
+    { text: label.origin, size: layout.fontSize * 0.75 }
+  ].filter(line => line.text).map((line) => {
+    y += line.size * 1.25;
+    const fits = line.whole ? Infinity : Math.max(4, Math.floor(layout.text.width / (line.size * LABEL_CHAR_WIDTH)));
+    const text = line.text.length > fits ? `${line.text.slice(0, fits - 1)}…` : line.text;
+    return { text, size: line.size, bold: line.bold, x: layout.text.x, y };
+  });
+}
+
+function labelOrigin(size, index) {
+  const col = index % size.cols;
+  const row = Math.floor(index / size.cols);
+  return { x: size.left + col * (size.width + size.gapX), y: size.top + row * (size.height + size.gapY) };
+}
+
+function labelPageSvg(size, labels) {
+  const layout = labelLayout(size);
+  const body = labels.map((label, idx) => {
+    const { x, y } = labelOrigin(size, idx);
+    const path = qrRuns(label.matrix, layout.qr).map(r => `M${mmRound(r.x)} ${mmRound(r.y)}h${mmRound(r.w)}v${mmRound(r.h)}h${mmRound(-r.w)}z`).join('');
+    const text = labelTextLines(label, layout).map(line =>
+      `<text x="${mmRound(line.x)}" y="${mmRound(line.y)}" font-size="${mmRound(line.size)}"${line.bold ? ' font-weight="700"' : ''}>${escapeXml(line.text)}</text>`).join('');
+    return `<g transform="translate(${mmRound(x)} ${mmRound(y)})"><path d="${path}"/>${text}</g>`;
+  }).join('');
+  const { width, height } = size.page;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" font-family="${LABEL_FONT}"><rect width="${width}" height="${height}" fill="#fff"/>${body}</svg>`;
+}
+
+function labelPagePng(size, labels) {
+  const layout = labelLayout(size);
+  const scale = LABEL_PNG_DPI / 25.4; // px per mm
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(size.page.width * scale);
+  canvas.height = Math.round(size.page.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, size.page.width, size.page.height);
+  ctx.fillStyle = '#000';
+  labels.forEach((label, idx) => {
+    const { x, y } = labelOrigin(size, idx);
+    qrRuns(label.matrix, layout.qr).forEach(r => ctx.fillRect(x + r.x, y + r.y, r.w, r.h));
+    labelTextLines(label, layout).forEach((line) => {
+      ctx.font = `${line.bold ? '700 ' : ''}${line.size}px ${LABEL_FONT}`;
+      ctx.fillText(line.text, x + line.x, y + line.y);
+    });
+  });
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// one SVG per page; @page keeps the browser from scaling the sheet
+function labelSheetHtml(size, pages) {
+  const { width, height } = size.page;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Labels — ${escapeXml(size.name)}</title>
+<style>
+  @page { size: ${width}mm ${height}mm; margin: 0; }
+  html, body { margin: 0; }
+  svg { display: block; width: ${width}mm; height: ${height}mm; page-break-after: always; }
+</style>
+</head>
+<body>
+${pages.map(page => labelPageSvg(size, page)).join('\n')}
+</body>
+</html>`;
+}
+
+// ---- zip container (stored, no compression: PNG is compressed already) ----
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, content: string | Blob }] → one zip archive as a Blob
+async function zipFiles(files) {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : new Uint8Array(await file.content.arrayBuffer());
+    const crc = crc32(data);
+    // the local header (signature 0x04034b50) and the central directory entry (0x02014b50) share these fields
+    const fields = (view, at) => {
+      view.setUint16(at, 20, true); // version needed: 2.0
+      view.setUint16(at + 2, 0x0800, true); // UTF-8 names
+      view.setUint16(at + 4, 0, true); // stored
+      view.setUint16(at + 6, dosTime, true);
+      view.setUint16(at + 8, dosDate, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    fields(local, 4);
+    parts.push(local.buffer, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // version made by
+    fields(entry, 6);
+    entry.setUint32(42, offset, true);
+    directory.push(entry.buffer, name);
+    offset += 30 + name.length + data.length;
+  }
+  const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...directory, end.buffer], { type: 'application/zip' });
+}
+
+// lots from the form, looked up and paged for the chosen size; null (after reporting why) when unusable
+async function prepareLabelSheet() {
+  const size = labelSize($('labelSize') ? $('labelSize').value : '');
+  let lots;
+  try {
+    lots = expandLotRanges($('labelLots') ? $('labelLots').value : '');
+  } catch (e) {
+    setLabelStatus(e.message, 'error');
+    return null;
+  }
+  if (!lots.length) { setLabelStatus('Enter lots or a range, e.g. LOT-1001..LOT-1250', 'error'); return null; }
+
+  const key = `${contractAddress}|${lots.join(',')}`;
+  if (!onChainMode() || !labelCache || labelCache.key !== key) {
+    let details;
+    setLabelBusy(true);
+    try {
+      details = await loadLabelDetails(lots, done => setLabelStatus(`Looking up lots… ${done}/${lots.length}`, 'info'));
+    } catch (e) {
+      console.warn('Label lookup failed', e);
+      setLabelStatus(`Lookup failed — ${describeTxError(e)}`, 'error');
+      return null;
+    } finally {
+      setLabelBusy(false);
+    }
+    try {
+      labelCache = {
+        key,
+        labels: details.filter(Boolean).map(detail => Object.assign(detail, { matrix: qrMatrix(buildConsumerLink(detail.lot)) })),
+        missing: lots.filter((lot, idx) => !details[idx])
+      };
+    } catch (e) {
+      console.warn('QR encoding failed', e);
+      setLabelStatus(`Cannot draw the QR codes — ${e.message}`, 'error');
+      return null;
+    }
+  }
+  const { labels, missing } = labelCache;
+  const skipped = missing.length ? `; not registered, skipped: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ` and ${missing.length - 5} more` : ''}` : '';
+  if (!labels.length) { setLabelStatus(`No registered lots${skipped}`, 'error'); return null; }
+  const perPage = size.cols * size.rows;
+  const pages = [];
+  for (let i = 0; i < labels.length; i += perPage) pages.push(labels.slice(i, i + perPage));
+  return { size, labels, pages, summary: `${labels.length} label(s) on ${pages.length} page(s)${skipped}`, partial: missing.length > 0 };
+}
+
+async function previewLabels() {
+  if (labelsInFlight) return;
+  const sheet = await prepareLabelSheet();
+  const preview = $('labelPreview');
+  if (preview) preview.innerHTML = sheet ? labelPageSvg(sheet.size, sheet.pages[0]) : '';
+  if (sheet) setLabelStatus(`${sheet.summary} — showing page 1`, sheet.partial ? 'warning' : 'success');
+}
+
+async function exportLabels(format) {
+  if (labelsInFlight) return;
+  const sheet = await prepareLabelSheet();
+  if (!sheet) return;
+  const { size, pages } = sheet;
+  const base = `labels-${size.id}`;
+  if (format === 'html') {
+    downloadFile(`${base}.html`, labelSheetHtml(size, pages), 'text/html');
+  } else {
+    if (pages.length > LABEL_MAX_IMAGE_PAGES) {
+      setLabelStatus(`${pages.length} pages is too many for ${format.toUpperCase()} (at most ${LABEL_MAX_IMAGE_PAGES}) — export printable HTML instead`, 'error');
+      return;
+    }
+    const mimeType = format === 'svg' ? 'image/svg+xml' : 'image/png';
+    setLabelBusy(true);
+    try {
+      const files = [];
+      for (let i = 0; i < pages.length; i++) {
+        const name = `${base}${pages.length > 1 ? `-p${i + 1}` : ''}.${format}`;
+        files.push({ name, content: format === 'svg' ? labelPageSvg(size, pages[i]) : await labelPagePng(size, pages[i]) });
+      }
+      // browsers block a burst of downloads, so several pages travel as one zip
+      if (files.length === 1) downloadFile(files[0].name, files[0].content, mimeType);
+      else downloadFile(`${base}-${format}.zip`, await zipFiles(files), 'application/zip');
+    } catch (e) {
+      console.warn('Label export failed', e);
+      setLabelStatus(`Export failed — ${e.message}`, 'error');
+      return;
+    } finally {
+      setLabelBusy(false);
+    }
+  }
+  const bundled = format !== 'html' && pages.length > 1 ? ` (a zip of ${pages.length} pages)` : '';
+  setLabelStatus(`${sheet.summary} exported as ${format.toUpperCase()}${bundled} — print at 100% (actual size)`, sheet.partial ? 'warning' : 'success');
+}
+
+// ------------------ Product registration ------------------
+
+const LOT_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{2,31}$/;
+const REGISTRATION_FIELDS = { lotNumber: 'regLot', name: 'regName', origin: 'regOrigin', certifications: 'regCerts' };
+let registrationInFlight = false;
+
+function readRegistrationForm() {
+  const values = {};
+  Object.entries(REGISTRATION_FIELDS).forEach(([key, id]) => {
+    const el = $(id);
+    values[key] = el ? el.value.trim() : '';
+  });
+  return values;
+}
+
+// returns { field: message } for every invalid field (empty object when valid)
+function validateRegistration({ lotNumber, name, origin, certifications }) {
+  const errors = {};
+  if (!lotNumber) errors.lotNumber = 'Lot number is required';
+  else if (!LOT_NUMBER_PATTERN.test(lotNumber)) errors.lotNumber = 'Lot number must be 3–32 letters, digits, "-" or "_"';
+  if (!name) errors.name = 'Product name is required';
+  else if (name.length > 64) errors.name = 'Product name must be 64 characters or fewer';
+  if (!origin) errors.origin = 'Origin is required';
+  else if (origin.length > 96) errors.origin = 'Origin must be 96 characters or fewer';
+  if ((certifications || '').length > 128) errors.certifications = 'Certifications must be 128 characters or fewer';
+  return errors;
+}
+
+function markRegistrationErrors(errors) {
+  Object.entries(REGISTRATION_FIELDS).forEach(([key, id]) => {
+    const el = $(id);
+    if (!el) return;
+    if (errors[key]) el.setAttribute('aria-invalid', 'true'); else el.removeAttribute('aria-invalid');
+  });
+}
+
+function setRegisterStatus(message, tone) {
+  const el = $('registerStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setRegistrationBusy(busy) {
+  registrationInFlight = busy;
+  const btn = $('registerBtn');
+  if (btn) {
+    btn.disabled = busy || !featureEnabled('registration');
+    btn.title = featureEnabled('registration') ? '' : `${featureLabel('registration')} is not supported by this contract`;
+    btn.textContent = busy ? 'Registering…' : 'Register Lot';
+  }
+}
+
+function resetRegistrationForm() {
+  const form = $('registerForm'); if (form) form.reset();
+  markRegistrationErrors({});
+}
+
+async function submitRegistration() {
+  if (registrationInFlight) return;
+  const fields = readRegistrationForm();
+  const errors = validateRegistration(fields);
+  markRegistrationErrors(errors);
+  const firstError = Object.values(errors)[0];
+  if (firstError) { setRegisterStatus(firstError, 'error'); return; }
+  if (!checkRole(['vendor'], setRegisterStatus)) return;
+
+  if (contractAddress && contract && contractAvailable) {
+    if (!accounts || !accounts[0]) { setRegisterStatus('Connect your wallet to register lots on-chain', 'warning'); return; }
+    setRegistrationBusy(true);
+    try {
+      await registerOnChain(fields);
+    } finally {
+      setRegistrationBusy(false);
+    }
+    return;
+  }
+
+  registerDemoProduct(fields);
+}
+
+async function registerOnChain({ lotNumber, name, origin, certifications }) {
+  rememberLot(lotNumber);
+  if (!hasFeature('registration')) { setRegisterStatus(`${featureLabel('registration')} is not supported by this contract`, 'error'); return; }
+  try {
+    // without productExists the contract's own duplicate check (a revert) is all we get
+    const exists = hasFeature('duplicateCheck') && await contract.methods.productExists(lotNumber).call();
+    if (exists) {
+      markRegistrationErrors({ lotNumber: true });
+      setRegisterStatus(`${lotNumber} is already registered on-chain`, 'error');
+      return;
+    }
+  } catch (e) {
+    if (isNetworkError(e)) return queueRegistration({ lotNumber, name, origin, certifications });
+    console.warn('productExists check failed', e);
+    setRegisterStatus('Could not verify the lot on-chain — registration not sent', 'error');
+    return;
+  }
+  // keep the outbox order: a lot registered after queued readings waits behind them
+  if (outbox.length) return queueRegistration({ lotNumber, name, origin, certifications });
+
+  try {
+    await sendTx(contract.methods.registerProduct(lotNumber, name, origin, certifications), setRegisterStatus, { label: `Registration of ${lotNumber}`, lot: lotNumber });
+  } catch (e) {
+    if (isNetworkError(e)) return queueRegistration({ lotNumber, name, origin, certifications });
+    console.warn('registerProduct failed', e);
+    setRegisterStatus(`Failed — ${describeTxError(e)}`, 'error');
+    return;
+  }
+
+  setRegisterStatus(`Mined — ${lotNumber} registered on-chain`, 'success');
+  onProductRegistered(lotNumber);
+}
+
+function queueRegistration({ lotNumber, name, origin, certifications }) {
+  enqueueOutbox('register', lotNumber, { name, origin, certifications });
+  resetRegistrationForm();
+  setRegisterStatus(`Queued — ${lotNumber} will be registered when the connection returns`, 'warning');
+  flushOutbox();
+}
+
+function registerDemoProduct({ lotNumber, name, origin, certifications }) {
+  const existing = DEMO_PRODUCTS[lotNumber];
+  if (existing && !existing.placeholder) {
+    markRegistrationErrors({ lotNumber: true });
+    setRegisterStatus(`${lotNumber} already exists in demo data`, 'error');
+    return;
+  }
+  createDemoLot(lotNumber, { name, origin, certifications, stage: 'Vendor' }, demoIdentity());
+  saveDemoProduct(lotNumber);
+  setRegisterStatus(`Registered ${lotNumber} in demo data (no contract connected)`, 'success');
+  pushActivity({ kind: 'demo', lot: lotNumber, title: 'ProductRegistered', detail: `${name} — ${origin}` });
+  onProductRegistered(lotNumber);
+}
+
+// a new demo lot held by `actor` (mirrors the contract's createLot); a placeholder keeps its readings
+function createDemoLot(lotNumber, { name, origin, certifications, stage }, actor) {
+  const existing = DEMO_PRODUCTS[lotNumber];
+  DEMO_PRODUCTS[lotNumber] = {
+    name,
+    origin,
+    certifications: certifications || '-',
+    stage,
+    iot: existing ? existing.iot : [],
+    imageUrl: getProductImage(name),
+    custodian: actor,
+    custody: [{ stage, handler: actor, ts: Date.now() }],
+    pendingHandoff: null
+  };
+  return DEMO_PRODUCTS[lotNumber];
+}
+
+function onProductRegistered(lotNumber) {
+  resetRegistrationForm();
+  const lotInput = $('lotInput');
+  if (lotInput) lotInput.value = lotNumber;
+  lookupProduct();
+}
+
+// ------------------ Offline & outbox ------------------
+// sw.js caches the app shell. Wallet RPC traffic never passes through the service worker, so
+// recent consumerLookupByLot / getIoTLogs results are written to Cache Storage by the page and
+// read back when the chain is unreachable. On-chain IoT readings (and registrations made while
+// offline) go through an ordered outbox persisted in localStorage: queued → sent → confirmed.
+
+const LOOKUP_CACHE_NAME = 'rpf-lookups-v1';
+const LOOKUP_CACHE_LIMIT = 25;
+const OUTBOX_RETRY_BASE_MS = 5000;
+const OUTBOX_RETRY_MAX_MS = 60000;
+const READING_STATUS_LABELS = { queued: 'Queued', sent: 'Sent', confirmed: 'Confirmed' };
+let outbox = []; // [{ id, kind: 'iot' | 'iotBatch' | 'register', lot, payload, from, status, txHash, attempts, createdAt }]
+let outboxFlushing = false;
+let outboxFlushRequested = false; // retry asked for while a flush was running
+let outboxRetryTimer = null;
+let outboxRetryDelay = OUTBOX_RETRY_BASE_MS;
+let activeChainLogs = null; // { lot, name, logs } last on-chain IoT logs rendered for activeLot
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker registration failed', e));
+}
+
+// transport failures are retried; reverts and wallet rejections are not
+function isNetworkError(e) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if (!e || e.code === 4001 || e.receipt) return false;
+  return /network|failed to fetch|timed? ?out|disconnected|could not connect|connection (error|not open)/i.test(e.message || '');
+}
+
+// ---- cached lookups ----
+
+const lookupCacheUrl = (lot) => new URL(`__rpf/lookup/${encodeURIComponent(lot)}`, location.href).href;
+
+async function readCachedLookup(lot) {
+  if (typeof caches === 'undefined') return null;
+  try {
+    const resp = await (await caches.open(LOOKUP_CACHE_NAME)).match(lookupCacheUrl(lot));
+    return resp ? await resp.json() : null;
+  } catch (e) {
+    console.warn('Lookup cache read failed', e);
+    return null;
+  }
+}
+
+// merge `patch` into the lot's cached entry; the oldest lots are evicted past LOOKUP_CACHE_LIMIT
+async function cacheLookup(lot, patch) {
+  if (typeof caches === 'undefined') return;
+  try {
+    const cache = await caches.open(LOOKUP_CACHE_NAME);
+    const previous = await readCachedLookup(lot);
+    const entry = Object.assign({}, previous, patch, { lot, cachedAt: Date.now() });
+    await cache.delete(lookupCacheUrl(lot)); // re-insert so key order stays least-recent first
+    await cache.put(lookupCacheUrl(lot), new Response(JSON.stringify(entry), { headers: { 'Content-Type': 'application/json' } }));
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - LOOKUP_CACHE_LIMIT)).map(req => cache.delete(req)));
+  } catch (e) {
+    console.warn('Lookup cache write failed', e);
+  }
+}
+
+// render the last cached on-chain lookup; false when there is nothing cached for the lot
+async function showCachedLot(lot) {
+  const cached = await readCachedLookup(lot);
+  if (!cached || !cached.lookup) return false;
+  const { name, origin, certs, stage } = cached.lookup;
+  showProduct({ name, origin, certs, stage, imageUrl: getProductImage(name) });
+  activeLot = lot;
+  activeChainLogs = { lot, name, logs: cached.logs || [] };
+  renderRecallBanner(lot, cached.recall || null);
+  renderCertifications(lot, cached.certificationRecords || []);
+  renderLineage(cached.lineage || null);
+  renderIoTLogs(withOutboxReadings(lot, activeChainLogs.logs), getTemperatureProfile(lot, name));
+  setContractStatus(`Contract: unreachable — showing ${lot} as cached ${new Date(cached.cachedAt).toLocaleString()}`, 'warning');
+  return true;
+}
+
+// on-chain readings are confirmed; outbox readings for the lot are appended with their status
+function withOutboxReadings(lot, chainLogs) {
+  const pending = [];
+  outbox.filter(item => item.lot === lot && (!item.contract || sameParty(item.contract, contractAddress))).forEach((item) => {
+    const p = item.payload;
+    if (item.kind === 'iot') pending.push({ ts: item.createdAt, temp: p.temp, note: p.note, status: item.status });
+    if (item.kind === 'iotBatch') p.temps.forEach((temp, idx) => pending.push({ ts: p.recordedAt[idx] * 1000, temp, note: p.notes[idx], status: item.status }));
+  });
+  return [...chainLogs.map(log => Object.assign({}, log, { status: 'confirmed' })), ...pending];
+}
+
+function refreshActiveReadings() {
+  if (!activeChainLogs || activeChainLogs.lot !== activeLot) return;
+  const { lot, name, logs } = activeChainLogs;
+  renderIoTLogs(withOutboxReadings(lot, logs), getTemperatureProfile(lot, name));
+}
+
+// ---- outbox ----
+
+async function loadOutbox() {
+  try {
+    outbox = (await sessionStore.get('outbox', 'queue')) || [];
+  } catch (e) {
+    reportStorageError('loading outbox', e);
+    outbox = [];
+  }
+  renderOutbox();
+}
+
+function saveOutbox() {
+  return sessionStore.set('outbox', 'queue', outbox).catch(e => reportStorageError('saving outbox', e));
+}
+
+function enqueueOutbox(kind, lot, payload) {
+  const item = { id: `${Date.now()}-${randomHex(4)}`, kind, lot, payload, from: accounts[0], contract: contractAddress, status: 'queued', txHash: null, attempts: 0, createdAt: Date.now() };
+  outbox.push(item);
+  saveOutbox();
+  renderOutbox();
+  refreshActiveReadings();
+  return item;
+}
+
+const outboxLabel = (item) => {
+  if (item.kind === 'register') return `Registration of ${item.lot}`;
+  if (item.kind === 'iotBatch') return `Import of ${item.payload.temps.length} readings`;
+  return `IoT reading ${item.payload.temp}°C`;
+};
+
+function outboxMethod(item) {
+  const p = item.payload;
+  if (item.kind === 'register') return contract.methods.registerProduct(item.lot, p.name, p.origin, p.certifications);
+  if (item.kind === 'iotBatch') return contract.methods.captureIoTBatch(item.lot, p.temps, p.notes, p.recordedAt);
+  return contract.methods.captureIoTData(item.lot, p.temp, p.note);
+}
+
+function scheduleOutboxRetry() {
+  if (outboxRetryTimer) clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = setTimeout(() => { outboxRetryTimer = null; flushOutbox(); }, outboxRetryDelay);
+  outboxRetryDelay = Math.min(outboxRetryDelay * 2, OUTBOX_RETRY_MAX_MS);
+}
+
+function retryOutbox() {
+  outboxRetryDelay = OUTBOX_RETRY_BASE_MS;
+  if (outboxFlushing) { outboxFlushRequested = true; return; }
+  flushOutbox();
+}
+
+// Send queued items strictly in order; stop at the first one that cannot be delivered yet.
+// why an item cannot be sent from the current account / network ('' = it can)
+function outboxBlocker(item) {
+  if (item.contract && !sameParty(item.contract, contractAddress)) {
+    const net = networkList().find(n => sameParty(n.contractAddress, item.contract));
+    return `waiting for ${net ? net.name : formatParty(item.contract)}`;
+  }
+  if (!sameParty(item.from, accounts[0])) return `waiting for ${formatParty(item.from)}`;
+  return '';
+}
+
+async function flushOutbox() {
+  if (outboxFlushing) return;
+  if (!outbox.length || !onChainMode() || !accounts || !accounts[0]) { renderOutbox(); return; }
+  outboxFlushing = true;
+  try {
+    while (outbox.length) {
+      const item = outbox[0];
+      if (outboxBlocker(item)) break; // queued by another account or for another deployment; wait for it
+      const outcome = await deliverOutboxItem(item);
+      if (outcome === 'retry') { scheduleOutboxRetry(); break; }
+      outbox.shift();
+      saveOutbox();
+      outboxRetryDelay = OUTBOX_RETRY_BASE_MS;
+      if (outcome === 'confirmed') onOutboxItemConfirmed(item);
+      else refreshActiveReadings();
+    }
+  } finally {
+    outboxFlushing = false;
+    renderOutbox();
+  }
+  if (outboxFlushRequested) {
+    outboxFlushRequested = false;
+    retryOutbox();
+  }
+}
+
+// 'confirmed' | 'dropped' (reverted / rejected) | 'retry' (still offline or not mined yet)
+async function deliverOutboxItem(item) {
+  try {
+    if (item.txHash) {
+      // sent before the connection dropped (or before a reload): never resend, just look for the receipt
+      const receipt = await web3.eth.getTransactionReceipt(item.txHash);
+      if (!receipt) return 'retry';
+      if (receipt.status === false) {
+        const reason = await replayRevertReason(outboxMethod(item), item.from, receipt.blockNumber);
+        throw Object.assign(new Error('transaction reverted'), { receipt, reason });
+      }
+      recordTx(item.txHash, { status: 'confirmed', blockNumber: receipt.blockNumber, confirmations: 1 });
+    } else {
+      item.attempts += 1;
+      await sendTx(outboxMethod(item), undefined, {
+        label: outboxLabel(item),
+        lot: item.lot,
+        from: item.from,
+        onHash: (h) => {
+          Object.assign(item, { status: 'sent', txHash: h });
+          saveOutbox();
+          renderOutbox();
+          refreshActiveReadings();
+          pushActivity({ kind: 'tx', lot: item.lot, title: `${outboxLabel(item)} sent`, txHash: h });
+        }
+      });
+    }
+    item.status = 'confirmed';
+    return 'confirmed';
+  } catch (e) {
+    if (isNetworkError(e) || (item.txHash && !e.receipt)) {
+      saveOutbox();
+      return 'retry';
+    }
+    console.warn('Outbox item failed', item, e);
+    if (item.txHash) recordTx(item.txHash, { status: 'failed', error: describeTxError(e) });
+    pushActivity({ kind: 'tx', lot: item.lot, title: `${outboxLabel(item)} failed`, detail: describeTxError(e), txHash: item.txHash || undefined });
+    if (item.kind === 'register') setRegisterStatus(`Failed — ${item.lot}: ${describeTxError(e)}`, 'error');
+    return 'dropped';
+  }
+}
+
+function onOutboxItemConfirmed(item) {
+  pushActivity({ kind: 'tx', lot: item.lot, title: `${outboxLabel(item)} confirmed`, txHash: item.txHash });
+  if (item.kind === 'register') setRegisterStatus(`Mined — ${item.lot} registered on-chain`, 'success');
+  if (activeLot === item.lot && activeChainLogs) loadOnChainIoTLogs(item.lot, activeChainLogs.name);
+}
+
+function renderOutbox() {
+  const bar = $('outboxBar');
+  if (!bar) return;
+  const counts = outbox.reduce((acc, item) => { acc[item.status] = (acc[item.status] || 0) + 1; return acc; }, {});
+  const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+  bar.classList.toggle('hidden', !outbox.length && !offline);
+  bar.dataset.tone = offline ? 'warning' : 'info';
+  const parts = Object.keys(READING_STATUS_LABELS).filter(s => counts[s]).map(s => `${counts[s]} ${READING_STATUS_LABELS[s].toLowerCase()}`);
+  const blocker = outbox.length && accounts && accounts[0] ? outboxBlocker(outbox[0]) : '';
+  const waiting = blocker ? ` — ${blocker}` : '';
+  const summary = $('outboxSummary');
+  if (summary) summary.textContent = `${offline ? 'Offline' : 'Online'} — outbox: ${parts.join(', ') || 'empty'}${waiting}`;
+  const retryBtn = $('outboxRetryBtn');
+  if (retryBtn) retryBtn.disabled = !outbox.length || outboxFlushing;
+}
+
+// ------------------ Sensor data import ------------------
+// Bulk ingestion of data-logger exports (CSV or JSON). The file is parsed, its columns mapped
+// (auto-guessed, editable), every row validated (timestamp, unit, plausible range, duplicates)
+// and previewed against the lot's cold-chain profile before anything is written. On-chain rows
+// go out IMPORT_BATCH_SIZE at a time through captureIoTBatch (device timestamps preserved);
+// demo lots get them directly. Each preview row then shows imported / queued / failed.
+
+const IMPORT_BATCH_SIZE = 25; // ≤ MAX_IOT_BATCH in FoodTraceability.sol
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_TEMP_LIMITS_C = { min: -60, max: 60 }; // anything outside is a sensor fault or wrong unit
+const IMPORT_FUTURE_SKEW_MS = 5 * 60 * 1000; // logger clocks up to this far ahead are clamped to now (captureIoTBatch rejects future timestamps); further is invalid
+const IMPORT_NOTE_MAX_LENGTH = 64;
+const IMPORT_DEFAULT_NOTE = 'Logger import';
+const IMPORT_FIELDS = ['time', 'temp', 'note', 'unit', 'lot'];
+const IMPORT_FIELD_PATTERNS = {
+  time: /^(time|timestamp|date|datetime|date ?time|recorded(_?at)?|ts|captured(_?at)?)$|time|date/i,
+  temp: /^(temp|temperature|value|reading)$|temp|°|celsius|fahrenheit/i,
+  note: /^(note|notes|comment|event|status|location|remark)s?$/i,
+  unit: /^(unit|units|scale)$/i,
+  lot: /^(lot|lot ?(no|number|id)|batch)$/i
+};
+const IMPORT_STATUS_LABELS = { ready: 'Ready', invalid: 'Invalid', duplicate: 'Duplicate', pending: 'Sending…', queued: 'Queued', imported: 'Imported', failed: 'Failed' };
+let importState = { fileName: '', columns: [], records: [], mapping: {}, readings: [], busy: false };
+
+// RFC 4180-style CSV: quoted fields, doubled quotes, CRLF; delimiter sniffed from the header
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(cell => cell.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(cell => cell.trim() !== '')) rows.push(row);
+  if (!rows.length) return { columns: [], records: [] };
+  const columns = rows[0].map((name, idx) => name.trim() || `column ${idx + 1}`);
+  const records = rows.slice(1).map(cells => Object.fromEntries(columns.map((name, idx) => [name, (cells[idx] || '').trim()])));
+  return { columns, records };
+}
+
+// JSON exports: an array of readings, or an object wrapping one ({ readings | data | records | logs: [...] })
+function parseJsonExport(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : ['readings', 'data', 'records', 'logs'].map(key => data && data[key]).find(Array.isArray);
+  if (!list) throw new Error('JSON file must contain an array of readings');
+  const columns = [];
+  const records = list.filter(item => item && typeof item === 'object').map((item) => {
+    const record = {};
+    Object.entries(item).forEach(([key, value]) => {
+      if (!columns.includes(key)) columns.push(key);
+      record[key] = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+    return record;
+  });
+  return { columns, records };
+}
+
+function parseImportText(fileName, text) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const parsed = isJson ? parseJsonExport(text) : parseCsv(text);
+  if (!parsed.records.length) throw new Error('No readings found in the file');
+  if (parsed.records.length > IMPORT_MAX_ROWS) throw new Error(`File has ${parsed.records.length} rows — split it into files of at most ${IMPORT_MAX_ROWS}`);
+  return parsed;
+}
+
+function guessImportMapping(columns) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const taken = Object.values(mapping);
+    mapping[field] = columns.find(col => !taken.includes(col) && IMPORT_FIELD_PATTERNS[field].test(col)) || '';
+  });
+  return mapping;
+}
+
+// 'C' | 'F' | 'K' | null
+function normalizeUnit(value) {
+  const unit = String(value || '').trim().replace(/^°\s*/, '').toLowerCase();
+  if (!unit) return null;
+  if (unit === 'c' || unit.startsWith('celsius') || unit === 'degc') return 'C';
+  if (unit === 'f' || unit.startsWith('fahrenheit') || unit === 'degf') return 'F';
+  if (unit === 'k' || unit.startsWith('kelvin')) return 'K';
+  return undefined;
+}
+
+const toCelsius = (value, unit) => (unit === 'F' ? (value - 32) * 5 / 9 : unit === 'K' ? value - 273.15 : value);
+
+// "−18.4 °C", "-0,5", "255.2K" → { value, unit }
+function parseTemperatureCell(raw) {
+  const text = String(raw || '').trim().replace(/−/g, '-');
+  const match = text.match(/^([+-]?\d+(?:[.,]\d+)?)\s*(.*)$/);
+  if (!match) return null;
+  return { value: parseFloat(match[1].replace(',', '.')), unit: match[2] ? normalizeUnit(match[2]) : null };
+}
+
+// ISO / locale date strings, or epoch seconds / milliseconds
+function parseTimestampCell(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return NaN;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const n = parseFloat(text);
+    return n < 1e12 ? Math.round(n * 1000) : Math.round(n);
+  }
+  return Date.parse(text);
+}
+
+function importTargetLot() {
+  const input = $('importLot');
+  return ((input && input.value.trim()) || activeLot || '').trim();
+}
+
+// existing readings of the lot, keyed to the second (on-chain timestamps are whole seconds)
+function existingReadingKeys(lot) {
+  let logs = [];
+  if (activeChainLogs && activeChainLogs.lot === lot) logs = activeChainLogs.logs;
+  else if (!onChainMode() && DEMO_PRODUCTS[lot]) logs = DEMO_PRODUCTS[lot].iot || [];
+  return new Set(logs.map(log => `${Math.floor(log.ts / 1000)}|${Math.round(log.temp)}`));
+}
+
+function buildImportPreview() {
+  const { records, mapping } = importState;
+  const lot = importTargetLot();
+  const defaultUnit = ($('importUnit') && $('importUnit').value) || 'C';
+  const headerUnit = mapping.temp ? normalizeUnit((mapping.temp.match(/\(([^)]+)\)|\[([^\]]+)\]/) || []).slice(1).find(Boolean)) : null;
+  const seen = existingReadingKeys(lot);
+  const now = Date.now();
+
+  importState.readings = records.map((record, idx) => {
+    const reading = { row: idx + 1, ts: NaN, temp: NaN, raw: record[mapping.temp] || '', note: '', errors: [], status: 'ready', message: '' };
+    if (!mapping.time || !mapping.temp) { reading.errors.push('Map the timestamp and temperature columns'); }
+    else {
+      reading.ts = parseTimestampCell(record[mapping.time]);
+      if (Number.isNaN(reading.ts)) reading.errors.push(`Invalid timestamp "${record[mapping.time] || ''}"`);
+      else if (reading.ts > now + IMPORT_FUTURE_SKEW_MS) reading.errors.push('Timestamp is in the future');
+      else if (reading.ts > now) { reading.ts = now; reading.message = 'logger clock ahead — recorded as now'; }
+
+      // unit precedence: unit column, suffix on the value, header hint ("Temp (°F)"), default selector
+      const cell = parseTemperatureCell(record[mapping.temp]);
+      let unit = headerUnit || defaultUnit;
+      if (mapping.unit && record[mapping.unit]) unit = normalizeUnit(record[mapping.unit]);
+      else if (cell && cell.unit !== null) unit = cell.unit;
+      if (!cell || Number.isNaN(cell.value)) reading.errors.push(`Temperature "${reading.raw}" is not a number`);
+      else if (!unit) reading.errors.push(`Unknown unit in "${mapping.unit && record[mapping.unit] ? record[mapping.unit] : reading.raw}"`);
+      else {
+        const celsius = toCelsius(cell.value, unit);
+        reading.temp = Math.round(celsius); // the contract stores whole °C
+        if (celsius < IMPORT_TEMP_LIMITS_C.min || celsius > IMPORT_TEMP_LIMITS_C.max) {
+          reading.errors.push(`${celsius.toFixed(1)} °C is outside ${IMPORT_TEMP_LIMITS_C.min}…${IMPORT_TEMP_LIMITS_C.max} °C — check the unit`);
+        } else if (Math.abs(celsius - reading.temp) >= 0.05) {
+          reading.message = [reading.message, `rounded from ${celsius.toFixed(1)} °C`].filter(Boolean).join('; ');
+        }
+      }
+    }
+    if (mapping.lot && record[mapping.lot] && lot && record[mapping.lot] !== lot) reading.errors.push(`Row belongs to ${record[mapping.lot]}`);
+    reading.note = String((mapping.note && record[mapping.note]) || IMPORT_DEFAULT_NOTE).slice(0, IMPORT_NOTE_MAX_LENGTH);
+
+    if (reading.errors.length) {
+      reading.status = 'invalid';
+      reading.message = reading.errors.join('; ');
+    } else {
+      const key = `${Math.floor(reading.ts / 1000)}|${reading.temp}`;
+      if (seen.has(key)) { reading.status = 'duplicate'; reading.message = 'Already recorded for this lot — skipped'; }
+      seen.add(key);
+    }
+    return reading;
+  });
+  renderImportPreview();
+}
+
+function importableReadings() {
+  return importState.readings.filter(r => r.status === 'ready' || r.status === 'failed');
+}
+
+function setImportStatus(message, tone) {
+  const el = $('importStatus');
+  if (!el) return;
+  el.textContent = message || '';
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function renderImportMapping() {
+  const wrap = $('importMapping');
+  if (!wrap) return;
+  wrap.classList.toggle('hidden', !importState.columns.length);
+  IMPORT_FIELDS.forEach((field) => {
+    const select = $(`importCol_${field}`);
+    if (!select) return;
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = field === 'time' || field === 'temp' ? '— choose —' : '— none —';
+    select.appendChild(none);
+    importState.columns.forEach((col) => {
+      const opt = document.createElement('option');
+      opt.value = col;
+      opt.textContent = col;
+      select.appendChild(opt);
+    });
+    select.value = importState.mapping[field] || '';
+  });
+}
+
+function renderImportPreview() {
+  const body = $('importBody');
+  const preview = $('importPreview');
+  const summary = $('importSummary');
+  const importBtn = $('importBtn');
+  if (!body) return;
+  body.innerHTML = '';
+  const { readings } = importState;
+  if (preview) preview.classList.toggle('hidden', !readings.length);
+
+  readings.forEach((r) => {
+    const tr = document.createElement('tr');
+    tr.dataset.status = r.status;
+    const cells = [
+      String(r.row),
+      Number.isNaN(r.ts) ? '—' : new Date(r.ts).toLocaleString(),
+      Number.isNaN(r.temp) ? r.raw || '—' : `${r.temp}°C`,
+      r.note,
+      `${IMPORT_STATUS_LABELS[r.status] || r.status}${r.message ? ` — ${r.message}` : ''}`
+    ];
+    cells.forEach((text) => { const td = document.createElement('td'); td.textContent = text; tr.appendChild(td); });
+    body.appendChild(tr);
+  });
+
+  const counts = readings.reduce((acc, r) => { acc[r.status] = (acc[r.status] || 0) + 1; return acc; }, {});
+  if (summary) {
+    summary.classList.toggle('hidden', !readings.length);
+    const lot = importTargetLot();
+    const parts = Object.keys(IMPORT_STATUS_LABELS).filter(s => counts[s]).map(s => `${counts[s]} ${IMPORT_STATUS_LABELS[s].toLowerCase()}`);
+    let verdict = '';
+    const candidates = importableReadings();
+    if (lot && candidates.length) {
+      const base = activeLot === lot && activeChainLogs ? activeChainLogs.logs : ((DEMO_PRODUCTS[lot] && DEMO_PRODUCTS[lot].iot) || []);
+      const name = (DEMO_PRODUCTS[lot] && DEMO_PRODUCTS[lot].name) || (activeChainLogs && activeChainLogs.lot === lot ? activeChainLogs.name : '');
+      const report = evaluateColdChain([...base, ...candidates.map(r => ({ ts: r.ts, temp: r.temp, note: r.note }))], getTemperatureProfile(lot, name));
+      verdict = ` • cold chain after import: ${report.verdict}${report.findings.length ? ` (${report.findings.length} finding${report.findings.length === 1 ? '' : 's'})` : ''}`;
+    }
+    summary.textContent = `${importState.fileName} → ${lot || 'no lot selected'}: ${parts.join(', ')}${verdict}`;
+  }
+  if (importBtn) {
+    importBtn.disabled = importState.busy || !importableReadings().length || !importTargetLot() || !featureEnabled('iotBatch');
+    importBtn.title = featureEnabled('iotBatch') ? '' : `${featureLabel('iotBatch')} is not supported by this contract`;
+  }
+}
+
+async function onImportFileSelected(ev) {
+  const file = ev.target.files && ev.target.files[0];
+  if (!file) return;
+  setImportStatus('', null);
+  try {
+    const { columns, records } = parseImportText(file.name, await file.text());
+    importState = { fileName: file.name, columns, records, mapping: guessImportMapping(columns), readings: [], busy: false };
+  } catch (e) {
+    console.warn('Import parse failed', e);
+    clearImport();
+    setImportStatus(`Could not read ${file.name}: ${e.message}`, 'error');
+    return;
+  }
+  renderImportMapping();
+  buildImportPreview();
+}
+
+function onImportMappingChanged() {
+  IMPORT_FIELDS.forEach((field) => { const select = $(`importCol_${field}`); if (select) importState.mapping[field] = select.value; });
+  buildImportPreview();
+}
+
+function clearImport() {
+  importState = { fileName: '', columns: [], records: [], mapping: {}, readings: [], busy: false };
+  const fileInput = $('importFile'); if (fileInput) fileInput.value = '';
+  renderImportMapping();
+  renderImportPreview();
+  const summary = $('importSummary'); if (summary) summary.classList.add('hidden');
+  setImportStatus('', null);
+}
+
+function setImportRows(rows, status, message = '') {
+  rows.forEach((r) => { r.status = status; r.message = message; });
+  renderImportPreview();
+}
+
+async function submitImport() {
+  const lot = importTargetLot();
+  const rows = importableReadings();
+  if (!lot) { setImportStatus('Enter the lot these readings belong to', 'error'); return; }
+  if (!rows.length || importState.busy) return;
+  if (!checkRole(HANDLER_ROLES, setImportStatus)) return;
+  importState.busy = true;
+  renderImportPreview();
+  try {
+    if (onChainMode()) await importOnChain(lot, rows);
+    else importIntoDemo(lot, rows);
+  } finally {
+    importState.busy = false;
+    renderImportPreview();
+  }
+}
+
+async function importOnChain(lot, rows) {
+  if (!accounts || !accounts[0]) { setImportStatus('Connect your wallet to import on-chain', 'warning'); return; }
+  if (!hasFeature('iotBatch')) { setImportStatus(`${featureLabel('iotBatch')} is not supported by this contract`, 'error'); return; }
+  if (navigator.onLine !== false && hasFeature('duplicateCheck')) {
+    try {
+      if (!(await contract.methods.productExists(lot).call())) { setImportStatus(`${lot} is not registered on-chain`, 'error'); return; }
+    } catch (e) {
+      if (!isNetworkError(e)) { setImportStatus(`Could not check ${lot}: ${describeTxError(e)}`, 'error'); return; }
+    }
+  }
+  const sorted = rows.slice().sort((a, b) => a.ts - b.ts);
+  const batches = [];
+  for (let i = 0; i < sorted.length; i += IMPORT_BATCH_SIZE) batches.push(sorted.slice(i, i + IMPORT_BATCH_SIZE));
+
+  let imported = 0;
+  for (let b = 0; b < batches.length; b++) {
+    const batch = batches[b];
+    const payload = { temps: batch.map(r => r.temp), notes: batch.map(r => r.note), recordedAt: batch.map(r => Math.floor(r.ts / 1000)) };
+    // keep the outbox order: once anything is queued, later batches queue behind it
+    if (navigator.onLine === false || outbox.length) {
+      enqueueOutbox('iotBatch', lot, payload);
+      setImportRows(batch, 'queued', 'in outbox — sent when the connection returns');
+      continue;
+    }
+    setImportRows(batch, 'pending');
+    try {
+      const receipt = await sendTx(contract.methods.captureIoTBatch(lot, payload.temps, payload.notes, payload.recordedAt),
+        (message, tone) => setImportStatus(`Batch ${b + 1}/${batches.length}: ${message}`, tone), { label: `Import batch ${b + 1}/${batches.length}`, lot });
+      setImportRows(batch, 'imported', `tx ${String(receipt.transactionHash).slice(0, 10)}…`);
+      imported += batch.length;
+    } catch (e) {
+      if (isNetworkError(e)) {
+        enqueueOutbox('iotBatch', lot, payload);
+        setImportRows(batch, 'queued', 'in outbox — sent when the connection returns');
+        continue;
+      }
+      console.warn('captureIoTBatch failed', e);
+      setImportRows(batch, 'failed', describeTxError(e));
+      if (e && e.code === 4001) { setImportRows(batches.slice(b + 1).flat(), 'ready'); break; } // rejected: stop, remaining rows stay ready
+    }
+  }
+  const queued = rows.filter(r => r.status === 'queued').length;
+  const failed = rows.filter(r => r.status === 'failed').length;
+  setImportStatus(`${imported} imported, ${queued} queued, ${failed} failed for ${lot}`, failed ? 'warning' : 'success');
+  if (queued) flushOutbox();
+  if (imported) pushActivity({ kind: 'tx', lot, title: 'Sensor import', detail: `${imported} readings from ${importState.fileName}` });
+}
+
+function importIntoDemo(lot, rows) {
+  const product = DEMO_PRODUCTS[lot];
+  if (!product || product.placeholder) {
+    setImportStatus(`${lot} is not registered in demo data — register it first`, 'error');
+    return;
+  }
+  product.iot = [...(product.iot || []), ...rows.map(r => ({ ts: r.ts, temp: r.temp, note: r.note }))].sort((a, b) => a.ts - b.ts);
+  saveDemoProduct(lot);
+  setImportRows(rows, 'imported', 'demo data');
+  setImportStatus(`${rows.length} readings imported into demo data for ${lot}`, 'success');
+  pushActivity({ kind: 'demo', lot, title: 'Sensor import', detail: `${rows.length} readings from ${importState.fileName}` });
+  if (activeLot === lot) showDemoProduct(lot);
+}
+
+// ------------------ IoT gateway ------------------
+// Streams readings from virtual (simulator.html) or real sensors. Messages arrive on the
+// BroadcastChannel below and, when IOT_GATEWAY_URL is set, over a WebSocket:
+//   { type: 'reading', sensorId, lot, temp (°C), ts (ms), intervalMs?, position?, fault? }
+//   { type: 'sensor-removed', sensorId }
+// Readings are buffered per lot and handed to recordReadings() — the same path as the
+// Simulate button — every few seconds in demo mode, once a minute on-chain (one batch tx).
+
+const IOT_GATEWAY_CHANNEL = 'rpf-iot-gateway';
+const GATEWAY_DEMO_FLUSH_MS = 3000;
+const GATEWAY_CHAIN_FLUSH_MS = 60000;
+const GATEWAY_RECONNECT_MS = 5000;
+const GATEWAY_STALE_FACTOR = 3; // a sensor is "silent" after 3 missed intervals
+const GATEWAY_RENDER_MS = 5000;
+const gatewayState = { channel: null, socket: null, socketOpen: false, reconnectTimer: null, flushTimer: null, renderTimer: null, sensors: {}, buffer: {} };
+
+function connectGateway() {
+  if (typeof BroadcastChannel !== 'undefined' && !gatewayState.channel) {
+    gatewayState.channel = new BroadcastChannel(IOT_GATEWAY_CHANNEL);
+    gatewayState.channel.onmessage = (ev) => handleGatewayMessage(ev.data);
+  }
+  if (IOT_GATEWAY_URL) connectGatewaySocket();
+  renderGatewayPanel();
+  // keeps "silent" sensor markers current even when nothing arrives
+  if (gatewayState.renderTimer) clearInterval(gatewayState.renderTimer);
+  gatewayState.renderTimer = setInterval(renderGatewayPanel, GATEWAY_RENDER_MS);
+}
+
+function connectGatewaySocket() {
+  if (gatewayState.reconnectTimer) { clearTimeout(gatewayState.reconnectTimer); gatewayState.reconnectTimer = null; }
+  let socket;
+  try {
+    socket = new WebSocket(IOT_GATEWAY_URL);
+  } catch (e) {
+    console.warn('IoT gateway socket failed', e);
+    gatewayState.reconnectTimer = setTimeout(connectGatewaySocket, GATEWAY_RECONNECT_MS);
+    return;
+  }
+  gatewayState.socket = socket;
+  socket.onopen = () => { gatewayState.socketOpen = true; renderGatewayPanel(); };
+  socket.onmessage = (ev) => {
+    try { handleGatewayMessage(JSON.parse(ev.data)); } catch (e) { console.warn('Ignoring malformed gateway message', e); }
+  };
+  socket.onclose = () => {
+    gatewayState.socketOpen = false;
+    gatewayState.socket = null;
+    renderGatewayPanel();
+    gatewayState.reconnectTimer = setTimeout(connectGatewaySocket, GATEWAY_RECONNECT_MS);
+  };
+}
+
+function gatewayRecording() {
+  const toggle = $('gatewayRecord');
+  return !toggle || toggle.checked;
+}
+
+function handleGatewayMessage(msg) {
+  if (!msg || typeof msg !== 'object') return;
+  if (msg.type === 'sensor-removed') {
+    delete gatewayState.sensors[msg.sensorId];
+    renderGatewayPanel();
+    return;
+  }
+  if (msg.type !== 'reading') return;
+  const temp = Number(msg.temp);
+  const ts = Number(msg.ts) || Date.now();
+  if (!msg.sensorId || typeof msg.lot !== 'string' || !msg.lot || !Number.isFinite(temp)) return;
+
+  const sensor = gatewayState.sensors[msg.sensorId] || (gatewayState.sensors[msg.sensorId] = { id: msg.sensorId, count: 0 });
+  Object.assign(sensor, { lot: msg.lot, temp, ts, seenAt: Date.now(), intervalMs: Number(msg.intervalMs) || 0, position: msg.position || '', fault: msg.fault || '', count: sensor.count + 1 });
+  sensor.skipped = !onChainMode() && (!DEMO_PRODUCTS[msg.lot] || DEMO_PRODUCTS[msg.lot].placeholder);
+
+  if (gatewayRecording() && !sensor.skipped) {
+    const note = [msg.sensorId, msg.position, msg.fault].filter(Boolean).join(' • ').slice(0, IMPORT_NOTE_MAX_LENGTH);
+    (gatewayState.buffer[msg.lot] = gatewayState.buffer[msg.lot] || []).push({ ts: Math.min(ts, Date.now()), temp: Math.round(temp), note });
+    scheduleGatewayFlush();
+  }
+  renderGatewayPanel();
+}
+
+function scheduleGatewayFlush() {
+  if (gatewayState.flushTimer) return;
+  gatewayState.flushTimer = setTimeout(flushGatewayBuffer, onChainMode() ? GATEWAY_CHAIN_FLUSH_MS : GATEWAY_DEMO_FLUSH_MS);
+}
+
+function flushGatewayBuffer() {
+  gatewayState.flushTimer = null;
+  const buffer = gatewayState.buffer;
+  gatewayState.buffer = {};
+  Object.entries(buffer).forEach(([lot, readings]) => recordReadings(lot, readings, 'IoT gateway'));
+}
+
+function renderGatewayPanel() {
+  const status = $('gatewayStatus');
+  if (status) {
+    const transports = [];
+    if (gatewayState.channel) transports.push('BroadcastChannel');
+    if (IOT_GATEWAY_URL) transports.push(`WebSocket ${gatewayState.socketOpen ? 'connected' : 'reconnecting…'}`);
+    status.textContent = transports.length ? `Listening: ${transports.join(' + ')}` : 'No gateway transport available in this browser';
+  }
+  const list = $('gatewaySensors');
+  if (!list) return;
+  list.innerHTML = '';
+  const sensors = Object.values(gatewayState.sensors).sort((a, b) => a.id.localeCompare(b.id));
+  if (!sensors.length) {
+    const empty = document.createElement('li');
+    empty.className = 'activity-empty';
+    empty.textContent = 'No sensors yet — open the simulator';
+    list.appendChild(empty);
+    return;
+  }
+  sensors.forEach((sensor) => {
+    const li = document.createElement('li');
+    // silence is judged by arrival time: simulated sensors stamp readings with their own (replayed) clock
+    const silent = sensor.intervalMs && Date.now() - sensor.seenAt > sensor.intervalMs * GATEWAY_STALE_FACTOR;
+    li.dataset.state = sensor.skipped ? 'skipped' : silent ? 'silent' : sensor.fault ? 'fault' : 'ok';
+    const head = document.createElement('div');
+    head.className = 'activity-head';
+    const name = document.createElement('strong');
+    name.textContent = `${sensor.id}${sensor.position ? ` (${sensor.position})` : ''}`;
+    const reading = document.createElement('span');
+    reading.textContent = `${sensor.temp.toFixed(1)}°C`;
+    head.append(name, reading);
+    const detail = document.createElement('div');
+    detail.className = 'activity-detail';
+    const notes = [sensor.lot];
+    if (sensor.fault) notes.push(sensor.fault);
+    if (silent) notes.push(`silent for ${Math.round((Date.now() - sensor.seenAt) / 1000)} s`);
+    if (sensor.skipped) notes.push('lot not in demo data — not recorded');
+    detail.textContent = notes.join(' • ');
+    li.append(head, detail);
+    list.appendChild(li);
+  });
+}
+
+// ------------------ Roles ------------------
+// Admins grant roles to accounts: on-chain through grantRole / revokeRole (wallet addresses),
+// otherwise in a role registry stored with the demo data (usernames or addresses), whose checks
+// mirror the contract's. The acting party's roles decide which actions the UI shows. Contracts
+// without access control, and demo data before anyone claims admin, keep the open model.
+
+// index = role id in FoodTraceability.sol (vendor..retailer equal the stage they handle)
+const ROLES = [
+  { key: 'admin', label: 'Admin', hint: 'grants and revokes roles' },
+  { key: 'vendor', label: 'Vendor', hint: 'registers lots, handles the Vendor stage' },
+  { key: 'manufacturer', label: 'Manufacturer', hint: 'handles the Manufacturer stage' },
+  { key: 'logistics', label: 'Logistics', hint: 'handles the Logistics stage' },
+  { key: 'retailer', label: 'Retailer', hint: 'handles the Retail stage' },
+  { key: 'certifier', label: 'Certifier', hint: 'attests certification records' },
+  { key: 'consumer', label: 'Consumer', hint: 'informational — lookups and scans are open to everyone' }
+];
+const HANDLER_ROLES = ['vendor', 'manufacturer', 'logistics', 'retailer'];
+const STAGE_ROLES = { Vendor: 'vendor', Manufacturer: 'manufacturer', Logistics: 'logistics', Retail: 'retailer' };
+// element id -> roles that may use it (any one of them)
+const ROLE_GATES = [
+  ['registerCard', ['vendor']],
+  ['logIoTBtn', HANDLER_ROLES],
+  ['generateQRBtn', HANDLER_ROLES],
+  ['importCard', HANDLER_ROLES],
+  ['handoffInitiateRow', HANDLER_ROLES],
+  ['recallCard', HANDLER_ROLES],
+  ['lineageCard', HANDLER_ROLES],
+  ['certificationCard', HANDLER_ROLES],
+  ['labelsCard', HANDLER_ROLES]
+];
+let currentRoles = new Set();
+let roleRegistry = {}; // demo: lowercase party -> { party, roles: [key] }
+let roleMembers = {}; // role key -> [party], for the admin panel
+let rolesLoad = 0;
+let roleInFlight = false;
+
+const roleLabel = (key) => (ROLES.find(role => role.key === key) || { label: key }).label;
+const demoPartyRoles = (party) => (roleRegistry[String(party || '').toLowerCase()] || { roles: [] }).roles;
+const demoAdminVacant = () => !onChainMode() && !Object.values(roleRegistry).some(entry => entry.roles.includes('admin'));
+const rolesEnforced = () => (onChainMode() ? hasFeature('roles') : !demoAdminVacant());
+const hasRole = (key) => !rolesEnforced() || currentRoles.has(key);
+const hasAnyRole = (keys) => keys.some(hasRole);
+const demoPartyHasRole = (party, key) => demoAdminVacant() || demoPartyRoles(party).includes(key);
+
+// false (after reporting why) when the acting party holds none of `keys`
+function checkRole(keys, report) {
+  if (hasAnyRole(keys)) return true;
+  report(`Requires the ${keys.map(roleLabel).join(' or ')} role — ask an admin to grant it`, 'error');
+  return false;
+}
+
+async function loadRoles() {
+  const load = ++rolesLoad;
+  let roles = [];
+  const members = {};
+  if (onChainMode()) {
+    if (hasFeature('roles')) {
+      try {
+        const mask = accounts[0] ? Number(await contract.methods.getRoles(accounts[0]).call()) : 0;
+        roles = ROLES.filter((role, id) => mask & (1 << id)).map(role => role.key);
+        if (roles.includes('admin')) {
+          const lists = await Promise.all(ROLES.map((role, id) => contract.methods.getRoleMembers(id).call()));
+          ROLES.forEach((role, id) => { members[role.key] = lists[id] || []; });
+        }
+      } catch (e) {
+        console.warn('Role lookup failed', e);
+      }
+    }
+  } else {
+    try {
+      const store = await openStorage();
+      roleRegistry = {};
+      (await store.list('roles')).forEach((entry) => {
+        if (entry && entry.party) roleRegistry[entry.party.toLowerCase()] = { party: entry.party, roles: entry.roles || [] };
+      });
+    } catch (e) {
+      reportStorageError('loading roles', e);
+    }
+    roles = demoPartyRoles(demoIdentity());
+    ROLES.forEach((role) => { members[role.key] = Object.values(roleRegistry).filter(entry => entry.roles.includes(role.key)).map(entry => entry.party); });
+  }
+  if (load !== rolesLoad) return; // a newer load (account, login or network change) is under way
+  currentRoles = new Set(roles);
+  roleMembers = members;
+  applyRoleGates();
+  renderRolePanel();
+}
+
+function gateElement(id, allowed) {
+  const el = $(id);
+  if (el) el.classList.toggle('role-hidden', !allowed);
+}
+
+function applyRoleGates() {
+  ROLE_GATES.forEach(([id, keys]) => gateElement(id, hasAnyRole(keys)));
+  gateElement('adminCard', demoAdminVacant() || (rolesEnforced() && hasRole('admin')));
+  const pending = activeHandoff && activeHandoff.pending;
+  gateElement('acceptHandoffBtn', !pending || hasRole(STAGE_ROLES[pending.toStage]));
+  if (certificationView) renderCertifications(certificationView.lot, certificationView.records);
+
+  const mine = $('myRoles');
+  if (mine) {
+    mine.innerHTML = '';
+    if (!rolesEnforced()) return;
+    (currentRoles.size ? ROLES.filter(role => currentRoles.has(role.key)) : [{ label: 'No role', hint: 'ask an admin to grant one' }]).forEach((role) => {
+      const chip = document.createElement('span');
+      chip.className = 'role-chip';
+      chip.textContent = role.label;
+      chip.title = role.hint;
+      mine.appendChild(chip);
+    });
+  }
+}
+
+function setRoleStatus(message, tone) {
+  const el = $('roleStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setRoleBusy(busy) {
+  roleInFlight = busy;
+  const btn = $('grantRoleBtn');
+  if (btn) {
+    btn.disabled = busy || !featureEnabled('roles');
+    btn.title = featureEnabled('roles') ? '' : `${featureLabel('roles')} is not supported by this contract`;
+    btn.textContent = busy ? 'Saving…' : 'Grant role';
+  }
+}
+
+function renderRolePanel() {
+  const select = $('roleSelect');
+  if (select && !select.options.length) {
+    ROLES.forEach((role) => {
+      const option = document.createElement('option');
+      option.value = role.key;
+      option.textContent = `${role.label} — ${role.hint}`;
+      select.appendChild(option);
+    });
+  }
+  const account = $('roleAccount');
+  if (account) account.placeholder = onChainMode() ? 'Wallet address (0x…)' : 'Username or wallet address';
+
+  const vacant = demoAdminVacant();
+  const bootstrap = $('roleBootstrap');
+  if (bootstrap) bootstrap.classList.toggle('hidden', !vacant);
+  const claim = $('claimAdminBtn');
+  if (claim) {
+    claim.disabled = demoIdentity() === 'Guest';
+    claim.title = claim.disabled ? 'Log in or connect a wallet first' : '';
+  }
+  const form = $('roleForm');
+  if (form) form.classList.toggle('hidden', vacant);
+
+  const body = $('roleMembersBody');
+  if (!body) return;
+  body.innerHTML = '';
+  const rows = ROLES.flatMap(role => (roleMembers[role.key] || []).map(party => ({ role, party })));
+  if (!rows.length) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 3;
+    cell.textContent = vacant ? 'No admin yet — the first signed-in party claims the Admin role' : 'No roles granted yet';
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+  rows.forEach(({ role, party }) => {
+    const row = document.createElement('tr');
+    const roleCell = document.createElement('td');
+    roleCell.textContent = role.label;
+    const partyCell = document.createElement('td');
+    partyCell.textContent = formatParty(party);
+    partyCell.title = party;
+    const actionCell = document.createElement('td');
+    if (hasRole('admin')) {
+      const revoke = document.createElement('button');
+      revoke.type = 'button';
+      revoke.className = 'btn';
+      revoke.textContent = 'Revoke';
+      revoke.setAttribute('aria-label', `Revoke ${role.label} from ${party}`);
+      revoke.onclick = () => changeRole('revoke', role.key, party);
+      actionCell.appendChild(revoke);
+    }
+    row.append(roleCell, partyCell, actionCell);
+    body.appendChild(row);
+  });
+}
+
+async function submitRoleGrant() {
+  const account = $('roleAccount') ? $('roleAccount').value.trim() : '';
+  const key = $('roleSelect') ? $('roleSelect').value : '';
+  if (!account) return setRoleStatus('Enter the account to grant the role to', 'error');
+  if (onChainMode() && !isAddress(account)) return setRoleStatus('Account must be a wallet address (0x…)', 'error');
+  if (!onChainMode() && account === 'Guest') return setRoleStatus('Guests cannot hold roles', 'error');
+  if (await changeRole('grant', key, account)) { const form = $('roleForm'); if (form) form.reset(); }
+}
+
+// the first signed-in party of an empty demo registry becomes admin (like the contract's deployer)
+async function claimAdmin() {
+  if (!demoAdminVacant() || demoIdentity() === 'Guest') return;
+  try {
+    await saveDemoRoles(demoIdentity(), [...demoPartyRoles(demoIdentity()), 'admin']);
+  } catch (e) {
+    reportStorageError('saving roles', e);
+    return;
+  }
+  setRoleStatus(`${demoIdentity()} is now the admin`, 'success');
+  await loadRoles();
+}
+
+async function changeRole(action, key, party) {
+  if (roleInFlight) return false;
+  if (!checkRole(['admin'], setRoleStatus)) return false;
+  const verb = action === 'grant' ? 'granted to' : 'revoked from';
+  setRoleBusy(true);
+  try {
+    if (onChainMode()) {
+      if (!accounts || !accounts[0]) { setRoleStatus('Connect your admin wallet', 'warning'); return false; }
+      const id = ROLES.findIndex(role => role.key === key);
+      const method = action === 'grant' ? contract.methods.grantRole(id, party) : contract.methods.revokeRole(id, party);
+      try {
+        await sendTx(method, setRoleStatus, { label: `${roleLabel(key)} role ${verb} ${formatParty(party)}` });
+      } catch (e) {
+        console.warn(`${action}Role failed`, e);
+        setRoleStatus(`Failed — ${describeTxError(e)}`, 'error');
+        return false;
+      }
+    } else {
+      try {
+        demoChangeRole(action, key, party);
+        await saveDemoRoles(party, demoPartyRoles(party));
+      } catch (e) {
+        if (e.name === 'StorageError') reportStorageError('saving roles', e);
+        setRoleStatus(e.message, 'error');
+        return false;
+      }
+      pushActivity({ kind: 'demo', title: action === 'grant' ? 'RoleGranted' : 'RoleRevoked', detail: `${roleLabel(key)} → ${formatParty(party)}` });
+    }
+  } finally {
+    setRoleBusy(false);
+  }
+  setRoleStatus(`${roleLabel(key)} role ${verb} ${formatParty(party)}`, 'success');
+  await loadRoles();
+  return true;
+}
+
+// mirrors grantRole / revokeRole require() checks on the in-memory registry
+function demoChangeRole(action, key, party) {
+  const held = demoPartyRoles(party);
+  if (action === 'grant') {
+    if (held.includes(key)) throw new Error(`${party} already has the ${roleLabel(key)} role`);
+    roleRegistry[party.toLowerCase()] = { party, roles: [...held, key] };
+    return;
+  }
+  if (!held.includes(key)) throw new Error(`${party} does not have the ${roleLabel(key)} role`);
+  if (key === 'admin' && Object.values(roleRegistry).filter(entry => entry.roles.includes('admin')).length <= 1) throw new Error('Cannot revoke the last admin');
+  roleRegistry[party.toLowerCase()].roles = held.filter(role => role !== key);
+}
+
+async function saveDemoRoles(party, roles) {
+  const store = await openStorage();
+  roleRegistry[party.toLowerCase()] = { party, roles };
+  if (roles.length) await store.set('roles', party.toLowerCase(), { party, roles });
+  else await store.remove('roles', party.toLowerCase());
+}
+
+// ------------------ Stage handoffs ------------------
+// A lot moves exactly one stage forward along TIMELINE_STAGES: the current custodian initiates
+// a handoff to the receiving party, who then accepts it. The same rules guard demo data
+// (DEMO_PRODUCTS[lot].custody / pendingHandoff) and on-chain initiateHandoff / acceptHandoff.
+
+let activeHandoff = null; // { stage, custodian, pending } for activeLot
+
+function stageIndex(stage) {
+  return TIMELINE_STAGES.findIndex(s => s.toLowerCase() === String(stage || '').toLowerCase());
+}
+
+function nextStageOf(stage) {
+  const idx = stageIndex(stage);
+  return idx >= 0 && idx < TIMELINE_STAGES.length - 1 ? TIMELINE_STAGES[idx + 1] : null;
+}
+
+// throws when `to` is not exactly the stage after `from`
+function assertStageTransition(from, to) {
+  const fromIdx = stageIndex(from);
+  const toIdx = stageIndex(to);
+  if (fromIdx < 0) throw new Error(`A lot in stage "${from || 'Unknown'}" cannot be handed off`);
+  if (toIdx < 0) throw new Error(`Unknown stage "${to}"`);
+  if (toIdx <= fromIdx) throw new Error(`Lots cannot move backwards (${from} → ${to})`);
+  if (toIdx !== fromIdx + 1) throw new Error(`Stages cannot be skipped (${from} → ${to})`);
+}
+
+const isAddress = (value) => /^0x[0-9a-fA-F]{40}$/.test(value || '');
+const sameParty = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+const formatParty = (party) => (isAddress(party) ? shortenAddress(party) : (party || 'Unknown'));
+
+// who is acting in demo mode: the logged-in user, else the wallet, else "Guest"
+function demoIdentity() {
+  return currentUser ? currentUser.username : (accounts[0] || 'Guest');
+}
+
+// seeded demo lots have no custodian identity, so anyone may hand them off
+// as on-chain, every demo lot has a custodian: set on registration and handoff, and for the
+// seeded lots the handler of their last custody record
+function demoCustodian(product) {
+  if (!product) return null;
+  const custody = product.custody || [];
+  return product.custodian || (custody.length ? custody[custody.length - 1].handler : null);
+}
+
+function setHandoffStatus(message, tone) {
+  const el = $('handoffStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function renderHandoffPanel(state) {
+  activeHandoff = state;
+  const panel = $('handoffPanel');
+  if (!panel) return;
+  if (!state || !featureEnabled('handoff')) { panel.classList.add('hidden'); setHandoffStatus(''); return; }
+  panel.classList.remove('hidden');
+
+  const next = nextStageOf(state.stage);
+  const summary = $('handoffSummary');
+  const initiateRow = $('handoffInitiateRow');
+  const pendingRow = $('handoffPendingRow');
+
+  if (state.pending) {
+    if (summary) summary.textContent = `Handoff to ${state.pending.toStage} pending — awaiting ${formatParty(state.pending.to)}`;
+    if (initiateRow) initiateRow.classList.add('hidden');
+    if (pendingRow) pendingRow.classList.remove('hidden');
+  } else if (next) {
+    if (summary) summary.textContent = `Next stage: ${next}${state.custodian ? ` — held by ${formatParty(state.custodian)}` : ''}`;
+    if (initiateRow) initiateRow.classList.remove('hidden');
+    if (pendingRow) pendingRow.classList.add('hidden');
+  } else {
+    if (summary) summary.textContent = stageIndex(state.stage) >= 0 ? `${state.stage} is the final stage — no further handoffs` : 'This lot has no stage to hand off from';
+    if (initiateRow) initiateRow.classList.add('hidden');
+    if (pendingRow) pendingRow.classList.add('hidden');
+  }
+  const handoffTo = $('handoffTo');
+  if (handoffTo) handoffTo.placeholder = onChainMode() ? 'Receiver wallet address (0x…)' : 'Receiver username';
+  gateElement('acceptHandoffBtn', !state.pending || hasRole(STAGE_ROLES[state.pending.toStage]));
+}
+
+function onChainMode() {
+  return Boolean(contractAddress && contract && contractAvailable);
+}
+
+// chain of custody + pending handoff for an on-chain lot (older deployments lack these views)
+// getStageHistory returns parallel arrays (stages, handlers, unix seconds)
+function parseStageHistory(history) {
+  const stages = history[0] || [];
+  const handlers = history[1] || [];
+  const timestamps = history[2] || [];
+  return stages.map((n, idx) => ({
+    stage: stageToString(parseInt(n, 10)),
+    handler: handlers[idx],
+    ts: parseInt(timestamps[idx] || '0', 10) * 1000
+  }));
+}
+
+async function loadOnChainCustody(lot, stage) {
+  let custody = [];
+  let pending = null;
+  let custodian = null;
+  try {
+    if (hasFeature('custody')) custody = parseStageHistory(await contract.methods.getStageHistory(lot).call());
+    if (hasFeature('handoff')) {
+      const res = await contract.methods.getPendingHandoff(lot).call();
+      custodian = res[0];
+      const toStage = parseInt(res[2] || '0', 10);
+      if (toStage > 0) pending = { to: res[1], toStage: stageToString(toStage) };
+    }
+  } catch (e) {
+    console.warn('Stage history could not be loaded', e);
+  }
+  renderTimeline(stage, custody, pending);
+  renderHandoffPanel({ stage, custodian, pending });
+}
+
+async function initiateHandoff() {
+  if (!activeLot || !activeHandoff) return alert('Look up a lot first');
+  if (!checkRole(HANDLER_ROLES, setHandoffStatus)) return;
+  const toField = $('handoffTo');
+  const to = toField ? toField.value.trim() : '';
+  const toStage = nextStageOf(activeHandoff.stage);
+  try {
+    assertStageTransition(activeHandoff.stage, toStage);
+    if (!to) throw new Error('Enter the receiving party');
+  } catch (e) {
+    setHandoffStatus(e.message, 'error');
+    return;
+  }
+
+  if (onChainMode()) {
+    if (!accounts[0]) return setHandoffStatus('Connect your wallet to hand off on-chain', 'warning');
+    if (!isAddress(to)) return setHandoffStatus('Receiver must be a wallet address (0x…)', 'error');
+    if (activeHandoff.custodian && !sameParty(activeHandoff.custodian, accounts[0])) {
+      return setHandoffStatus(`Only the current custodian (${formatParty(activeHandoff.custodian)}) can hand off this lot`, 'error');
+    }
+    await runHandoffTx(contract.methods.initiateHandoff(activeLot, to), 'Handoff', `Handoff to ${toStage} initiated — waiting for ${formatParty(to)} to accept`);
+    return;
+  }
+
+  try {
+    demoInitiateHandoff(activeLot, to, demoIdentity());
+  } catch (e) {
+    setHandoffStatus(e.message, 'error');
+    return;
+  }
+  if (toField) toField.value = '';
+  setHandoffStatus(`Handoff to ${toStage} initiated — ${to} must log in and accept`, 'success');
+  showDemoProduct(activeLot);
+}
+
+async function acceptHandoff() {
+  if (!activeLot || !activeHandoff || !activeHandoff.pending) return;
+  const { pending } = activeHandoff;
+
+  if (onChainMode()) {
+    if (!accounts[0]) return setHandoffStatus('Connect your wallet to accept', 'warning');
+    if (!sameParty(pending.to, accounts[0])) return setHandoffStatus(`Only ${formatParty(pending.to)} can accept this handoff`, 'error');
+    await runHandoffTx(contract.methods.acceptHandoff(activeLot), 'Handoff acceptance', `Accepted — lot moved to ${pending.toStage}`);
+    return;
+  }
+
+  try {
+    demoAcceptHandoff(activeLot, demoIdentity());
+  } catch (e) {
+    setHandoffStatus(e.message, 'error');
+    return;
+  }
+  setHandoffStatus(`Accepted — lot moved to ${pending.toStage}`, 'success');
+  showDemoProduct(activeLot);
+}
+
+async function cancelHandoff() {
+  if (!activeLot || !activeHandoff || !activeHandoff.pending) return;
+  if (!checkRole(HANDLER_ROLES, setHandoffStatus)) return;
+
+  if (onChainMode()) {
+    if (!accounts[0]) return setHandoffStatus('Connect your wallet to cancel', 'warning');
+    await runHandoffTx(contract.methods.cancelHandoff(activeLot), 'Handoff cancellation', 'Handoff cancelled');
+    return;
+  }
+
+  try {
+    demoCancelHandoff(activeLot, demoIdentity());
+  } catch (e) {
+    setHandoffStatus(e.message, 'error');
+    return;
+  }
+  setHandoffStatus('Handoff cancelled', 'success');
+  showDemoProduct(activeLot);
+}
+
+async function runHandoffTx(method, label, successMessage) {
+  const lot = activeLot;
+  try {
+    await sendTx(method, setHandoffStatus, { label, lot });
+  } catch (e) {
+    console.warn('Handoff tx failed', e);
+    setHandoffStatus(`Failed — ${describeTxError(e)}`, 'error');
+    return;
+  }
+  if (lot === activeLot) await showLot(lot);
+  setHandoffStatus(`Mined — ${successMessage}`, 'success');
+}
+
+// ---- demo state machine (mirrors the contract's require() checks) ----
+
+function demoInitiateHandoff(lot, to, actor) {
+  const p = DEMO_PRODUCTS[lot];
+  if (!p) throw new Error('Unknown product');
+  if (p.pendingHandoff) throw new Error('Handoff already pending');
+  const custodian = demoCustodian(p);
+  if (!custodian) throw new Error('This lot has no custodian to hand it off');
+  if (!sameParty(custodian, actor)) throw new Error(`Only the current custodian (${custodian}) can hand off`);
+  if (sameParty(to, actor)) throw new Error('Invalid receiver');
+  const toStage = nextStageOf(p.stage);
+  assertStageTransition(p.stage, toStage);
+  if (!demoPartyHasRole(to, STAGE_ROLES[toStage])) throw new Error(`${to} lacks the ${roleLabel(STAGE_ROLES[toStage])} role needed for the ${toStage} stage`);
+  p.pendingHandoff = { from: actor, to, toStage, ts: Date.now() };
+  saveDemoProduct(lot);
+}
+
+function demoAcceptHandoff(lot, actor) {
+  const p = DEMO_PRODUCTS[lot];
+  if (!p) throw new Error('Unknown product');
+  const pending = p.pendingHandoff;
+  if (!pending) throw new Error('No pending handoff');
+  if (!sameParty(pending.to, actor)) throw new Error(`Only ${pending.to} can accept this handoff — log in as that user`);
+  assertStageTransition(p.stage, pending.toStage);
+  if (!demoPartyHasRole(actor, STAGE_ROLES[pending.toStage])) throw new Error(`Accepting requires the ${roleLabel(STAGE_ROLES[pending.toStage])} role`);
+  p.stage = pending.toStage;
+  p.custodian = actor;
+  p.custody = [...(p.custody || []), { stage: pending.toStage, handler: actor, ts: Date.now() }];
+  p.pendingHandoff = null;
+  saveDemoProduct(lot);
+}
+
+function demoCancelHandoff(lot, actor) {
+  const p = DEMO_PRODUCTS[lot];
+  if (!p) throw new Error('Unknown product');
+  if (!p.pendingHandoff) throw new Error('No pending handoff');
+  const custodian = demoCustodian(p) || p.pendingHandoff.from;
+  if (!sameParty(custodian, actor)) throw new Error(`Only ${custodian} can cancel this handoff`);
+  p.pendingHandoff = null;
+  saveDemoProduct(lot);
+}
+
+// ------------------ Recalls ------------------
+// A party that held a lot (its custodian or any handler in its chain of custody) can flag one or
+// more lots as unsafe with a severity class and a reason: on-chain through issueRecall, otherwise
+// on the demo lot (saved to demoProducts, so a shared REST backend spreads it). Looking up or
+// scanning a recalled lot shows a banner, and players whose scan history contains a recalled lot
+// get a notice until they dismiss it.
+
+const RECALL_SEVERITIES = {
+  1: { label: 'Class I', description: 'serious health risk — do not consume' },
+  2: { label: 'Class II', description: 'may cause temporary health problems — do not consume' },
+  3: { label: 'Class III', description: 'unlikely to cause harm — labelling or quality issue' }
+};
+const RECALL_MAX_LOTS = 50; // MAX_RECALL_BATCH in FoodTraceability.sol
+const RECALL_REASON_MAX_LENGTH = 200;
+let recallInFlight = false;
+let recallNotices = []; // [{ id, lot, scannedAt, recall }]
+let recallNoticeCheck = 0;
+
+const recallSeverity = (recall) => RECALL_SEVERITIES[recall.severity] || RECALL_SEVERITIES[1];
+const recallNoticeKey = () => (currentUser ? `user:${currentUser.username}` : 'guest');
+const canLiftRecall = (recall) => sameParty(recall.issuer, onChainMode() ? accounts[0] : demoIdentity());
+
+// lots typed into a form (recall, split, merge): separated by commas, semicolons or whitespace, without repeats
+function parseLotList(text) {
+  return Array.from(new Set(String(text || '').split(/[\s,;]+/).filter(Boolean)));
+}
+
+// the active recall of a lot — { severity, reason, issuer, issuedAt } — or null
+async function loadRecall(lot) {
+  if (onChainMode()) {
+    if (!hasFeature('recall')) return null;
+    try {
+      const res = await contract.methods.getRecall(lot).call();
+      const severity = parseInt(res[0] || '0', 10);
+      const recall = severity ? { severity, reason: res[1], issuer: res[2], issuedAt: parseInt(res[3] || '0', 10) * 1000 } : null;
+      cacheLookup(lot, { recall });
+      return recall;
+    } catch (e) {
+      // unreachable chain: a recall seen earlier still applies
+      console.warn('getRecall failed', e);
+      const cached = await readCachedLookup(lot);
+      return (cached && cached.recall) || null;
+    }
+  }
+  const product = DEMO_PRODUCTS[lot];
+  return (product && product.recall) || null;
+}
+
+// mirrors the contract's hasHeld(): the lot's custodian or any handler in its chain of custody
+function demoHasHeld(product, actor) {
+  if (actor === 'Guest') return false;
+  const custodian = demoCustodian(product);
+  return Boolean(custodian && sameParty(custodian, actor)) || (product.custody || []).some(record => sameParty(record.handler, actor));
+}
+
+function renderRecallBanner(lot, recall) {
+  const banner = $('recallBanner');
+  if (!banner) return;
+  banner.innerHTML = '';
+  banner.classList.toggle('hidden', !recall);
+  if (!recall) return;
+  const severity = recallSeverity(recall);
+  banner.dataset.severity = String(recall.severity);
+
+  const title = document.createElement('strong');
+  title.textContent = `⚠ Recalled — ${severity.label}: ${severity.description}`;
+  const reason = document.createElement('div');
+  reason.textContent = `Reason: ${recall.reason}`;
+  const meta = document.createElement('div');
+  meta.className = 'recall-meta';
+  meta.textContent = `Issued by ${formatParty(recall.issuer)} on ${new Date(recall.issuedAt).toLocaleString()}`;
+  banner.append(title, reason, meta);
+  if (recall.from) {
+    const inherited = document.createElement('div');
+    inherited.className = 'recall-meta';
+    inherited.textContent = `Inherited from ${recall.from}, a lot this one was split or merged from`;
+    banner.appendChild(inherited);
+  }
+
+  if (canLiftRecall(recall)) {
+    const lift = document.createElement('button');
+    lift.type = 'button';
+    lift.className = 'btn';
+    lift.textContent = recall.from ? `Lift recall of ${recall.from}` : 'Lift recall';
+    lift.onclick = () => liftRecall(recall.from || lot);
+    banner.appendChild(lift);
+  }
+}
+
+function setRecallStatus(message, tone) {
+  const el = $('recallStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setRecallBusy(busy) {
+  recallInFlight = busy;
+  const btn = $('recallBtn');
+  if (btn) {
+    btn.disabled = busy || !featureEnabled('recall');
+    btn.title = featureEnabled('recall') ? '' : `${featureLabel('recall')} is not supported by this contract`;
+    btn.textContent = busy ? 'Issuing recall…' : 'Issue recall';
+  }
+}
+
+async function submitRecall() {
+  if (recallInFlight || !checkRole(HANDLER_ROLES, setRecallStatus)) return;
+  const lots = parseLotList($('recallLots') ? $('recallLots').value : '');
+  const severity = parseInt($('recallSeverity') ? $('recallSeverity').value : '', 10);
+  const reason = $('recallReason') ? $('recallReason').value.trim() : '';
+  if (!lots.length) return setRecallStatus('Enter at least one lot number', 'error');
+  if (lots.length > RECALL_MAX_LOTS) return setRecallStatus(`At most ${RECALL_MAX_LOTS} lots per recall`, 'error');
+  if (!RECALL_SEVERITIES[severity]) return setRecallStatus('Choose a severity', 'error');
+  if (!reason) return setRecallStatus('Enter the reason for the recall', 'error');
+  if (reason.length > RECALL_REASON_MAX_LENGTH) return setRecallStatus(`Reason must be at most ${RECALL_REASON_MAX_LENGTH} characters`, 'error');
+
+  setRecallBusy(true);
+  try {
+    const issued = onChainMode() ? await issueRecallOnChain(lots, severity, reason) : issueDemoRecall(lots, severity, reason);
+    if (!issued) return;
+    const form = $('recallForm'); if (form) form.reset();
+    if (activeLot && lots.some(lot => lot === activeLot || lineageIncludes(lot))) await showLot(activeLot);
+    checkRecallNotices();
+  } finally {
+    setRecallBusy(false);
+  }
+}
+
+async function issueRecallOnChain(lots, severity, reason) {
+  if (!hasFeature('recall')) { setRecallStatus(`${featureLabel('recall')} is not supported by this contract`, 'error'); return false; }
+  if (!accounts || !accounts[0]) { setRecallStatus('Connect your wallet to issue a recall on-chain', 'warning'); return false; }
+  lots.forEach(rememberLot);
+  if (hasFeature('duplicateCheck')) {
+    try {
+      const exists = await Promise.all(lots.map(lot => contract.methods.productExists(lot).call()));
+      const unknown = lots.filter((lot, idx) => !exists[idx]);
+      if (unknown.length) { setRecallStatus(`Not registered on-chain: ${unknown.join(', ')}`, 'error'); return false; }
+    } catch (e) {
+      console.warn('productExists check failed', e); // issueRecall checks again
+    }
+  }
+  try {
+    await sendTx(contract.methods.issueRecall(lots, severity, reason), setRecallStatus, { label: `Recall of ${lots.length} lot(s)`, lot: lots.join(', ') });
+  } catch (e) {
+    console.warn('issueRecall failed', e);
+    setRecallStatus(`Failed — ${describeTxError(e)}`, 'error');
+    return false;
+  }
+  setRecallStatus(`Mined — ${RECALL_SEVERITIES[severity].label} recall issued for ${lots.join(', ')}`, 'success');
+  return true;
+}
+
+function issueDemoRecall(lots, severity, reason) {
+  const actor = demoIdentity();
+  const unknown = lots.filter(lot => !DEMO_PRODUCTS[lot] || DEMO_PRODUCTS[lot].placeholder);
+  if (unknown.length) { setRecallStatus(`Not registered in demo data: ${unknown.join(', ')}`, 'error'); return false; }
+  if (actor === 'Guest') { setRecallStatus('Log in or connect a wallet to issue a recall', 'warning'); return false; }
+  const denied = lots.filter(lot => !demoHasHeld(DEMO_PRODUCTS[lot], actor));
+  if (denied.length) { setRecallStatus(`Only a handler of the lot can recall it: ${denied.join(', ')}`, 'error'); return false; }
+
+  const issuedAt = Date.now();
+  lots.forEach((lot) => {
+    DEMO_PRODUCTS[lot].recall = { severity, reason, issuer: actor, issuedAt };
+    saveDemoProduct(lot);
+    pushActivity({ kind: 'demo', lot, title: 'RecallIssued', detail: `${RECALL_SEVERITIES[severity].label}: ${reason}` });
+  });
+  setRecallStatus(`${RECALL_SEVERITIES[severity].label} recall issued for ${lots.join(', ')}`, 'success');
+  return true;
+}
+
+async function liftRecall(lot) {
+  if (!confirm(`Lift the recall of ${lot}? People looking it up will no longer be warned.`)) return;
+  if (onChainMode()) {
+    try {
+      await sendTx(contract.methods.liftRecall(lot), setRecallStatus, { label: `Lift recall of ${lot}`, lot });
+    } catch (e) {
+      console.warn('liftRecall failed', e);
+      setRecallStatus(`Failed — ${describeTxError(e)}`, 'error');
+      return;
+    }
+  } else {
+    const product = DEMO_PRODUCTS[lot];
+    if (!product || !product.recall) return;
+    if (!sameParty(product.recall.issuer, demoIdentity())) return setRecallStatus('Only the recall issuer can lift it', 'error');
+    delete product.recall;
+    saveDemoProduct(lot);
+    pushActivity({ kind: 'demo', lot, title: 'RecallLifted', detail: `by ${formatParty(demoIdentity())}` });
+  }
+  setRecallStatus(`Recall of ${lot} lifted`, 'success');
+  if (activeLot && (activeLot === lot || lineageIncludes(lot))) await showLot(activeLot);
+  checkRecallNotices();
+}
+
+// ---- notices for players who scanned a recalled lot ----
+
+async function checkRecallNotices() {
+  const check = ++recallNoticeCheck;
+  const scanned = Object.entries((await loadProgress()).scans || {});
+  const recalls = await Promise.all(scanned.map(([lot]) => loadLotRecall(lot)));
+  let dismissed = [];
+  try {
+    dismissed = (await sessionStore.get('recallNotices', recallNoticeKey())) || [];
+  } catch (e) {
+    reportStorageError('loading recall notices', e);
+  }
+  if (check !== recallNoticeCheck) return; // a newer check (login, new recall) is under way
+  // the id includes issuedAt, so a re-issued recall notifies again
+  recallNotices = scanned
+    .map(([lot, scan], idx) => recalls[idx] && { id: `${lot}:${recalls[idx].issuedAt}`, lot, scannedAt: scan.at, recall: recalls[idx] })
+    .filter(notice => notice && !dismissed.includes(notice.id));
+  renderRecallNotices();
+}
+
+async function dismissRecallNotice(id) {
+  recallNotices = recallNotices.filter(notice => notice.id !== id);
+  renderRecallNotices();
+  try {
+    const key = recallNoticeKey();
+    const dismissed = (await sessionStore.get('recallNotices', key)) || [];
+    await sessionStore.set('recallNotices', key, [...dismissed, id]);
+  } catch (e) {
+    reportStorageError('saving recall notices', e);
+  }
+}
+
+function renderRecallNotices() {
+  const wrap = $('recallNotices');
+  if (!wrap) return;
+  wrap.innerHTML = '';
+  wrap.classList.toggle('hidden', !recallNotices.length);
+  recallNotices.forEach((notice) => {
+    const item = document.createElement('div');
+    item.className = 'recall-notice';
+    item.dataset.severity = String(notice.recall.severity);
+    const text = document.createElement('span');
+    const severity = recallSeverity(notice.recall);
+    const via = notice.recall.from ? ` through ${notice.recall.from}, a lot it was split or merged from` : '';
+    text.textContent = `⚠ ${notice.lot}, which you scanned on ${new Date(notice.scannedAt).toLocaleDateString()}, has been recalled${via} (${severity.label}: ${severity.description}). Reason: ${notice.recall.reason}`;
+    const view = document.createElement('button');
+    view.type = 'button';
+    view.className = 'btn';
+    view.textContent = 'View lot';
+    view.onclick = () => { const input = $('lotInput'); if (input) input.value = notice.lot; lookupProduct(); };
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'btn';
+    dismiss.textContent = 'Dismiss';
+    dismiss.onclick = () => dismissRecallNotice(notice.id);
+    item.append(text, view, dismiss);
+    wrap.appendChild(item);
+  });
+}
+
+// ------------------ Lot lineage ------------------
+// The custodian of a lot can split it into new child lots (a harvest into retail packs) or merge
+// lots it holds into a new lot (ingredients into a blend): on-chain through splitLot / mergeLots,
+// otherwise in demo data. Lineage is kept in both directions, so the lookup view traces every
+// ancestor and every downstream product of a lot and draws them as a left-to-right graph.
+
+const LINEAGE_MAX_LOTS = 50; // MAX_LINEAGE_BATCH in FoodTraceability.sol
+const LINEAGE_MAX_DEPTH = 8; // generations traced in each direction
+const LINEAGE_MAX_NODES = 60;
+const LINEAGE_GRAPH = { column: 160, row: 44, nodeWidth: 128, nodeHeight: 28, pad: 6 };
+let lineageInFlight = false;
+let lineageTrace = 0;
+let activeLineage = null; // { root, nodes: [{ lot, side, column }], edges: [{ from, to }], truncated }
+
+const lineageIncludes = (lot) => Boolean(activeLineage && activeLineage.nodes.some(node => node.lot === lot));
+const demoLineageLog = (lot, entry) => { const p = DEMO_PRODUCTS[lot]; p.lineageLog = [...(p.lineageLog || []), entry]; };
+
+// direct links of one lot: { parents, children }
+async function loadLineageLinks(lot) {
+  if (onChainMode()) {
+    const res = await contract.methods.getLineage(lot).call();
+    return { parents: res[0] || [], children: res[1] || [] };
+  }
+  const product = DEMO_PRODUCTS[lot];
+  return { parents: (product && product.parents) || [], children: (product && product.children) || [] };
+}
+
+// the recall in force for a lot: its own, else that of the nearest recalled ancestor — a lot split
+// or merged before its source was recalled carries the recall too, marked { from: ancestorLot }
+async function loadLotRecall(lot) {
+  const own = await loadRecall(lot);
+  if (own || !featureEnabled('lineage')) return own;
+  const seen = new Set([lot]);
+  let frontier = [lot];
+  for (let depth = 1; depth <= LINEAGE_MAX_DEPTH && frontier.length; depth++) {
+    const next = [];
+    for (const child of frontier) {
+      let links;
+      try {
+        links = await loadLineageLinks(child);
+      } catch (e) {
+        console.warn('Lineage lookup for recall failed', e); // the lot's own recall still applies
+        continue;
+      }
+      links.parents.forEach((parent) => {
+        if (!seen.has(parent) && seen.size < LINEAGE_MAX_NODES) { seen.add(parent); next.push(parent); }
+      });
+    }
+    const recalls = await Promise.all(next.map(loadRecall));
+    const idx = recalls.findIndex(Boolean);
+    if (idx >= 0) return Object.assign({}, recalls[idx], { from: next[idx] });
+    frontier = next;
+  }
+  return null;
+}
+
+// walk parents upwards and children downwards from `root`. Columns use the longest path, so every
+// edge points right even when a lot is reached along paths of different lengths.
+async function traceLineage(root) {
+  const links = {};
+  const side = { [root]: 'root' };
+  const edges = [];
+  const edgeKeys = new Set();
+  let truncated = false;
+
+  const walk = async (direction) => {
+    let frontier = [root];
+    for (let depth = 1; frontier.length; depth++) {
+      const next = [];
+      for (const lot of frontier) {
+        if (!links[lot]) links[lot] = await loadLineageLinks(lot);
+        for (const other of direction === 'up' ? links[lot].parents : links[lot].children) {
+          if (!side[other]) {
+            if (depth > LINEAGE_MAX_DEPTH || Object.keys(side).length >= LINEAGE_MAX_NODES) { truncated = true; continue; }
+            side[other] = direction;
+            next.push(other);
+          }
+          const edge = direction === 'up' ? { from: other, to: lot } : { from: lot, to: other };
+          if (!edgeKeys.has(`${edge.from}>${edge.to}`)) { edgeKeys.add(`${edge.from}>${edge.to}`); edges.push(edge); }
+        }
+      }
+      frontier = next;
+    }
+  };
+  await walk('up');
+  await walk('down');
+
+  const column = { [root]: 0 };
+  for (let pass = 0; pass < Object.keys(side).length; pass++) {
+    let changed = false;
+    edges.forEach(({ from, to }) => {
+      if (side[to] === 'down' && column[from] !== undefined && !(column[to] >= column[from] + 1)) { column[to] = column[from] + 1; changed = true; }
+      if (side[from] === 'up' && column[to] !== undefined && !(column[from] <= column[to] - 1)) { column[from] = column[to] - 1; changed = true; }
+    });
+    if (!changed) break;
+  }
+  return { root, nodes: Object.keys(side).map(lot => ({ lot, side: side[lot], column: column[lot] || 0 })), edges, truncated };
+}
+
+async function refreshLineage(lot) {
+  const trace = ++lineageTrace;
+  if (!lot || !featureEnabled('lineage')) { renderLineage(null); return; }
+  let lineage = null;
+  try {
+    lineage = await traceLineage(lot);
+    if (onChainMode()) cacheLookup(lot, { lineage });
+  } catch (e) {
+    // unreachable chain: the last trace of this lot is better than nothing
+    console.warn('Lineage trace failed', e);
+    const cached = onChainMode() ? await readCachedLookup(lot) : null;
+    lineage = (cached && cached.lineage) || null;
+  }
+  if (trace !== lineageTrace || activeLot !== lot) return;
+  renderLineage(lineage);
+}
+
+function openLineageLot(lot) {
+  if (consumerPage) {
+    renderQRVerdict(null, 'consumerVerdict'); // the verdict was for the scanned label
+    showConsumerLot(lot);
+    return;
+  }
+  const input = $('lotInput');
+  if (input) input.value = lot;
+  lookupProduct();
+}
+
+function renderLineage(lineage) {
+  activeLineage = lineage;
+  const panel = $('lineagePanel');
+  if (!panel) return;
+  const graph = $('lineageGraph');
+  const list = $('lineageDownstream');
+  if (graph) graph.innerHTML = '';
+  if (list) list.innerHTML = '';
+  panel.classList.toggle('hidden', !lineage || lineage.nodes.length < 2);
+  if (!lineage || lineage.nodes.length < 2) return;
+
+  const upstream = lineage.nodes.filter(node => node.side === 'up');
+  const downstream = lineage.nodes.filter(node => node.side === 'down').sort((a, b) => (a.column - b.column) || a.lot.localeCompare(b.lot));
+  const summary = $('lineageSummary');
+  if (summary) {
+    summary.textContent = `${upstream.length} upstream lot(s) • ${downstream.length} downstream lot(s)`
+      + (lineage.truncated ? ` — showing the nearest ${LINEAGE_MAX_NODES} lots within ${LINEAGE_MAX_DEPTH} generations` : '');
+  }
+  if (graph) graph.appendChild(drawLineageGraph(lineage));
+  if (list) {
+    downstream.forEach((node) => {
+      const li = document.createElement('li');
+      li.textContent = `${node.lot} — ${node.column === 1 ? 'made directly from this lot' : `${node.column} steps downstream`}`;
+      list.appendChild(li);
+    });
+  }
+}
+
+// one column per generation; a node opens its lot on click, Enter or Space
+function drawLineageGraph({ nodes, edges }) {
+  const { column, row, nodeWidth, nodeHeight, pad } = LINEAGE_GRAPH;
+  const minColumn = Math.min(...nodes.map(node => node.column));
+  const columns = {};
+  nodes.forEach((node) => { (columns[node.column] = columns[node.column] || []).push(node); });
+  const tallest = Math.max(...Object.values(columns).map(group => group.length));
+  const position = {};
+  Object.values(columns).forEach((group) => {
+    group.sort((a, b) => a.lot.localeCompare(b.lot)).forEach((node, idx) => {
+      position[node.lot] = { x: (node.column - minColumn) * column + pad, y: ((tallest - group.length) / 2 + idx) * row + pad };
+    });
+  });
+  const width = (Math.max(...nodes.map(node => node.column)) - minColumn) * column + nodeWidth + pad * 2;
+  const height = (tallest - 1) * row + nodeHeight + pad * 2;
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, width, height, class: 'lineage-svg', role: 'group', 'aria-label': 'Lot lineage graph' });
+
+  edges.forEach(({ from, to }) => {
+    const a = position[from];
+    const b = position[to];
+    if (!a || !b) return;
+    const x1 = a.x + nodeWidth;
+    const y1 = a.y + nodeHeight / 2;
+    const x2 = b.x;
+    const y2 = b.y + nodeHeight / 2;
+    const bend = (x2 - x1) / 2;
+    svg.appendChild(svgEl('path', { d: `M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`, class: 'lineage-edge' }));
+  });
+
+  nodes.forEach((node) => {
+    const { x, y } = position[node.lot];
+    const g = svgEl('g', { class: `lineage-node ${node.side}`, transform: `translate(${x},${y})` });
+    const title = svgEl('title');
+    title.textContent = node.side === 'root' ? `${node.lot} (this lot)` : `Open ${node.lot}`;
+    const label = svgEl('text', { x: nodeWidth / 2, y: nodeHeight / 2 + 4, 'text-anchor': 'middle' });
+    label.textContent = node.lot.length > 18 ? `${node.lot.slice(0, 17)}…` : node.lot;
+    g.append(title, svgEl('rect', { width: nodeWidth, height: nodeHeight, rx: 6 }), label);
+    if (node.side === 'root') {
+      g.setAttribute('aria-current', 'true');
+    } else {
+      Object.entries({ tabindex: '0', role: 'button', 'aria-label': `Open lot ${node.lot}` }).forEach(([key, value]) => g.setAttribute(key, value));
+      g.addEventListener('click', () => openLineageLot(node.lot));
+      g.addEventListener('keydown', (ev) => {
+        if (ev.key !== 'Enter' && ev.key !== ' ') return;
+        ev.preventDefault();
+        openLineageLot(node.lot);
+      });
+    }
+    svg.appendChild(g);
+  });
+  return svg;
+}
+
+// ---- split & merge ----
+
+function setLineageStatus(message, tone) {
+  const el = $('lineageStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setLineageBusy(busy) {
+  lineageInFlight = busy;
+  [['splitBtn', 'Split lot', 'Splitting…'], ['mergeBtn', 'Merge lots', 'Merging…']].forEach(([id, idle, working]) => {
+    const btn = $(id);
+    if (!btn) return;
+    btn.disabled = busy || !featureEnabled('lineage');
+    btn.title = featureEnabled('lineage') ? '' : `${featureLabel('lineage')} is not supported by this contract`;
+    btn.textContent = busy ? working : idle;
+  });
+}
+
+// error message for the new lot numbers of a split or merge, or '' when they are valid
+function validateNewLots(lots, sources) {
+  const invalid = lots.filter(lot => !LOT_NUMBER_PATTERN.test(lot));
+  if (invalid.length) return `Invalid lot number(s): ${invalid.join(', ')} — use 3–32 letters, digits, "-" or "_"`;
+  const reused = lots.filter(lot => sources.includes(lot));
+  if (reused.length) return `A new lot cannot reuse an existing lot number: ${reused.join(', ')}`;
+  return '';
+}
+
+// demo custody check, mirroring the contract: only the lot's custodian
+function demoCanSplit(product, actor) {
+  const custodian = demoCustodian(product);
+  return Boolean(custodian && sameParty(custodian, actor));
+}
+
+async function submitSplit() {
+  if (lineageInFlight || !checkRole(HANDLER_ROLES, setLineageStatus)) return;
+  const parentInput = $('splitParent');
+  const parent = (parentInput && parentInput.value.trim()) || activeLot || '';
+  const children = parseLotList($('splitChildren') ? $('splitChildren').value : '');
+  if (!parent) return setLineageStatus('Enter the lot to split', 'error');
+  if (!children.length) return setLineageStatus('Enter at least one new lot number', 'error');
+  if (children.length > LINEAGE_MAX_LOTS) return setLineageStatus(`At most ${LINEAGE_MAX_LOTS} child lots per split`, 'error');
+  const invalid = validateNewLots(children, [parent]);
+  if (invalid) return setLineageStatus(invalid, 'error');
+
+  setLineageBusy(true);
+  try {
+    if ((await recalledLots([parent])).length) return setLineageStatus(`${parent} is recalled — recalled lots cannot be split`, 'error');
+    const done = onChainMode() ? await splitOnChain(parent, children) : splitDemoLot(parent, children);
+    if (!done) return;
+    const form = $('splitForm'); if (form) form.reset();
+    openLineageLot(parent);
+  } finally {
+    setLineageBusy(false);
+  }
+}
+
+async function submitMerge() {
+  if (lineageInFlight || !checkRole(HANDLER_ROLES, setLineageStatus)) return;
+  const value = (id) => ($(id) ? $(id).value.trim() : '');
+  const parents = parseLotList(value('mergeParents'));
+  const fields = { lotNumber: value('mergeLot'), name: value('mergeName'), origin: value('mergeOrigin'), certifications: value('mergeCerts') };
+  if (parents.length < 2) return setLineageStatus('Enter at least two different lots to merge', 'error');
+  if (parents.length > LINEAGE_MAX_LOTS) return setLineageStatus(`At most ${LINEAGE_MAX_LOTS} lots per merge`, 'error');
+  const firstError = Object.values(validateRegistration(fields))[0] || validateNewLots([fields.lotNumber], parents);
+  if (firstError) return setLineageStatus(firstError, 'error');
+
+  setLineageBusy(true);
+  try {
+    const recalled = await recalledLots(parents);
+    if (recalled.length) return setLineageStatus(`Recalled lots cannot be merged: ${recalled.join(', ')}`, 'error');
+    const done = onChainMode() ? await mergeOnChain(parents, fields) : mergeDemoLots(parents, fields);
+    if (!done) return;
+    const form = $('mergeForm'); if (form) form.reset();
+    openLineageLot(fields.lotNumber);
+  } finally {
+    setLineageBusy(false);
+  }
+}
+
+// source lots with an active recall; splitLot / mergeLots refuse them so a recall cannot be shed by repackaging
+async function recalledLots(sources) {
+  const recalls = await Promise.all(sources.map(loadRecall));
+  return sources.filter((lot, idx) => recalls[idx]);
+}
+
+// productExists pre-check of the source lots and the new lots; splitLot / mergeLots check again
+async function checkLineageLots(sources, created) {
+  if (!hasFeature('duplicateCheck')) return true;
+  try {
+    const exists = await Promise.all([...sources, ...created].map(lot => contract.methods.productExists(lot).call()));
+    const unknown = sources.filter((lot, idx) => !exists[idx]);
+    if (unknown.length) { setLineageStatus(`Not registered on-chain: ${unknown.join(', ')}`, 'error'); return false; }
+    const taken = created.filter((lot, idx) => exists[sources.length + idx]);
+    if (taken.length) { setLineageStatus(`Already registered on-chain: ${taken.join(', ')}`, 'error'); return false; }
+  } catch (e) {
+    console.warn('productExists check failed', e);
+  }
+  return true;
+}
+
+async function splitOnChain(parent, children) {
+  if (!hasFeature('lineage')) { setLineageStatus(`${featureLabel('lineage')} is not supported by this contract`, 'error'); return false; }
+  if (!accounts || !accounts[0]) { setLineageStatus('Connect your wallet to split or merge lots on-chain', 'warning'); return false; }
+  [parent, ...children].forEach(rememberLot);
+  if (!await checkLineageLots([parent], children)) return false;
+  try {
+    await sendTx(contract.methods.splitLot(parent, children), setLineageStatus, { label: `Split of ${parent}`, lot: parent });
+  } catch (e) {
+    console.warn('splitLot failed', e);
+    setLineageStatus(`Failed — ${describeTxError(e)}`, 'error');
+    return false;
+  }
+  setLineageStatus(`Mined — ${parent} split into ${children.join(', ')}`, 'success');
+  return true;
+}
+
+async function mergeOnChain(parents, { lotNumber, name, origin, certifications }) {
+  if (!hasFeature('lineage')) { setLineageStatus(`${featureLabel('lineage')} is not supported by this contract`, 'error'); return false; }
+  if (!accounts || !accounts[0]) { setLineageStatus('Connect your wallet to split or merge lots on-chain', 'warning'); return false; }
+  [...parents, lotNumber].forEach(rememberLot);
+  if (!await checkLineageLots(parents, [lotNumber])) return false;
+  try {
+    await sendTx(contract.methods.mergeLots(parents, lotNumber, name, origin, certifications), setLineageStatus, { label: `Merge into ${lotNumber}`, lot: lotNumber });
+  } catch (e) {
+    console.warn('mergeLots failed', e);
+    setLineageStatus(`Failed — ${describeTxError(e)}`, 'error');
+    return false;
+  }
+  setLineageStatus(`Mined — ${parents.join(', ')} merged into ${lotNumber}`, 'success');
+  return true;
+}
+
+function splitDemoLot(parent, children) {
+  const actor = demoIdentity();
+  const p = DEMO_PRODUCTS[parent];
+  if (!p || p.placeholder) { setLineageStatus(`${parent} is not registered in demo data`, 'error'); return false; }
+  if (!demoCanSplit(p, actor)) { setLineageStatus(`Only the current custodian (${formatParty(demoCustodian(p))}) can split ${parent}`, 'error'); return false; }
+  if (p.recall) { setLineageStatus(`${parent} is recalled — recalled lots cannot be split`, 'error'); return false; }
+  const taken = children.filter(lot => DEMO_PRODUCTS[lot] && !DEMO_PRODUCTS[lot].placeholder);
+  if (taken.length) { setLineageStatus(`Already in demo data: ${taken.join(', ')}`, 'error'); return false; }
+
+  children.forEach((lot) => {
+    const child = createDemoLot(lot, { name: p.name, origin: p.origin, certifications: p.certifications, stage: p.stage }, actor);
+    child.parents = [parent];
+    saveDemoProduct(lot);
+  });
+  p.children = [...(p.children || []), ...children];
+  demoLineageLog(parent, { event: 'LotSplit', lots: children, handler: actor, ts: Date.now() });
+  saveDemoProduct(parent);
+  pushActivity({ kind: 'demo', lot: parent, title: 'LotSplit', detail: `into ${children.join(', ')}` });
+  setLineageStatus(`Split ${parent} into ${children.join(', ')} in demo data`, 'success');
+  return true;
+}
+
+function mergeDemoLots(parents, { lotNumber, name, origin, certifications }) {
+  const actor = demoIdentity();
+  const unknown = parents.filter(lot => !DEMO_PRODUCTS[lot] || DEMO_PRODUCTS[lot].placeholder);
+  if (unknown.length) { setLineageStatus(`Not registered in demo data: ${unknown.join(', ')}`, 'error'); return false; }
+  const denied = parents.filter(lot => !demoCanSplit(DEMO_PRODUCTS[lot], actor));
+  if (denied.length) { setLineageStatus(`Only the current custodian can merge: ${denied.join(', ')}`, 'error'); return false; }
+  const recalled = parents.filter(lot => DEMO_PRODUCTS[lot].recall);
+  if (recalled.length) { setLineageStatus(`Recalled lots cannot be merged: ${recalled.join(', ')}`, 'error'); return false; }
+  if (DEMO_PRODUCTS[lotNumber] && !DEMO_PRODUCTS[lotNumber].placeholder) { setLineageStatus(`${lotNumber} already exists in demo data`, 'error'); return false; }
+
+  // the blend is as far along the chain as its most advanced ingredient
+  const stage = STAGE_NAMES[Math.max(...parents.map(lot => STAGE_NAMES.indexOf(DEMO_PRODUCTS[lot].stage)))] || 'Vendor';
+  const merged = createDemoLot(lotNumber, { name, origin, certifications, stage }, actor);
+  merged.parents = parents;
+  demoLineageLog(lotNumber, { event: 'LotsMerged', lots: parents, handler: actor, ts: Date.now() });
+  saveDemoProduct(lotNumber);
+  parents.forEach((lot) => {
+    DEMO_PRODUCTS[lot].children = [...(DEMO_PRODUCTS[lot].children || []), lotNumber];
+    saveDemoProduct(lot);
+  });
+  pushActivity({ kind: 'demo', lot: lotNumber, title: 'LotsMerged', detail: `from ${parents.join(', ')}` });
+  setLineageStatus(`Merged ${parents.join(', ')} into ${lotNumber} in demo data`, 'success');
+  return true;
+}
+
+// ------------------ Certifications ------------------
+// The free-text `certifications` field is only the vendor's claim. Structured records — type,
+// issuing body, certificate ID, validity window and an optional document hash — are added by a
+// party that held the lot and stay "not attested" until a certifier attests them from their own
+// wallet (never the party that added them). The product card shows each record's status.
+
+const CERTIFICATION_MAX_RECORDS = 20; // MAX_CERTIFICATIONS in FoodTraceability.sol
+const CERTIFICATION_TEXT_MAX_LENGTH = 64;
+const CERTIFICATION_FIELDS = { lot: 'certLot', certType: 'certType', issuingBody: 'certBody', certificateId: 'certId', validFrom: 'certFrom', validTo: 'certTo', documentHash: 'certDocHash' };
+const CERTIFICATION_STATUS = {
+  verified: { label: 'Verified', icon: '✓' },
+  unverified: { label: 'Not attested', icon: '•' },
+  pending: { label: 'Not yet valid', icon: '…' },
+  expired: { label: 'Expired', icon: '✗' }
+};
+let certificationInFlight = false;
+let certificationView = null; // { lot, records } on the product card, re-rendered when roles change
+
+const isZeroAddress = (value) => /^0x0{40}$/i.test(value || '');
+const isDocumentHash = (value) => /^0x[0-9a-fA-F]{64}$/.test(value || '');
+
+// expiry wins over attestation: an attested certificate still lapses
+function certificationStatus(cert, now = Date.now()) {
+  if (now > cert.validTo) return 'expired';
+  if (now < cert.validFrom) return 'pending';
+  return cert.attestedBy ? 'verified' : 'unverified';
+}
+
+function canAttestCertification(cert) {
+  const actor = onChainMode() ? accounts[0] : demoIdentity();
+  if (!actor || actor === 'Guest' || cert.attestedBy || sameParty(cert.addedBy, actor) || !hasRole('certifier')) return false;
+  return certificationStatus(cert) !== 'expired' && featureEnabled('certifications');
+}
+
+// getCertifications returns Certification structs; times become ms and empty hashes / attestors ''
+function parseCertification(record) {
+  const attested = !isZeroAddress(record.attestedBy);
+  return {
+    certType: record.certType,
+    issuingBody: record.issuingBody,
+    certificateId: record.certificateId,
+    validFrom: parseInt(record.validFrom || '0', 10) * 1000,
+    validTo: parseInt(record.validTo || '0', 10) * 1000,
+    documentHash: /^0x0{64}$/i.test(record.documentHash || '') ? '' : record.documentHash,
+    addedBy: record.addedBy,
+    attestedBy: attested ? record.attestedBy : '',
+    attestedAt: attested ? parseInt(record.attestedAt || '0', 10) * 1000 : null
+  };
+}
+
+async function loadCertifications(lot) {
+  if (onChainMode()) {
+    if (!hasFeature('certifications')) return [];
+    try {
+      const records = (await contract.methods.getCertifications(lot).call()).map(parseCertification);
+      cacheLookup(lot, { certificationRecords: records });
+      return records;
+    } catch (e) {
+      console.warn('getCertifications failed', e);
+      const cached = await readCachedLookup(lot);
+      return (cached && cached.certificationRecords) || [];
+    }
+  }
+  const product = DEMO_PRODUCTS[lot];
+  return (product && product.certificationRecords) || [];
+}
+
+function renderCertifications(lot, records) {
+  certificationView = lot ? { lot, records } : null;
+  const list = $('certRecords');
+  if (!list) return;
+  list.innerHTML = '';
+  list.classList.toggle('hidden', !records.length);
+  if (!records.length) setAttestStatus('');
+  records.forEach((cert, index) => {
+    const status = certificationStatus(cert);
+    const li = document.createElement('li');
+    li.dataset.status = status;
+
+    const head = document.createElement('div');
+    const badge = document.createElement('span');
+    badge.className = 'cert-badge';
+    badge.textContent = `${CERTIFICATION_STATUS[status].icon} ${CERTIFICATION_STATUS[status].label}`;
+    const title = document.createElement('strong');
+    title.textContent = cert.certType;
+    head.append(badge, title, document.createTextNode(` — ${cert.issuingBody}${cert.certificateId ? ` · #${cert.certificateId}` : ''}`));
+
+    const meta = document.createElement('div');
+    meta.className = 'cert-meta';
+    const parts = [`Valid ${new Date(cert.validFrom).toLocaleDateString()} – ${new Date(cert.validTo).toLocaleDateString()}`];
+    parts.push(cert.attestedBy
+      ? `attested by ${formatParty(cert.attestedBy)} on ${new Date(cert.attestedAt).toLocaleDateString()}`
+      : `entered by ${formatParty(cert.addedBy)}, awaiting a certifier`);
+    if (cert.documentHash) parts.push(`document ${cert.documentHash.slice(0, 10)}…`);
+    meta.textContent = parts.join(' • ');
+    if (cert.documentHash) meta.title = `Document keccak256: ${cert.documentHash}`;
+    li.append(head, meta);
+
+    if (lot && canAttestCertification(cert)) {
+      const attest = document.createElement('button');
+      attest.type = 'button';
+      attest.className = 'btn success';
+      attest.textContent = 'Attest';
+      attest.onclick = () => attestCertification(lot, index);
+      li.appendChild(attest);
+    }
+    list.appendChild(li);
+  });
+}
+
+async function refreshCertifications(lot) {
+  const records = await loadCertifications(lot);
+  if (activeLot === lot) renderCertifications(lot, records);
+}
+
+function setCertificationStatus(message, tone) {
+  const el = $('certificationStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setAttestStatus(message, tone) {
+  const el = $('certAttestStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setCertificationBusy(busy) {
+  certificationInFlight = busy;
+  const btn = $('certificationBtn');
+  if (btn) {
+    btn.disabled = busy || !featureEnabled('certifications');
+    btn.title = featureEnabled('certifications') ? '' : `${featureLabel('certifications')} is not supported by this contract`;
+    btn.textContent = busy ? 'Adding…' : 'Add certification';
+  }
+}
+
+function readCertificationForm() {
+  const values = {};
+  Object.entries(CERTIFICATION_FIELDS).forEach(([key, id]) => {
+    const el = $(id);
+    values[key] = el ? el.value.trim() : '';
+  });
+  if (!values.lot) values.lot = activeLot || '';
+  // dates are inclusive: valid from the start of the first day to the end of the last
+  values.validFrom = values.validFrom ? new Date(`${values.validFrom}T00:00:00`).getTime() : NaN;
+  values.validTo = values.validTo ? new Date(`${values.validTo}T23:59:59`).getTime() : NaN;
+  return values;
+}
+
+// returns { field: message } for every invalid field (empty object when valid)
+function validateCertification({ lot, certType, issuingBody, certificateId, validFrom, validTo, documentHash }) {
+  const errors = {};
+  if (!lot) errors.lot = 'Enter the lot number';
+  if (!certType) errors.certType = 'Certification type is required';
+  else if (certType.length > CERTIFICATION_TEXT_MAX_LENGTH) errors.certType = `Certification type must be ${CERTIFICATION_TEXT_MAX_LENGTH} characters or fewer`;
+  if (!issuingBody) errors.issuingBody = 'Issuing body is required';
+  else if (issuingBody.length > CERTIFICATION_TEXT_MAX_LENGTH) errors.issuingBody = `Issuing body must be ${CERTIFICATION_TEXT_MAX_LENGTH} characters or fewer`;
+  if (certificateId.length > CERTIFICATION_TEXT_MAX_LENGTH) errors.certificateId = `Certificate ID must be ${CERTIFICATION_TEXT_MAX_LENGTH} characters or fewer`;
+  if (Number.isNaN(validFrom)) errors.validFrom = 'Valid-from date is required';
+  if (Number.isNaN(validTo)) errors.validTo = 'Valid-to date is required';
+  else if (!Number.isNaN(validFrom) && validTo <= validFrom) errors.validTo = 'Valid-to must be after valid-from';
+  if (documentHash && !isDocumentHash(documentHash)) errors.documentHash = 'Document hash must be 0x followed by 64 hex digits';
+  return errors;
+}
+
+function markCertificationErrors(errors) {
+  Object.entries(CERTIFICATION_FIELDS).forEach(([key, id]) => {
+    const el = $(id);
+    if (!el) return;
+    if (errors[key]) el.setAttribute('aria-invalid', 'true'); else el.removeAttribute('aria-invalid');
+  });
+}
+
+// keccak256 of the chosen certificate file, so anyone holding the document can match it
+async function onCertificateFileSelected(ev) {
+  const file = ev.target.files && ev.target.files[0];
+  if (!file) return;
+  const utils = web3Utils();
+  if (!utils) return setCertificationStatus('web3 is not loaded — paste the document hash instead', 'error');
+  try {
+    const hash = utils.utils.keccak256(`0x${bytesToHex(new Uint8Array(await file.arrayBuffer()))}`);
+    const input = $('certDocHash'); if (input) input.value = hash;
+    setCertificationStatus(`Hashed ${file.name}`, 'info');
+  } catch (e) {
+    console.warn('Certificate hashing failed', e);
+    setCertificationStatus(`Could not read ${file.name}: ${e.message}`, 'error');
+  }
+}
+
+async function submitCertification() {
+  if (certificationInFlight || !checkRole(HANDLER_ROLES, setCertificationStatus)) return;
+  const fields = readCertificationForm();
+  const errors = validateCertification(fields);
+  markCertificationErrors(errors);
+  const firstError = Object.values(errors)[0];
+  if (firstError) return setCertificationStatus(firstError, 'error');
+
+  setCertificationBusy(true);
+  try {
+    const added = onChainMode() ? await addCertificationOnChain(fields) : addDemoCertification(fields);
+    if (!added) return;
+    const form = $('certificationForm'); if (form) form.reset();
+    markCertificationErrors({});
+    if (activeLot === fields.lot) await refreshCertifications(fields.lot);
+  } finally {
+    setCertificationBusy(false);
+  }
+}
+
+async function addCertificationOnChain({ lot, certType, issuingBody, certificateId, validFrom, validTo, documentHash }) {
+  if (!hasFeature('certifications')) { setCertificationStatus(`${featureLabel('certifications')} is not supported by this contract`, 'error'); return false; }
+  if (!accounts || !accounts[0]) { setCertificationStatus('Connect your wallet to add certifications on-chain', 'warning'); return false; }
+  rememberLot(lot);
+  const method = contract.methods.addCertification(lot, certType, issuingBody, certificateId,
+    Math.floor(validFrom / 1000), Math.floor(validTo / 1000), documentHash || `0x${'0'.repeat(64)}`);
+  try {
+    await sendTx(method, setCertificationStatus, { label: `${certType} certification for ${lot}`, lot });
+  } catch (e) {
+    console.warn('addCertification failed', e);
+    setCertificationStatus(`Failed — ${describeTxError(e)}`, 'error');
+    return false;
+  }
+  setCertificationStatus(`Mined — ${certType} added to ${lot}; a certifier can now attest it`, 'success');
+  return true;
+}
+
+function addDemoCertification({ lot, certType, issuingBody, certificateId, validFrom, validTo, documentHash }) {
+  const actor = demoIdentity();
+  const product = DEMO_PRODUCTS[lot];
+  if (!product || product.placeholder) { setCertificationStatus(`${lot} is not registered in demo data`, 'error'); return false; }
+  if (!demoHasHeld(product, actor)) { setCertificationStatus('Only a handler of the lot can add certifications — log in or connect a wallet', 'error'); return false; }
+  const records = product.certificationRecords || [];
+  if (records.length >= CERTIFICATION_MAX_RECORDS) { setCertificationStatus(`${lot} already has ${CERTIFICATION_MAX_RECORDS} certifications`, 'error'); return false; }
+
+  product.certificationRecords = [...records, {
+    certType, issuingBody, certificateId, validFrom, validTo, documentHash, addedBy: actor, addedAt: Date.now(), attestedBy: '', attestedAt: null
+  }];
+  saveDemoProduct(lot);
+  pushActivity({ kind: 'demo', lot, title: 'CertificationAdded', detail: `${certType} — ${issuingBody}` });
+  setCertificationStatus(`${certType} added to ${lot} in demo data; another user can now attest it`, 'success');
+  return true;
+}
+
+async function attestCertification(lot, index) {
+  if (!checkRole(['certifier'], setAttestStatus)) return;
+  if (onChainMode()) {
+    if (!accounts || !accounts[0]) return setAttestStatus('Connect your certifier wallet to attest', 'warning');
+    try {
+      await sendTx(contract.methods.attestCertification(lot, index), setAttestStatus, { label: `Attestation of certification #${index + 1} for ${lot}`, lot });
+    } catch (e) {
+      console.warn('attestCertification failed', e);
+      setAttestStatus(`Failed — ${describeTxError(e)}`, 'error');
+      return;
+    }
+  } else {
+    const product = DEMO_PRODUCTS[lot];
+    const cert = product && (product.certificationRecords || [])[index];
+    if (!cert) return;
+    if (!canAttestCertification(cert)) return setAttestStatus('Only another signed-in party can attest an unexpired certification', 'error');
+    cert.attestedBy = demoIdentity();
+    cert.attestedAt = Date.now();
+    saveDemoProduct(lot);
+    pushActivity({ kind: 'demo', lot, title: 'CertificationAttested', detail: `${cert.certType} by ${formatParty(cert.attestedBy)}` });
+  }
+  setAttestStatus(`Certification #${index + 1} of ${lot} attested`, 'success');
+  await refreshCertifications(lot);
+}
+
+// ------------------ Provenance history ------------------
+// Rebuilds a lot's full audit trail from past contract logs. Every event carries the lot as its
+// first indexed topic, so one topic-filtered getPastEvents over the whole range finds them all;
+// the results are paged in the browser ("Load older" shows the next page). Providers that reject
+// the range are scanned backwards in block windows instead, a bounded number per click.
+
+const deploymentBlocks = {}; // `chainId:address` -> promise of the block the contract was created in
+const HISTORY_BLOCK_WINDOW = 5000; // fallback window size
+const HISTORY_WINDOWS_PER_CLICK = 20; // fallback: windows scanned before "Load older" has to be clicked again
+const HISTORY_PAGE_SIZE = 20;
+// pending: fetched events not shown yet (newest first); windowed: the full-range query was rejected
+const historyState = { lot: null, records: [], pending: [], nextToBlock: null, windowed: false, loading: false, source: null };
+const blockTimeCache = {};
+const txCache = {};
+
+async function openHistory() {
+  const input = $('lotInput');
+  const lot = activeLot || (input ? input.value.trim() : '');
+  if (!lot) return alert('Enter lot number');
+  Object.assign(historyState, { lot, records: [], pending: [], nextToBlock: null, windowed: false, loading: false, source: null });
+  const card = $('historyCard'); if (card) card.classList.remove('hidden');
+  const title = $('historyTitle'); if (title) title.textContent = `Provenance History — ${lot}`;
+  renderHistory();
+
+  if (onChainMode() && web3) {
+    historyState.source = 'chain';
+    rememberLot(lot);
+    try {
+      historyState.nextToBlock = await web3.eth.getBlockNumber();
+    } catch (e) {
+      console.warn('getBlockNumber failed', e);
+      setHistoryStatus('Could not reach the chain — history unavailable', 'error');
+      return;
+    }
+    await loadHistoryPage();
+  } else {
+    historyState.source = 'demo';
+    historyState.records = buildDemoHistory(lot);
+    historyState.nextToBlock = null;
+    setHistoryStatus(historyState.records.length ? `${historyState.records.length} record(s) from demo data` : 'No history for this lot in demo data', historyState.records.length ? 'info' : 'warning');
+    renderHistory();
+  }
+}
+
+function closeHistory() {
+  const card = $('historyCard'); if (card) card.classList.add('hidden');
+  historyState.lot = null;
+}
+
+// first block worth scanning: the deployment's startBlock, else the contract's creation block,
+// found once per contract by bisecting eth_getCode (0 when the node cannot serve old state)
+async function historyStartBlock() {
+  if (!activeNetwork) return 0;
+  if (isBlockNumber(activeNetwork.startBlock)) return activeNetwork.startBlock;
+  const key = `${activeNetwork.chainId}:${contractAddress.toLowerCase()}`;
+  if (!deploymentBlocks[key]) {
+    deploymentBlocks[key] = findDeploymentBlock(contractAddress).catch((e) => {
+      console.warn('Deployment block lookup failed — scanning from genesis', e);
+      delete deploymentBlocks[key];
+      return 0;
+    });
+  }
+  return deploymentBlocks[key];
+}
+
+async function findDeploymentBlock(address) {
+  const hasCode = async (block) => !/^0x0*$/.test((await web3.eth.getCode(address, block)) || '0x');
+  let lo = 0;
+  let hi = await web3.eth.getBlockNumber();
+  if (!(await hasCode(hi))) return 0;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await hasCode(mid)) hi = mid; else lo = mid + 1;
+  }
+  return lo;
+}
+
+const newestEventFirst = (a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex);
+const historyHasMore = () => historyState.pending.length > 0 || historyState.nextToBlock !== null;
+
+// one getPastEvents over the whole range; null when the provider rejects it (block-range or
+// result limits), so the caller falls back to HISTORY_BLOCK_WINDOW windows
+async function pastEventsInRange(event, filter) {
+  try {
+    return await contract.getPastEvents(event, filter);
+  } catch (e) {
+    console.warn(`getPastEvents over blocks ${filter.fromBlock}–${filter.toBlock} rejected — scanning in windows`, e);
+    return null;
+  }
+}
+
+// show the next page: the first click queries the whole range; without it, block windows are
+// scanned backwards until a page is found, the start block is reached or the per-click cap is hit
+async function loadHistoryPage() {
+  if (historyState.loading || !historyHasMore() || historyState.source !== 'chain') return;
+  const lot = historyState.lot;
+  historyState.loading = true;
+  renderHistory();
+  const topics = [null, web3.utils.keccak256(lot)];
+  const found = [];
+  try {
+    const startBlock = await historyStartBlock();
+    if (!historyState.windowed && historyState.nextToBlock !== null) {
+      setHistoryStatus(`Querying blocks ${startBlock}–${historyState.nextToBlock}…`, 'info');
+      const events = await pastEventsInRange('allEvents', { fromBlock: startBlock, toBlock: historyState.nextToBlock, topics });
+      if (historyState.lot !== lot) return; // closed or switched lots meanwhile
+      if (events) Object.assign(historyState, { pending: events.sort(newestEventFirst), nextToBlock: null });
+      else historyState.windowed = true;
+    }
+    let windows = 0;
+    while (historyState.nextToBlock !== null && historyState.pending.length < HISTORY_PAGE_SIZE && windows < HISTORY_WINDOWS_PER_CLICK) {
+      const toBlock = historyState.nextToBlock;
+      const fromBlock = Math.max(startBlock, toBlock - HISTORY_BLOCK_WINDOW + 1);
+      setHistoryStatus(`Scanning blocks ${fromBlock}–${toBlock}…`, 'info');
+      const events = await contract.getPastEvents('allEvents', { fromBlock, toBlock, topics });
+      if (historyState.lot !== lot) return;
+      historyState.pending.push(...events.sort(newestEventFirst));
+      historyState.nextToBlock = fromBlock > startBlock ? fromBlock - 1 : null;
+      windows++;
+    }
+    for (const ev of historyState.pending.splice(0, HISTORY_PAGE_SIZE)) found.push(await toHistoryRecord(ev));
+    if (historyState.lot !== lot) return;
+  } catch (e) {
+    console.warn('History scan failed', e);
+    setHistoryStatus(`History scan failed — ${describeTxError(e)}`, 'error');
+    return;
+  } finally {
+    historyState.loading = false;
+  }
+
+  historyState.records = historyState.records.concat(found).sort(newestEventFirst);
+  const shown = `${historyState.records.length} record(s)`;
+  if (historyState.pending.length) setHistoryStatus(`${shown} of ${historyState.records.length + historyState.pending.length}${historyState.nextToBlock !== null ? '+' : ''} — "Load older" shows more`, 'success');
+  else if (historyState.nextToBlock !== null) setHistoryStatus(`${shown} — scanned down to block ${historyState.nextToBlock + 1}; "Load older" continues the scan`, 'success');
+  else setHistoryStatus(`${shown} — complete history`, 'success');
+  renderHistory();
+}
+
+async function toHistoryRecord(ev) {
+  const values = ev.returnValues || {};
+  const [timestamp, from] = await Promise.all([blockTimestamp(ev.blockNumber), txSender(ev.transactionHash)]);
+  return {
+    event: ev.event,
+    details: describeHistoryEvent(ev.event, values),
+    handler: from || values.handler || values.generator || values.issuer || '',
+    blockNumber: ev.blockNumber,
+    logIndex: ev.logIndex,
+    ts: timestamp,
+    txHash: ev.transactionHash
+  };
+}
+
+function describeHistoryEvent(name, values) {
+  switch (name) {
+    case 'ProductRegistered': return `Registered "${values.name}" from ${values.origin}`;
+    case 'IoTDataCaptured': return `${values.temperature}°C — ${values.note}`;
+    case 'QRGenerated': return `QR token ${values.token}`;
+    case 'HandoffInitiated': return `Handoff to ${stageToString(parseInt(values.toStage, 10))} offered to ${values.to}`;
+    case 'HandoffCancelled': return 'Handoff cancelled';
+    case 'StageUpdated': return `Entered ${stageToString(parseInt(values.stage, 10))}`;
+    case 'RecallIssued': return `${recallSeverity({ severity: parseInt(values.severity, 10) }).label} recall: ${values.reason}`;
+    case 'RecallLifted': return 'Recall lifted';
+    case 'LotSplit': return `Split into ${[].concat(values.childLots || []).join(', ')}`;
+    case 'LotsMerged': return `Merged from ${[].concat(values.parentLots || []).join(', ')}`;
+    case 'CertificationAdded': return `Certification #${parseInt(values.index, 10) + 1} added: ${values.certType}`;
+    case 'CertificationAttested': return `Certification #${parseInt(values.index, 10) + 1} attested by ${values.certifier}`;
+    default: return '';
+  }
+}
+
+async function blockTimestamp(blockNumber) {
+  if (blockTimeCache[blockNumber] === undefined) {
+    try {
+      const block = await web3.eth.getBlock(blockNumber);
+      blockTimeCache[blockNumber] = block ? parseInt(block.timestamp, 10) * 1000 : null;
+    } catch (e) { blockTimeCache[blockNumber] = null; }
+  }
+  return blockTimeCache[blockNumber];
+}
+
+async function loadTransaction(txHash) {
+  if (txCache[txHash] === undefined) {
+    try {
+      txCache[txHash] = (await web3.eth.getTransaction(txHash)) || null;
+    } catch (e) { txCache[txHash] = null; }
+  }
+  return txCache[txHash];
+}
+
+async function txSender(txHash) {
+  const tx = await loadTransaction(txHash);
+  return tx ? tx.from : '';
+}
+
+// demo lots keep custody + IoT in memory; no blocks or tx hashes exist for them
+function buildDemoHistory(lot) {
+  const p = DEMO_PRODUCTS[lot];
+  if (!p) return [];
+  const records = [];
+  (p.custody || []).forEach((r, idx) => records.push({
+    event: idx === 0 ? 'ProductRegistered' : 'StageUpdated',
+    details: idx === 0 ? `Registered "${p.name}" from ${p.origin}` : `Entered ${r.stage}`,
+    handler: r.handler, blockNumber: null, ts: r.ts, txHash: ''
+  }));
+  if (p.pendingHandoff) records.push({
+    event: 'HandoffInitiated', details: `Handoff to ${p.pendingHandoff.toStage} offered to ${p.pendingHandoff.to}`,
+    handler: p.pendingHandoff.from, blockNumber: null, ts: p.pendingHandoff.ts, txHash: ''
+  });
+  (p.iot || []).forEach((log) => records.push({
+    event: 'IoTDataCaptured', details: `${log.temp}°C — ${log.note}`, handler: '', blockNumber: null, ts: log.ts, txHash: ''
+  }));
+  (p.qrTokens || []).forEach((qr) => records.push({
+    event: 'QRGenerated', details: `QR token ${qr.token}`, handler: qr.generator || '', blockNumber: null, ts: qr.ts, txHash: ''
+  }));
+  (p.certificationRecords || []).forEach((cert, index) => {
+    if (cert.addedAt) records.push({
+      event: 'CertificationAdded', details: describeHistoryEvent('CertificationAdded', { index, certType: cert.certType }), handler: cert.addedBy, blockNumber: null, ts: cert.addedAt, txHash: ''
+    });
+    if (cert.attestedBy) records.push({
+      event: 'CertificationAttested', details: describeHistoryEvent('CertificationAttested', { index, certifier: cert.attestedBy }), handler: cert.attestedBy, blockNumber: null, ts: cert.attestedAt, txHash: ''
+    });
+  });
+  (p.lineageLog || []).forEach((r) => records.push({
+    event: r.event, details: describeHistoryEvent(r.event, { childLots: r.lots, parentLots: r.lots }), handler: r.handler, blockNumber: null, ts: r.ts, txHash: ''
+  }));
+  if (p.recall) records.push({
+    event: 'RecallIssued', details: `${recallSeverity(p.recall).label} recall: ${p.recall.reason}`, handler: p.recall.issuer, blockNumber: null, ts: p.recall.issuedAt, txHash: ''
+  });
+  return records.sort((a, b) => b.ts - a.ts);
+}
+
+function setHistoryStatus(message, tone) {
+  const el = $('historyStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function renderHistory() {
+  const body = $('historyBody');
+  if (!body) return;
+  body.innerHTML = '';
+  historyState.records.forEach((record) => {
+    const row = document.createElement('tr');
+    const cells = [
+      record.ts ? new Date(record.ts).toLocaleString() : '—',
+      record.event,
+      record.details,
+      record.handler ? formatParty(record.handler) : '—',
+      record.blockNumber === null || record.blockNumber === undefined ? '—' : String(record.blockNumber),
+      record.txHash ? `${record.txHash.slice(0, 10)}…` : '—'
+    ];
+    cells.forEach((value, idx) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      if (idx === 3 && record.handler) cell.title = record.handler;
+      if (idx === 5 && record.txHash) {
+        cell.title = record.txHash;
+        const txUrl = explorerUrl('tx', record.txHash);
+        if (txUrl) {
+          const link = document.createElement('a');
+          Object.assign(link, { href: txUrl, target: '_blank', rel: 'noopener', textContent: value });
+          cell.textContent = '';
+          cell.appendChild(link);
+        }
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  const more = $('historyMoreBtn');
+  if (more) {
+    more.classList.toggle('hidden', !historyHasMore() || historyState.source !== 'chain');
+    more.disabled = historyState.loading;
+  }
+  const hasRecords = historyState.records.length > 0;
+  ['historyCsvBtn', 'historyJsonBtn'].forEach((id) => { const btn = $(id); if (btn) btn.disabled = !hasRecords; });
+}
+
+// ---- export ----
+
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const toCsv = (header, rows) => [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+
+function historyExportRows() {
+  return historyState.records.map(r => ({
+    lot: historyState.lot,
+    event: r.event,
+    details: r.details,
+    handler: r.handler || '',
+    blockNumber: r.blockNumber,
+    timestamp: r.ts ? new Date(r.ts).toISOString() : '',
+    txHash: r.txHash || ''
+  }));
+}
+
+function exportHistory(format) {
+  if (!historyState.lot || !historyState.records.length) return;
+  const rows = historyExportRows();
+  const base = `provenance-${historyState.lot}`;
+  const complete = !historyHasMore();
+  if (format === 'json') {
+    const doc = {
+      lot: historyState.lot,
+      source: historyState.source,
+      contract: historyState.source === 'chain' ? contractAddress : null,
+      chainId: historyState.source === 'chain' && activeNetwork ? activeNetwork.chainId : null,
+      complete,
+      exportedAt: new Date().toISOString(),
+      records: rows
+    };
+    downloadFile(`${base}.json`, JSON.stringify(doc, null, 2), 'application/json');
+    return;
+  }
+  const header = ['lot', 'event', 'details', 'handler', 'blockNumber', 'timestamp', 'txHash'];
+  downloadFile(`${base}.csv`, toCsv(header, rows.map(r => header.map(key => r[key]))), 'text/csv');
+}
+
+// ------------------ Compliance reports ------------------
+// Audit documents for one lot (full history) or for every lot with activity in a date range
+// (evidence from that period). A report gathers the product details, chain of custody, the full
+// IoT log with excursion statistics, certifications, any recall and the contract events with
+// their tx hashes. It is assembled and exported in the browser: JSON, CSV or a PDF (jsPDF).
+
+const REPORT_CACHE_MS = 60000; // a second export within a minute reuses the gathered report
+const REPORT_PDF = { format: 'a4', width: 210, height: 297, margin: 15 };
+let reportCache = null; // { key, at, report }
+let reportInFlight = false;
+
+function setReportStatus(message, tone) {
+  const el = $('reportStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setReportBusy(busy) {
+  reportInFlight = busy;
+  ['reportPdfBtn', 'reportCsvBtn', 'reportJsonBtn'].forEach((id) => { const btn = $(id); if (btn) btn.disabled = busy; });
+}
+
+function onReportScopeChanged() {
+  const range = $('reportScope') && $('reportScope').value === 'range';
+  const lotRow = $('reportLotRow'); if (lotRow) lotRow.classList.toggle('hidden', range);
+  const rangeRow = $('reportRangeRow'); if (rangeRow) rangeRow.classList.toggle('hidden', !range);
+}
+
+// { lot } or { from, to, label } (ms, whole local days); null after reporting why
+function readReportScope() {
+  if (!$('reportScope') || $('reportScope').value !== 'range') {
+    const lot = ($('reportLot') && $('reportLot').value.trim()) || activeLot || '';
+    if (!lot) { setReportStatus('Enter a lot or look one up first', 'error'); return null; }
+    return { lot };
+  }
+  const from = $('reportFrom') && $('reportFrom').value ? new Date(`${$('reportFrom').value}T00:00:00`).getTime() : NaN;
+  const to = $('reportTo') && $('reportTo').value ? new Date(`${$('reportTo').value}T23:59:59.999`).getTime() : NaN;
+  if (Number.isNaN(from) || Number.isNaN(to)) { setReportStatus('Choose both dates of the range', 'error'); return null; }
+  if (to < from) { setReportStatus('The range ends before it starts', 'error'); return null; }
+  return { from, to, label: `${$('reportFrom').value}_${$('reportTo').value}` };
+}
+
+// ---- gathering ----
+
+// first block with a timestamp at or after ts, between low and high (high + 1 when none)
+async function firstBlockAtOrAfter(ts, low, high) {
+  let lo = low;
+  let hi = high + 1;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const at = await blockTimestamp(mid);
+    if (at === null) throw new Error(`Block ${mid} could not be read`);
+    if (at >= ts) hi = mid; else lo = mid + 1;
+  }
+  return lo;
+}
+
+// contract events that carry a lot, oldest first; `lot` narrows the query to its topic, `event` to one
+// event. The range is one query; block windows are the fallback when the provider rejects it.
+async function scanLotEvents({ fromBlock, toBlock, lot, event = 'allEvents' }, onProgress) {
+  const topics = lot ? { topics: [null, web3.utils.keccak256(lot)] } : {};
+  onProgress(`Querying blocks ${fromBlock}–${toBlock}…`);
+  let events = await pastEventsInRange(event, Object.assign({ fromBlock, toBlock }, topics));
+  if (!events) {
+    events = [];
+    for (let start = fromBlock; start <= toBlock; start += HISTORY_BLOCK_WINDOW) {
+      const end = Math.min(toBlock, start + HISTORY_BLOCK_WINDOW - 1);
+      onProgress(`Scanning blocks ${start}–${end} of ${fromBlock}–${toBlock}…`);
+      events.push(...await contract.getPastEvents(event, Object.assign({ fromBlock: start, toBlock: end }, topics)));
+    }
+  }
+  return events.filter(ev => ev.returnValues && ev.returnValues.lotNumber !== undefined);
+}
+
+// the lot behind an event's hashed lotNumber: a lot seen before, else the string argument of the
+// emitting transaction whose keccak256 matches the topic ('' when neither works)
+async function eventLot(ev) {
+  const topic = String(ev.returnValues.lotNumber || '').toLowerCase();
+  const known = resolveEventLot(topic);
+  if (known) return known;
+  const tx = await loadTransaction(ev.transactionHash);
+  const input = tx && tx.input ? tx.input : '';
+  const method = ((contract.options && contract.options.jsonInterface) || []).find(item => item.type === 'function' && item.signature === input.slice(0, 10));
+  if (!method) return '';
+  let decoded;
+  try { decoded = web3.eth.abi.decodeParameters(method.inputs, `0x${input.slice(10)}`); } catch (e) { return ''; }
+  const strings = method.inputs.flatMap((param, idx) => (param.type === 'string' ? [decoded[idx]] : param.type === 'string[]' ? decoded[idx] : []));
+  const lot = strings.find(value => web3.utils.keccak256(value).toLowerCase() === topic) || '';
+  rememberLot(lot);
+  return lot;
+}
+
+// product, custody and readings of a registered lot; null when unknown
+async function loadLotRecord(lot) {
+  if (onChainMode()) {
+    let res;
+    try {
+      res = await contract.methods.consumerLookupByLot(lot).call();
+    } catch (e) {
+      if (isNetworkError(e)) throw e;
+      return null; // reverted: not registered
+    }
+    const logs = parseIoTLogs(await contract.methods.getIoTLogs(lot).call());
+    const custody = hasFeature('custody') ? parseStageHistory(await contract.methods.getStageHistory(lot).call()) : [];
+    return {
+      product: { name: res[0] || '', origin: res[1] || '', certifications: res[2] || '', stage: stageToString(parseInt(res[3] || '0', 10)) },
+      custody, logs
+    };
+  }
+  const p = DEMO_PRODUCTS[lot];
+  if (!p || p.placeholder) return null;
+  return { product: { name: p.name, origin: p.origin, certifications: p.certifications, stage: p.stage }, custody: p.custody || [], logs: p.iot || [] };
+}
+
+// the lot record plus its certifications and recall
+async function loadReportLot(lot) {
+  const record = await loadLotRecord(lot);
+  if (!record) return null;
+  const certifications = onChainMode() ? await loadCertifications(lot) : DEMO_PRODUCTS[lot].certificationRecords || [];
+  return Object.assign(record, { certifications, recall: await loadLotRecall(lot) });
+}
+
+function reportLotEntry(lot, data, evidence) {
+  const profile = getTemperatureProfile(lot, data.product.name);
+  const logs = data.logs.slice().sort((a, b) => a.ts - b.ts);
+  const report = evaluateColdChain(logs, profile);
+  const { min, max } = profileRange(profile);
+  const iso = (ts) => (ts ? new Date(ts).toISOString() : null);
+  return {
+    lot,
+    product: data.product,
+    temperatureProfile: { id: profile.id, label: profile.label, min, max, criticalMax: profile.criticalMax },
+    coldChain: { verdict: report.verdict, findings: report.findings.map(f => ({ severity: f.severity, rule: f.rule, message: f.message })) },
+    statistics: temperatureStatistics(logs, profile),
+    custody: data.custody.map(r => ({ stage: r.stage, handler: r.handler, at: iso(r.ts) })),
+    iot: logs.map(log => ({ at: iso(log.ts), temperature: log.temp, note: log.note || '', inRange: log.temp >= min && log.temp <= max })),
+    certifications: data.certifications.map(cert => ({
+      certType: cert.certType, issuingBody: cert.issuingBody, certificateId: cert.certificateId,
+      validFrom: iso(cert.validFrom), validTo: iso(cert.validTo), documentHash: cert.documentHash || '',
+      addedBy: cert.addedBy || '', attestedBy: cert.attestedBy || '', attestedAt: iso(cert.attestedAt), status: certificationStatus(cert)
+    })),
+    recall: data.recall ? { severity: recallSeverity(data.recall).label, reason: data.recall.reason, issuer: data.recall.issuer, issuedAt: iso(data.recall.issuedAt), inheritedFrom: data.recall.from || null } : null,
+    evidence: evidence.slice().sort((a, b) => (a.ts || 0) - (b.ts || 0)).map(r => ({
+      at: iso(r.ts), event: r.event, details: r.details, handler: r.handler || '', blockNumber: r.blockNumber === undefined ? null : r.blockNumber, txHash: r.txHash || ''
+    }))
+  };
+}
+
+async function buildComplianceReport(scope, onProgress) {
+  const chain = onChainMode();
+  const evidenceByLot = new Map(); // lot -> history records
+  let unresolved = 0;
+  if (chain) {
+    const latest = await web3.eth.getBlockNumber();
+    let fromBlock = await historyStartBlock();
+    let toBlock = latest;
+    if (!scope.lot) {
+      onProgress('Finding the blocks of the date range…');
+      fromBlock = await firstBlockAtOrAfter(scope.from, fromBlock, latest);
+      toBlock = (await firstBlockAtOrAfter(scope.to + 1, fromBlock, latest)) - 1;
+    }
+    const events = fromBlock <= toBlock ? await scanLotEvents({ fromBlock, toBlock, lot: scope.lot }, onProgress) : [];
+    for (const ev of events) {
+      const lot = scope.lot || await eventLot(ev);
+      if (!lot) { unresolved++; continue; }
+      if (!evidenceByLot.has(lot)) evidenceByLot.set(lot, []);
+      evidenceByLot.get(lot).push(await toHistoryRecord(ev));
+    }
+  } else {
+    (scope.lot ? [scope.lot] : Object.keys(DEMO_PRODUCTS)).forEach((lot) => {
+      const records = buildDemoHistory(lot).filter(r => scope.lot || (r.ts >= scope.from && r.ts <= scope.to));
+      if (scope.lot || records.length) evidenceByLot.set(lot, records);
+    });
+  }
+  if (scope.lot && !evidenceByLot.has(scope.lot)) evidenceByLot.set(scope.lot, []);
+
+  const lots = [];
+  const missing = [];
+  for (const [lot, evidence] of evidenceByLot) {
+    onProgress(`Reading ${lot} (${lots.length + missing.length + 1}/${evidenceByLot.size})…`);
+    const data = await loadReportLot(lot);
+    if (data) lots.push(reportLotEntry(lot, data, evidence)); else missing.push(lot);
+  }
+  return {
+    title: 'Cold-chain compliance report',
+    generatedAt: new Date().toISOString(),
+    scope: scope.lot ? { lot: scope.lot } : { from: new Date(scope.from).toISOString(), to: new Date(scope.to).toISOString() },
+    evidenceCovers: scope.lot ? 'full history' : 'events in the date range',
+    source: chain ? 'chain' : 'demo',
+    network: chain && activeNetwork ? { name: activeNetwork.name, chainId: activeNetwork.chainId } : null,
+    contract: chain ? contractAddress : null,
+    notRegistered: missing,
+    unresolvedEvents: unresolved,
+    lots
+  };
+}
+
+// ---- formats ----
+
+const formatMinutes = (ms) => Math.round(ms / 60000);
+
+function complianceReportCsv(report) {
+  const header = ['lot', 'section', 'timestamp', 'item', 'value', 'party', 'blockNumber', 'txHash'];
+  const rows = [];
+  report.lots.forEach((entry) => {
+    const add = (section, item, value, extra = {}) => rows.push([entry.lot, section, extra.at || '', item, value, extra.party || '', extra.blockNumber === undefined ? '' : extra.blockNumber, extra.txHash || '']);
+    Object.entries(entry.product).forEach(([key, value]) => add('product', key, value));
+    add('coldChain', 'verdict', entry.coldChain.verdict);
+    add('coldChain', 'profile', `${entry.temperatureProfile.label} ${entry.temperatureProfile.min}…${entry.temperatureProfile.max} °C`);
+    const stats = entry.statistics;
+    [['readings', stats.readings], ['minC', stats.min], ['maxC', stats.max], ['meanC', stats.mean], ['readingsOutOfRange', stats.outOfRange], ['minutesOutOfRange', formatMinutes(stats.timeOutOfRangeMs)]]
+      .forEach(([key, value]) => add('statistics', key, value === null ? '' : value));
+    entry.coldChain.findings.forEach(f => add('finding', f.severity, f.message));
+    entry.custody.forEach(r => add('custody', r.stage, '', { at: r.at, party: r.handler }));
+    entry.iot.forEach(r => add('iot', r.note, r.temperature, { at: r.at, party: r.inRange ? 'in range' : 'out of range' }));
+    entry.certifications.forEach(c => add('certification', c.certType, `${c.status} — ${c.issuingBody}${c.certificateId ? ` #${c.certificateId}` : ''}, valid ${c.validFrom || '?'} to ${c.validTo || '?'}`, { at: c.attestedAt, party: c.attestedBy || c.addedBy }));
+    if (entry.recall) add('recall', entry.recall.severity, entry.recall.reason, { at: entry.recall.issuedAt, party: entry.recall.issuer });
+    entry.evidence.forEach(r => add('evidence', r.event, r.details, { at: r.at, party: r.handler, blockNumber: r.blockNumber === null ? '' : r.blockNumber, txHash: r.txHash }));
+  });
+  return toCsv(header, rows);
+}
+
+// A4 portrait: summary page, then one section per lot; tables wrap cells and repeat no headers
+function complianceReportPdf(report) {
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF({ unit: 'mm', format: REPORT_PDF.format });
+  const { margin } = REPORT_PDF;
+  const width = REPORT_PDF.width - margin * 2;
+  const bottom = REPORT_PDF.height - margin - 6; // room for the page footer
+  const lineHeight = (size) => size * 0.45; // pt -> mm with leading
+  let y = margin;
+
+  const ensure = (height) => { if (y + height > bottom) { doc.addPage(); y = margin; } };
+  const write = (value, { size = 10, bold = false, indent = 0 } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.splitTextToSize(String(value), width - indent).forEach((line) => {
+      ensure(lineHeight(size));
+      y += lineHeight(size);
+      doc.text(line, margin + indent, y - lineHeight(size) * 0.25);
+    });
+  };
+  const gap = (mm = 3) => { y += mm; };
+  const table = (columns, rows, size = 8) => {
+    if (!rows.length) { write('None recorded.', { size }); return; }
+    const total = columns.reduce((sum, col) => sum + col.weight, 0);
+    const widths = columns.map(col => (col.weight / total) * width);
+    const drawRow = (cells, bold) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(size);
+      const wrapped = cells.map((cell, idx) => doc.splitTextToSize(cell === null || cell === undefined || cell === '' ? '—' : String(cell), widths[idx] - 1.5));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight(size) + 1;
+      ensure(height);
+      let x = margin;
+      wrapped.forEach((lines, idx) => { doc.text(lines, x, y + lineHeight(size) * 0.8); x += widths[idx]; });
+      y += height;
+      doc.setDrawColor(200);
+      doc.line(margin, y, margin + width, y);
+    };
+    drawRow(columns.map(col => col.label), true);
+    rows.forEach(row => drawRow(row, false));
+  };
+  const when = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+  write(report.title, { size: 18, bold: true });
+  gap(2);
+  write(`Generated ${when(report.generatedAt)}`, { size: 9 });
+  write(report.scope.lot ? `Scope: lot ${report.scope.lot} (full history)` : `Scope: lots with activity from ${when(report.scope.from)} to ${when(report.scope.to)} (evidence from that period)`, { size: 9 });
+  write(report.source === 'chain' ? `Source: ${report.network ? `${report.network.name} (chain ${report.network.chainId})` : 'chain'}, contract ${report.contract}` : 'Source: demo data (no on-chain transactions)', { size: 9 });
+  if (report.notRegistered.length) write(`Not registered: ${report.notRegistered.join(', ')}`, { size: 9 });
+  if (report.unresolvedEvents) write(`${report.unresolvedEvents} event(s) could not be matched to a lot`, { size: 9 });
+  gap();
+  table(
+    [{ label: 'Lot', weight: 2 }, { label: 'Product', weight: 3 }, { label: 'Cold chain', weight: 2 }, { label: 'Readings', weight: 1.3 }, { label: 'Min out of range', weight: 1.6 }, { label: 'Recall', weight: 1.6 }],
+    report.lots.map(entry => [entry.lot, entry.product.name, entry.coldChain.verdict, entry.statistics.readings, formatMinutes(entry.statistics.timeOutOfRangeMs), entry.recall ? entry.recall.severity : 'none'])
+  );
+
+  report.lots.forEach((entry) => {
+    doc.addPage();
+    y = margin;
+    const stats = entry.statistics;
+    write(`Lot ${entry.lot} — ${entry.product.name}`, { size: 14, bold: true });
+    write(`Origin: ${entry.product.origin}   Stage: ${entry.product.stage}   Stated certifications: ${entry.product.certifications || 'none'}`, { size: 9 });
+    if (entry.recall) write(`RECALL — ${entry.recall.severity}: ${entry.recall.reason} (issued ${when(entry.recall.issuedAt)} by ${entry.recall.issuer}${entry.recall.inheritedFrom ? ` against source lot ${entry.recall.inheritedFrom}` : ''})`, { size: 9, bold: true });
+    gap();
+    write('Cold chain', { size: 11, bold: true });
+    write(`Verdict: ${entry.coldChain.verdict} — ${entry.temperatureProfile.label} profile ${entry.temperatureProfile.min}°C to ${entry.temperatureProfile.max}°C (critical above ${entry.temperatureProfile.criticalMax}°C)`, { size: 9 });
+    write(stats.readings
+      ? `${stats.readings} readings from ${when(stats.first)} to ${when(stats.last)} — min ${stats.min}°C, max ${stats.max}°C, mean ${stats.mean}°C; ${stats.outOfRange} out of range for ${formatMinutes(stats.timeOutOfRangeMs)} min in total`
+      : 'No sensor readings.', { size: 9 });
+    entry.coldChain.findings.forEach(f => write(`${f.severity}: ${f.message}`, { size: 9, indent: 3 }));
+    gap();
+    write('Chain of custody', { size: 11, bold: true });
+    table([{ label: 'Stage', weight: 2 }, { label: 'Handler', weight: 5 }, { label: 'Taken over', weight: 3 }], entry.custody.map(r => [r.stage, r.handler, when(r.at)]));
+    gap();
+    write('Certifications', { size: 11, bold: true });
+    table(
+      [{ label: 'Type', weight: 2 }, { label: 'Issuer / ID', weight: 2.5 }, { label: 'Valid', weight: 2.5 }, { label: 'Status', weight: 1.5 }, { label: 'Attested by', weight: 3 }],
+      entry.certifications.map(c => [c.certType, `${c.issuingBody}${c.certificateId ? ` #${c.certificateId}` : ''}`, `${when(c.validFrom)} – ${when(c.validTo)}`, c.status, c.attestedBy ? `${c.attestedBy} (${when(c.attestedAt)})` : ''])
+    );
+    gap();
+    write('IoT temperature log', { size: 11, bold: true });
+    table([{ label: 'Time', weight: 3 }, { label: '°C', weight: 1 }, { label: 'Note', weight: 4 }, { label: 'Band', weight: 1.5 }], entry.iot.map(r => [when(r.at), r.temperature, r.note, r.inRange ? 'in' : 'OUT']));
+    gap();
+    write(`Evidence — contract events (${report.evidenceCovers})`, { size: 11, bold: true });
+    table(
+      [{ label: 'Time', weight: 2.5 }, { label: 'Event', weight: 2.2 }, { label: 'Details', weight: 3.5 }, { label: 'Block', weight: 1.2 }, { label: 'Tx hash', weight: 4 }],
+      entry.evidence.map(r => [when(r.at), r.event, r.details, r.blockNumber, r.txHash]),
+      7
+    );
+  });
+
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(`${report.title} — page ${page} of ${pages}`, margin, REPORT_PDF.height - margin / 2);
+  }
+  return doc.output('blob');
+}
+
+async function exportComplianceReport(format) {
+  if (reportInFlight) return;
+  if (format === 'pdf' && !(window.jspdf && window.jspdf.jsPDF)) { setReportStatus('PDF export needs jsPDF, which did not load — check the connection or export CSV / JSON', 'error'); return; }
+  const scope = readReportScope();
+  if (!scope) return;
+  const chain = onChainMode();
+  if (chain && !web3) { setReportStatus('Could not reach the chain — report unavailable', 'error'); return; }
+
+  const key = `${contractAddress}|${JSON.stringify(scope)}`;
+  let report = chain && reportCache && reportCache.key === key && Date.now() - reportCache.at < REPORT_CACHE_MS ? reportCache.report : null;
+  if (!report) {
+    setReportBusy(true);
+    try {
+      report = await buildComplianceReport(scope, message => setReportStatus(message, 'info'));
+      reportCache = { key, at: Date.now(), report };
+    } catch (e) {
+      console.warn('Compliance report failed', e);
+      setReportStatus(`Report failed — ${describeTxError(e)}`, 'error');
+      return;
+    } finally {
+      setReportBusy(false);
+    }
+  }
+  if (!report.lots.length) {
+    setReportStatus(scope.lot ? `${scope.lot} is not registered` : 'No lots were handled in this date range', 'warning');
+    return;
+  }
+
+  const base = `compliance-${scope.lot || scope.label}`;
+  if (format === 'json') downloadFile(`${base}.json`, JSON.stringify(report, null, 2), 'application/json');
+  else if (format === 'csv') downloadFile(`${base}.csv`, complianceReportCsv(report), 'text/csv');
+  else downloadFile(`${base}.pdf`, complianceReportPdf(report), 'application/pdf');
+  const counts = report.lots.reduce((acc, entry) => Object.assign(acc, { [entry.coldChain.verdict]: (acc[entry.coldChain.verdict] || 0) + 1 }), {});
+  const summary = Object.entries(counts).map(([verdict, n]) => `${n} ${verdict}`).join(', ');
+  setReportStatus(`${format.toUpperCase()} report for ${report.lots.length} lot(s): ${summary}${report.notRegistered.length ? ` — not registered: ${report.notRegistered.join(', ')}` : ''}`, report.lots.some(entry => entry.coldChain.verdict === 'violation') ? 'warning' : 'success');
+}
+
+// ------------------ Supply-chain analytics ------------------
+// Aggregate view across all lots: lots per stage, the cold-chain breach rate by origin and by
+// handler, the average time spent in each stage and the most-scanned products. Lots come from
+// ProductRegistered events (demo: DEMO_PRODUCTS) and scans from the stored scan events, which are
+// only this browser's unless storage is the shared REST API. The date range keeps lots registered
+// in it and scans made in it; the origin filter narrows both. Registrations are scanned once per
+// deployment and then only in new blocks; a build reads at most ANALYTICS_MAX_LOTS of them.
+
+const ANALYTICS_LOOKUP_BATCH = 10; // parallel lot reads
+const ANALYTICS_MAX_LOTS = 500; // newest registrations read per build; older ones are counted as omitted
+const ANALYTICS_TOP_PRODUCTS = 10;
+const ANALYTICS_BAR_REM = 8; // width of a full share bar
+let analyticsData = null; // { lots, records, scans, sharedScans, unresolved, omitted, source, range, at }
+let analyticsRegistrations = null; // { key, toBlock, entries: [{ event, lot }] } — lot: undefined until resolved
+let analyticsInFlight = false;
+
+function setAnalyticsStatus(message, tone) {
+  const el = $('analyticsStatus');
+  if (!el) return;
+  el.textContent = message;
+  el.dataset.tone = tone || 'info';
+  el.classList.toggle('hidden', !message);
+}
+
+function setAnalyticsBusy(busy) {
+  analyticsInFlight = busy;
+  const btn = $('analyticsRefreshBtn');
+  if (btn) {
+    btn.disabled = busy;
+    btn.textContent = busy ? 'Building…' : 'Update';
+  }
+}
+
+// { from, to } in ms (whole local days, open-ended when a date is empty); null after reporting why
+function readAnalyticsRange() {
+  const fromValue = $('analyticsFrom') ? $('analyticsFrom').value : '';
+  const toValue = $('analyticsTo') ? $('analyticsTo').value : '';
+  const from = fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : 0;
+  const to = toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : Infinity;
+  if (to < from) { setAnalyticsStatus('The range ends before it starts', 'error'); return null; }
+  return { from, to };
+}
+
+// ---- gathering ----
+
+// lots registered in the range; `unresolved` counts registrations whose lot could not be decoded,
+// `omitted` the older registrations past ANALYTICS_MAX_LOTS
+async function analyticsLots(range, onProgress) {
+  if (!onChainMode()) {
+    const lots = Object.keys(DEMO_PRODUCTS).filter((lot) => {
+      const p = DEMO_PRODUCTS[lot];
+      const registeredAt = p.custody && p.custody.length ? p.custody[0].ts : null;
+      if (p.placeholder) return false;
+      return registeredAt === null ? !range.from && range.to === Infinity : registeredAt >= range.from && registeredAt <= range.to;
+    });
+    return { lots, unresolved: 0, omitted: 0 };
+  }
+  const latest = await web3.eth.getBlockNumber();
+  const startBlock = await historyStartBlock();
+  const key = `${activeNetwork ? activeNetwork.chainId : ''}:${contractAddress.toLowerCase()}`;
+  if (!analyticsRegistrations || analyticsRegistrations.key !== key) analyticsRegistrations = { key, toBlock: startBlock - 1, entries: [] };
+  const cache = analyticsRegistrations;
+  if (cache.toBlock < latest) {
+    const events = await scanLotEvents({ fromBlock: cache.toBlock + 1, toBlock: latest, event: 'ProductRegistered' }, onProgress);
+    cache.entries.push(...events.map(event => ({ event, lot: undefined })));
+    cache.toBlock = latest;
+  }
+  let fromBlock = startBlock;
+  let toBlock = latest;
+  if (range.from || range.to !== Infinity) onProgress('Finding the blocks of the date range…');
+  if (range.from) fromBlock = await firstBlockAtOrAfter(range.from, fromBlock, latest);
+  if (range.to !== Infinity) toBlock = (await firstBlockAtOrAfter(range.to + 1, fromBlock, latest)) - 1;
+  const inRange = cache.entries.filter(entry => entry.event.blockNumber >= fromBlock && entry.event.blockNumber <= toBlock);
+  const newest = inRange.slice(-ANALYTICS_MAX_LOTS);
+  const lots = new Set();
+  let unresolved = 0;
+  for (const [idx, entry] of newest.entries()) {
+    if (entry.lot === undefined) {
+      onProgress(`Identifying registered lots (${idx + 1}/${newest.length})…`);
+      entry.lot = await eventLot(entry.event);
+    }
+    if (entry.lot) lots.add(entry.lot); else unresolved++;
+  }
+  return { lots: [...lots], unresolved, omitted: inRange.length - newest.length };
+}
+
+async function gatherAnalytics(range, onProgress) {
+  onProgress('Finding registered lots…');
+  const { lots, unresolved, omitted } = await analyticsLots(range, onProgress);
+  let scans = [];
+  let sharedScans = false;
+  try {
+    const store = await openStorage();
+    sharedScans = store.kind === 'rest';
+    scans = ((await store.list('scans')) || []).filter(scan => scan && scan.lot && scan.at >= range.from && scan.at <= range.to);
+  } catch (e) {
+    reportStorageError('loading scans', e);
+  }
+  // scanned lots registered before the range still need their product name and origin
+  const wanted = [...new Set([...lots, ...scans.map(scan => scan.lot)])];
+  const records = {};
+  for (let i = 0; i < wanted.length; i += ANALYTICS_LOOKUP_BATCH) {
+    const batch = wanted.slice(i, i + ANALYTICS_LOOKUP_BATCH);
+    onProgress(`Reading lots ${i + 1}–${i + batch.length} of ${wanted.length}…`);
+    (await Promise.all(batch.map(loadLotRecord))).forEach((record, idx) => { if (record) records[batch[idx]] = record; });
+  }
+  return { lots: lots.filter(lot => records[lot]), records, scans, sharedScans, unresolved, omitted, source: onChainMode() ? 'chain' : 'demo', range, at: Date.now() };
+}
+
+// ---- metrics ----
+
+// a lot is breached when its cold-chain verdict is a violation; a handler is charged with the lots
+// that had a violation reading while in its custody (readings before the first record go to it)
+function analyticsMetrics(data, origin = '') {
+  const lots = data.lots.filter(lot => !origin || data.records[lot].product.origin === origin);
+  const stages = {};
+  const origins = {};
+  const handlers = {};
+  const dwell = {};
+  let monitored = 0;
+  let breached = 0;
+  lots.forEach((lot) => {
+    const { product, custody, logs } = data.records[lot];
+    stages[product.stage] = (stages[product.stage] || 0) + 1;
+
+    const cold = evaluateColdChain(logs, getTemperatureProfile(lot, product.name));
+    const byOrigin = origins[product.origin] || (origins[product.origin] = { origin: product.origin, lots: 0, monitored: 0, breached: 0 });
+    byOrigin.lots++;
+    if (cold.verdict !== 'no-data') { byOrigin.monitored++; monitored++; }
+    if (cold.verdict === 'violation') { byOrigin.breached++; breached++; }
+
+    const stays = custody.filter(r => r.ts).sort((a, b) => a.ts - b.ts);
+    stays.forEach((stay, idx) => {
+      const start = idx === 0 ? -Infinity : stay.ts;
+      const end = idx + 1 < stays.length ? stays[idx + 1].ts : Infinity;
+      const time = dwell[stay.stage] || (dwell[stay.stage] = { stays: 0, totalMs: 0, open: 0 });
+      if (end === Infinity) time.open++; else { time.stays++; time.totalMs += end - stay.ts; }
+
+      const key = String(stay.handler || '').toLowerCase();
+      const held = handlers[key] || (handlers[key] = { handler: stay.handler, lots: new Set(), monitored: new Set(), breached: new Set() });
+      held.lots.add(lot);
+      cold.logs.forEach((log, i) => {
+        if (log.ts < start || log.ts >= end) return;
+        held.monitored.add(lot);
+        if (cold.flagged[i] === 'violation') held.breached.add(lot);
+      });
+    });
+  });
+
+  const products = {};
+  let scans = 0;
+  data.scans.forEach((scan) => {
+    const record = data.records[scan.lot];
+    if (origin && (!record || record.product.origin !== origin)) return;
+    const name = record ? record.product.name : scan.lot;
+    const entry = products[name] || (products[name] = { name, scans: 0, lots: new Set(), players: new Set() });
+    entry.scans++;
+    entry.lots.add(scan.lot);
+    entry.players.add(scan.name);
+    scans++;
+  });
+
+  const stageOrder = (stage) => (STAGE_NAMES.includes(stage) ? STAGE_NAMES.indexOf(stage) : STAGE_NAMES.length);
+  const byStage = (a, b) => stageOrder(a) - stageOrder(b) || a.localeCompare(b);
+  const byRate = (a, b) => breachShare(b) - breachShare(a) || b.lots - a.lots;
+  return {
+    lots: lots.length,
+    monitored,
+    breached,
+    scans,
+    stages: Object.keys(stages).sort(byStage).map(stage => ({ stage, lots: stages[stage] })),
+    origins: Object.values(origins).sort(byRate),
+    handlers: Object.values(handlers)
+      .map(h => ({ handler: h.handler, lots: h.lots.size, monitored: h.monitored.size, breached: h.breached.size }))
+      .sort(byRate),
+    stageTimes: Object.keys(dwell).sort(byStage).map(stage => ({
+      stage, stays: dwell[stage].stays, open: dwell[stage].open, averageMs: dwell[stage].stays ? dwell[stage].totalMs / dwell[stage].stays : null
+    })),
+    topProducts: Object.values(products)
+      .sort((a, b) => b.scans - a.scans || a.name.localeCompare(b.name))
+      .slice(0, ANALYTICS_TOP_PRODUCTS)
+      .map(p => ({ name: p.name, scans: p.scans, lots: p.lots.size, players: p.players.size }))
+  };
+}
+
+const breachShare = (row) => (row.monitored ? row.breached / row.monitored : -1);
+const formatBreachRate = (row) => (row.monitored ? `${Math.round((row.breached / row.monitored) * 100)}%` : '—');
+const formatDwell = (ms) => (ms >= 86400000 ? `${(ms / 86400000).toFixed(1)} d` : formatDuration(ms));
+
+// ---- rendering ----
+
+function renderAnalyticsOrigins() {
+  const select = $('analyticsOrigin');
+  if (!select || !analyticsData) return;
+  const current = select.value;
+  const origins = [...new Set(analyticsData.lots.map(lot => analyticsData.records[lot].product.origin))].sort();
+  select.innerHTML = '';
+  [['', 'All origins'], ...origins.map(origin => [origin, origin])].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = origins.includes(current) ? current : '';
+}
+
+// rows of cells; a cell is text or { text, title, share } (share draws a bar, 0..1)
+function renderAnalyticsTable(bodyId, rows, emptyText) {
+  const body = $(bodyId);
+  if (!body) return;
+  body.innerHTML = '';
+  if (!rows.length) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = body.parentElement.querySelectorAll('th').length;
+    cell.textContent = emptyText;
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+  rows.forEach((cells) => {
+    const row = document.createElement('tr');
+    cells.forEach((value) => {
+      const cell = document.createElement('td');
+      const spec = typeof value === 'object' ? value : { text: String(value) };
+      cell.textContent = spec.text;
+      if (spec.title) cell.title = spec.title;
+      if (spec.share !== undefined) {
+        const bar = document.createElement('span');
+        bar.className = 'analytics-bar';
+        bar.style.width = `${(spec.share * ANALYTICS_BAR_REM).toFixed(2)}rem`;
+        cell.prepend(bar);
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+}
+
+function renderAnalytics() {
+  if (!analyticsData) return;
+  const origin = $('analyticsOrigin') ? $('analyticsOrigin').value : '';
+  const m = analyticsMetrics(analyticsData, origin);
+  const summary = $('analyticsSummary');
+  if (summary) {
+    summary.textContent = `${m.lots} lot(s) registered · ${m.monitored} with sensor data · ${m.breached} cold-chain breach(es)`
+      + `${m.monitored ? ` (${formatBreachRate(m)})` : ''} · ${m.scans} consumer scan(s)${analyticsData.sharedScans ? '' : ' in this browser'}`;
+  }
+  const scansScope = $('analyticsScansScope');
+  if (scansScope) {
+    scansScope.textContent = analyticsData.sharedScans
+      ? 'Consumer scans recorded through the shared API.'
+      : 'Consumer scans made in this browser only — not every consumer of the supply chain.';
+  }
+  renderAnalyticsTable('analyticsStagesBody', m.stages.map(row => [row.stage, row.lots, { text: `${Math.round((row.lots / m.lots) * 100)}%`, share: row.lots / m.lots }]), 'No lots');
+  renderAnalyticsTable('analyticsOriginsBody', m.origins.map(row => [row.origin, row.lots, row.monitored, row.breached, formatBreachRate(row)]), 'No lots');
+  renderAnalyticsTable('analyticsHandlersBody', m.handlers.map(row => [
+    { text: formatParty(row.handler), title: row.handler || '' }, row.lots, row.monitored, row.breached, formatBreachRate(row)
+  ]), 'No chain of custody recorded');
+  renderAnalyticsTable('analyticsStageTimesBody', m.stageTimes.map(row => [
+    row.stage, row.stays, row.averageMs === null ? '—' : formatDwell(row.averageMs), row.open
+  ]), 'No chain of custody recorded');
+  renderAnalyticsTable('analyticsProductsBody', m.topProducts.map(row => [row.name, row.scans, row.lots, row.players]), 'No consumer scans');
+}
+
+async function refreshAnalytics() {
+  if (analyticsInFlight) return;
+  const range = readAnalyticsRange();
+  if (!range) return;
+  if (onChainMode() && !web3) { setAnalyticsStatus('Could not reach the chain — dashboard unavailable', 'error'); return; }
+  setAnalyticsBusy(true);
+  try {
+    analyticsData = await gatherAnalytics(range, message => setAnalyticsStatus(message, 'info'));
+  } catch (e) {
+    console.warn('Analytics failed', e);
+    setAnalyticsStatus(`Dashboard failed — ${describeTxError(e)}`, 'error');
+    return;
+  } finally {
+    setAnalyticsBusy(false);
+  }
+  const { source, unresolved, omitted, at } = analyticsData;
+  renderAnalyticsOrigins();
+  renderAnalytics();
+  const results = $('analyticsResults'); if (results) results.classList.remove('hidden');
+  const notes = [
+    unresolved ? `${unresolved} registration(s) could not be matched to a lot` : '',
+    omitted ? `only the newest ${ANALYTICS_MAX_LOTS} lots are included (${omitted} older left out — narrow the dates)` : ''
+  ].filter(Boolean);
+  setAnalyticsStatus(`Built from ${source === 'chain' ? 'contract events' : 'demo data'} at ${new Date(at).toLocaleTimeString()}`
+    + `${notes.length ? ` — ${notes.join('; ')}` : ''}`, notes.length ? 'warning' : 'success');
+}
+
+// ------------------ Gamification ------------------
+// Points and badges are rules-driven. Each player keeps a progress record of the lots they scanned:
+//   { scans: { [lot]: { at, coldChain, certifications, origin } }, badges: [badgeId], points }
+// Only the first scan of a lot earns points, so re-scanning the same label cannot farm the leaderboard.
+// Logged-in players keep it on their `users` record; guests keep it in the session store.
+const CERTIFICATION_PATTERN = /organic|fair ?trade|certified|usda|rainforest|global ?g\.?a\.?p|\bmsc\b/i;
+const SUSTAINABLE_PATTERN = /sustainab|organic|fair ?trade|rainforest/i;
+const isCertifiedOrigin = (scan) => CERTIFICATION_PATTERN.test((scan && scan.certifications) || '');
+// each applicable rule adds its points to the first scan of a lot
+const SCAN_POINT_RULES = [
+  { id: 'new-lot', label: 'New lot', points: 10, applies: () => true },
+  { id: 'cold-chain', label: 'Cold chain intact', points: 5, applies: (scan) => scan.coldChain === 'compliant' },
+  { id: 'certified-origin', label: 'Certified origin', points: 3, applies: isCertifiedOrigin }
+];
+// metric(scans) -> number, where scans = Object.values(progress.scans)
+const BADGE_METRICS = {
+  distinctLots: (scans) => scans.length,
+  compliantLots: (scans) => scans.filter(s => s.coldChain === 'compliant').length,
+  certifiedLots: (scans) => scans.filter(isCertifiedOrigin).length,
+  sustainableLots: (scans) => scans.filter(s => SUSTAINABLE_PATTERN.test(s.certifications || '')).length
+};
+// name is what the leaderboard shows; bonus points are paid once, when the badge is earned
+const BADGE_RULES = [
+  { id: 'first-scan', name: 'First Scan', description: 'Scan your first product lot', metric: 'distinctLots', target: 1, bonus: 0 },
+  { id: 'farm-fresh', name: 'Farm Fresh', description: 'Scan a lot from a certified origin', metric: 'certifiedLots', target: 1, bonus: 5 },
+  { id: 'cold-chain-champion', name: 'Cold Chain Champion', description: 'Scan 3 lots whose cold chain stayed compliant', metric: 'compliantLots', target: 3, bonus: 10 },
+  { id: 'sustainable-product', name: 'Sustainable Product', description: 'Scan 2 lots with a sustainability certification', metric: 'sustainableLots', target: 2, bonus: 5 },
+  { id: 'supply-chain-explorer', name: 'Supply Chain Explorer', description: 'Scan 5 different lots', metric: 'distinctLots', target: 5, bonus: 15 }
+];
+const BADGE_TOAST_MS = 1400;
+let scanInFlight = false;
+
+const emptyProgress = () => ({ scans: {}, badges: [], points: 0 });
+
+function badgeProgress(rule, scans) {
+  const value = BADGE_METRICS[rule.metric](Object.values(scans || {}));
+  return { value: Math.min(value, rule.target), target: rule.target, done: value >= rule.target };
+}
+
+// pure: the outcome of scanning a lot given the player's progress so far
+function evaluateScan(progress, scan) {
+  if (progress.scans[scan.lot]) return { repeat: true, points: 0, breakdown: [], newBadges: [], progress };
+  const scans = Object.assign({}, progress.scans, {
+    [scan.lot]: { at: scan.at, coldChain: scan.coldChain, certifications: scan.certifications, origin: scan.origin }
+  });
+  const breakdown = SCAN_POINT_RULES.filter(rule => rule.applies(scan)).map(rule => ({ label: rule.label, points: rule.points }));
+  const newBadges = BADGE_RULES.filter(rule => !progress.badges.includes(rule.id) && badgeProgress(rule, scans).done);
+  newBadges.forEach((rule) => { if (rule.bonus) breakdown.push({ label: `${rule.name} badge`, points: rule.bonus }); });
+  const points = breakdown.reduce((sum, item) => sum + item.points, 0);
+  return {
+    repeat: false,
+    points,
+    breakdown,
+    newBadges,
+    progress: { scans, badges: [...progress.badges, ...newBadges.map(rule => rule.id)], points: (progress.points || 0) + points }
+  };
+}
+
+// what the engine needs to know about a lot; null when the lot is not registered
+async function loadScanContext(lot) {
+  if (onChainMode()) {
+    try {
+      const res = await contract.methods.consumerLookupByLot(lot).call();
+      let logs = [];
+      try { logs = parseIoTLogs(await contract.methods.getIoTLogs(lot).call()); } catch (e) { logs = []; }
+      const report = evaluateColdChain(logs, getTemperatureProfile(lot, res[0]));
+      return { lot, origin: res[1], certifications: res[2], coldChain: report.verdict, at: Date.now() };
+    } catch (e) {
+      console.warn('Scan lookup failed on-chain, trying demo data', e);
+    }
+  }
+  const product = DEMO_PRODUCTS[lot];
+  if (!product || product.placeholder) return null;
+  const report = evaluateColdChain(product.iot, getTemperatureProfile(lot, product.name));
+  return { lot, origin: product.origin, certifications: product.certifications, coldChain: report.verdict, at: Date.now() };
+}
+
+async function loadProgress() {
+  try {
+    if (!currentUser) return Object.assign(emptyProgress(), await sessionStore.get('progress', 'guest'));
+    const store = await openStorage();
+    const user = await store.get('users', currentUser.username);
+    if (user && user.progress) return Object.assign(emptyProgress(), user.progress);
+    // badges awarded before progress tracking existed still count as earned
+    const legacy = (user && user.badges) || [];
+    return Object.assign(emptyProgress(), { badges: BADGE_RULES.filter(rule => legacy.includes(rule.name)).map(rule => rule.id) });
+  } catch (e) {
+    reportStorageError('loading badge progress', e);
+    return emptyProgress();
+  }
+}
+
+async function saveProgress(progress) {
+  if (!currentUser) return sessionStore.set('progress', 'guest', progress);
+  const names = BADGE_RULES.filter(rule => progress.badges.includes(rule.id)).map(rule => rule.name);
+  return updateRecord('users', currentUser.username, (user) => Object.assign({}, user, {
+    progress,
+    badges: Array.from(new Set([...((user && user.badges) || []), ...names]))
+  }));
+}
+
+function setScanStatus(message, tone) {
+  const el = $('scanStatus');
+  if (!el) return;
+  el.textContent = message || '';
+  el.dataset.tone = tone || '';
+  el.classList.toggle('hidden', !message);
+}
+
+function showBadgeToast(rule) {
+  const toast = document.createElement('div');
+  toast.className = 'badge-toast';
+  toast.setAttribute('role', 'status');
+  toast.textContent = 'Badge unlocked!';
+  const name = document.createElement('div');
+  name.className = 'badge-name';
+  name.textContent = rule.name;
+  toast.appendChild(name);
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), BADGE_TOAST_MS);
+}
+
+// Consumer scan — points are awarded locally (on-chain consumerScan not included in extended ABI)
+async function consumerScan() {
+  const lotInput = $('lotInput');
+  if (!lotInput) return;
+  const lot = lotInput.value.trim();
+  if (!lot) return alert('Enter lot number');
+  if (scanInFlight) return;
+  scanInFlight = true;
+  try {
+    const scan = await loadScanContext(lot);
+    if (!scan) {
+      setScanStatus(`${lot} is not a registered lot — nothing to scan.`, 'error');
+      return;
+    }
+    const recall = await loadLotRecall(lot);
+    if (recall) {
+      if (activeLot === lot) renderRecallBanner(lot, recall);
+      else await showLot(lot);
+      const severity = recallSeverity(recall);
+      setScanStatus(`${lot} has been recalled (${severity.label}: ${severity.description}). Reason: ${recall.reason}. Recalled lots earn no points.`, 'error');
+      return;
+    }
+    const result = evaluateScan(await loadProgress(), scan);
+    if (result.repeat) {
+      setScanStatus(`You already scanned ${lot} — repeat scans earn no points.`, 'warning');
+      return;
+    }
+    try {
+      await saveProgress(result.progress);
+    } catch (e) {
+      reportStorageError('saving badge progress', e);
+    }
+
+    sessionPoints += result.points;
+    updateSessionPoints();
+
+    const name = playerName();
+    await recordScanEvent({
+      id: `${name}:${scan.at}:${lot}`,
+      name,
+      lot,
+      at: scan.at,
+      points: result.points,
+      badges: result.newBadges.map(rule => rule.name)
+    });
+    renderBadgeProgress(result.progress);
+    result.newBadges.forEach((rule, idx) => setTimeout(() => showBadgeToast(rule), idx * BADGE_TOAST_MS));
+    setScanStatus(`+${result.points} points — ${result.breakdown.map(item => `${item.label} +${item.points}`).join(', ')}`, 'success');
+  } finally {
+    scanInFlight = false;
+  }
+}
+
+// per-player badge progress
+function renderBadges() {
+  return loadProgress().then(renderBadgeProgress);
+}
+
+function renderBadgeProgress(progress) {
+  const wrap = $('badgesList');
+  if (!wrap) return;
+  wrap.innerHTML = '';
+  BADGE_RULES.forEach((rule) => {
+    const state = badgeProgress(rule, progress.scans);
+    const earned = progress.badges.includes(rule.id);
+    const item = document.createElement('div');
+    item.className = 'badge-progress';
+    item.dataset.earned = String(earned);
+
+    const head = document.createElement('div');
+    head.className = 'badge-progress-head';
+    const chip = document.createElement('span');
+    chip.className = earned ? 'badge' : 'badge badge-locked';
+    chip.textContent = rule.name;
+    const count = document.createElement('span');
+    count.className = 'badge-progress-count';
+    count.textContent = earned ? 'Earned' : `${state.value}/${state.target}`;
+    head.append(chip, count);
+
+    const desc = document.createElement('div');
+    desc.className = 'chart-help';
+    desc.textContent = rule.bonus ? `${rule.description} (+${rule.bonus} pts)` : rule.description;
+
+    const bar = document.createElement('div');
+    bar.className = 'level-progress';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', `${rule.name} progress`);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', String(state.target));
+    bar.setAttribute('aria-valuenow', String(earned ? state.target : state.value));
+    const fill = document.createElement('div');
+    fill.className = 'badge-progress-fill';
+    fill.style.width = `${Math.round(100 * (earned ? 1 : state.value / state.target))}%`;
+    bar.appendChild(fill);
+
+    item.append(head, desc, bar);
+    wrap.appendChild(item);
+  });
+}
+
+function updateSessionPoints() { const el = $('sessionPoints'); if (el) el.textContent = sessionPoints; }
+
+// ------------------ Leaderboard & profiles ------------------
+// Every rewarded scan is stored as a timestamped event in the `scans` collection:
+//   { id, name, lot, at, points, badges }
+// Daily and weekly boards are aggregated from those events. The all-time board uses the running totals
+// in `leaderboard` (which also hold points earned before scan events existed) plus the LEADERBOARD seed.
+const LEADERBOARD_WINDOWS = { day: 'Today', week: 'This week', all: 'All time' };
+const LEADERBOARD_PAGE_SIZE = 10;
+const leaderboardState = { window: 'all', page: 0, totals: [], scans: [] };
+
+const GUEST_NAME_PATTERN = /^guest\b/i; // reserved: signups cannot take a guest's name
+let guestName = 'Guest'; // per-browser, from loadGuestName()
+
+const playerName = () => (currentUser ? currentUser.username : guestName);
+
+// guests share the scans / leaderboard collections, so each browser gets its own name (kept in sessionStore)
+async function loadGuestName() {
+  try {
+    guestName = (await sessionStore.get('session', 'guest')) || `Guest-${randomHex(3)}`;
+    await sessionStore.set('session', 'guest', guestName);
+  } catch (e) {
+    reportStorageError('loading guest name', e);
+    if (guestName === 'Guest') guestName = `Guest-${randomHex(3)}`; // this visit only
+  }
+}
+
+// local midnight today, or local midnight of this week's Monday
+function leaderboardWindowStart(windowKey, now = new Date()) {
+  if (windowKey === 'all') return 0;
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (windowKey === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start.getTime();
+}
+
+function leaderboardEntries(windowKey) {
+  if (windowKey === 'all') return deduplicateLeaderboard([...LEADERBOARD, ...leaderboardState.totals]);
+  const start = leaderboardWindowStart(windowKey);
+  return deduplicateLeaderboard(leaderboardState.scans.filter(scan => scan.at >= start));
+}
+
+// competition ranking: equal points share a rank (1, 2, 2, 4)
+function rankLeaderboard(entries) {
+  const sorted = entries.slice().sort((a, b) => ((b.points || 0) - (a.points || 0)) || a.name.localeCompare(b.name));
+  let rank = 0;
+  return sorted.map((entry, idx) => {
+    if (!idx || sorted[idx - 1].points !== entry.points) rank = idx + 1;
+    return Object.assign({ rank }, entry);
+  });
+}
+
+async function loadLeaderboard() {
+  let store = null;
+  try { store = await openStorage(); } catch (e) { reportStorageError('loading leaderboard', e); }
+  const list = async (collection) => {
+    if (!store) return [];
+    try { return (await store.list(collection)) || []; } catch (e) { reportStorageError(`loading ${collection}`, e); return []; }
+  };
+  leaderboardState.totals = (await list('leaderboard')).filter(entry => entry && entry.name);
+  leaderboardState.scans = (await list('scans')).filter(scan => scan && scan.name && scan.at);
+  renderLeaderboard();
+}
+
+async function recordScanEvent(event) {
+  try {
+    const store = await openStorage();
+    await store.set('scans', event.id, event);
+  } catch (e) {
+    reportStorageError('saving scan event', e);
+  }
+  await persistLeaderboardEntry(event);
+  await loadLeaderboard();
+}
+
+function setLeaderboardWindow(windowKey) {
+  if (!LEADERBOARD_WINDOWS[windowKey]) return;
+  leaderboardState.window = windowKey;
+  leaderboardState.page = 0;
+  renderLeaderboard();
+}
+
+function setLeaderboardPage(page) {
+  leaderboardState.page = Math.max(0, page);
+  renderLeaderboard();
+}
+
+function renderLeaderboard() {
+  const container = $('leaderboardList');
+  if (!container) return;
+  const windowKey = leaderboardState.window;
+  const ranked = rankLeaderboard(leaderboardEntries(windowKey));
+  const pages = Math.max(1, Math.ceil(ranked.length / LEADERBOARD_PAGE_SIZE));
+  leaderboardState.page = Math.min(leaderboardState.page, pages - 1);
+  const page = leaderboardState.page;
+  const me = ranked.find(entry => entry.name === playerName());
+
+  container.innerHTML = '';
+  if (!ranked.length) {
+    const li = document.createElement('li');
+    li.className = 'lb-empty';
+    li.textContent = windowKey === 'day' ? 'No scans today yet.' : 'No scans this week yet.';
+    container.appendChild(li);
+  }
+  ranked.slice(page * LEADERBOARD_PAGE_SIZE, (page + 1) * LEADERBOARD_PAGE_SIZE).forEach((entry) => {
+    const li = document.createElement('li');
+    if (entry === me) { li.classList.add('me'); li.setAttribute('aria-current', 'true'); }
+    const row = document.createElement('div');
+    row.className = 'lb-row';
+
+    const rankCell = document.createElement('span');
+    rankCell.className = 'lb-rank';
+    rankCell.textContent = `#${entry.rank}`;
+
+    const nameCell = document.createElement('div');
+    nameCell.className = 'lb-name';
+    const nameLink = document.createElement('button');
+    nameLink.type = 'button';
+    nameLink.className = 'lb-name-link';
+    nameLink.textContent = formatParty(entry.name);
+    nameLink.title = `View ${entry.name}'s profile`;
+    nameLink.onclick = () => openProfile(entry.name);
+    nameCell.appendChild(nameLink);
+
+    (entry.badges || []).forEach((badge) => {
+      const badgeChip = document.createElement('span');
+      badgeChip.className = 'lb-badge';
+      badgeChip.textContent = badge;
+      nameCell.appendChild(badgeChip);
+    });
+
+    const pointsCell = document.createElement('div');
+    pointsCell.className = 'lb-points';
+    pointsCell.textContent = entry.points;
+
+    row.append(rankCell, nameCell, pointsCell);
+    li.appendChild(row);
+    container.appendChild(li);
+  });
+
+  Object.keys(LEADERBOARD_WINDOWS).forEach((key) => {
+    const tab = $(`lbWindow_${key}`);
+    if (tab) tab.setAttribute('aria-pressed', String(key === windowKey));
+  });
+  const pager = $('leaderboardPager'); if (pager) pager.classList.toggle('hidden', pages < 2);
+  const pageLabel = $('leaderboardPage'); if (pageLabel) pageLabel.textContent = `Page ${page + 1} of ${pages}`;
+  const prev = $('leaderboardPrevBtn'); if (prev) prev.disabled = page === 0;
+  const next = $('leaderboardNextBtn'); if (next) next.disabled = page >= pages - 1;
+  const you = $('leaderboardYouBtn');
+  if (you) {
+    you.classList.toggle('hidden', !me);
+    if (me) {
+      const myPage = Math.floor(ranked.indexOf(me) / LEADERBOARD_PAGE_SIZE);
+      you.textContent = `Your rank: #${me.rank} of ${ranked.length} (${me.points} pts)${myPage === page ? '' : ' — show'}`;
+      you.disabled = myPage === page;
+      you.onclick = () => setLeaderboardPage(myPage);
+    }
+  }
+}
+
+function openProfile(name) {
+  const card = $('profileCard');
+  if (!card) return;
+  const overall = rankLeaderboard(leaderboardEntries('all')).find(entry => entry.name === name);
+  const scans = leaderboardState.scans.filter(scan => scan.name === name).sort((a, b) => b.at - a.at);
+  const title = $('profileTitle'); if (title) { title.textContent = `Player Profile — ${formatParty(name)}`; title.title = name; }
+  const summary = $('profileSummary');
+  if (summary) {
+    const lots = new Set(scans.map(scan => scan.lot)).size;
+    summary.textContent = overall
+      ? `${overall.points} points all time • rank #${overall.rank} • ${lots} lot(s) scanned`
+      : `No points yet • ${lots} lot(s) scanned`;
+  }
+
+  const badgesEl = $('profileBadges');
+  if (badgesEl) {
+    badgesEl.innerHTML = '';
+    const earned = (overall && overall.badges) || [];
+    if (!earned.length) {
+      const none = document.createElement('span');
+      none.className = 'chart-help';
+      none.textContent = 'No badges earned yet.';
+      badgesEl.appendChild(none);
+    }
+    earned.forEach((badgeName) => {
+      const rule = BADGE_RULES.find(r => r.name === badgeName);
+      const chip = document.createElement('span');
+      chip.className = 'badge';
+      chip.textContent = badgeName;
+      if (rule) chip.title = rule.description;
+      badgesEl.appendChild(chip);
+    });
+  }
+
+  const body = $('profileScansBody');
+  if (body) {
+    body.innerHTML = '';
+    if (!scans.length) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 4;
+      td.textContent = 'No recorded scans.';
+      tr.appendChild(td);
+      body.appendChild(tr);
+    }
+    scans.forEach((scan) => {
+      const tr = document.createElement('tr');
+      const time = document.createElement('td');
+      time.textContent = new Date(scan.at).toLocaleString();
+      const lotCell = document.createElement('td');
+      const lotLink = document.createElement('button');
+      lotLink.type = 'button';
+      lotLink.className = 'activity-lot';
+      lotLink.textContent = scan.lot;
+      lotLink.onclick = () => { const input = $('lotInput'); if (input) input.value = scan.lot; lookupProduct(); };
+      lotCell.appendChild(lotLink);
+      const points = document.createElement('td');
+      points.textContent = `+${scan.points}`;
+      const badges = document.createElement('td');
+      badges.textContent = (scan.badges || []).join(', ') || '—';
+      tr.append(time, lotCell, points, badges);
+      body.appendChild(tr);
+    });
+  }
+
+  card.classList.remove('hidden');
+  if (card.scrollIntoView) card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeProfile() {
+  const card = $('profileCard'); if (card) card.classList.add('hidden');
+}
+
+// ------------------ Storage ------------------
+
+// All persistence (accounts, leaderboard, demo data) goes through one adapter with the same
+// async interface: get(collection, id), set(collection, id, value), list(collection),
+// remove(collection, id). Records are plain JSON. Failures are thrown as storage errors with
+// a `code` (unavailable | quota | network | http | corrupt) and reported via reportStorageError.
+
+const STORAGE_COLLECTIONS = ['users', 'leaderboard', 'scans', 'demoProducts', 'roles', 'meta'];
+const STORAGE_SCHEMA_VERSION = 2;
+const LOCAL_STORAGE_PREFIX = 'rpf:';
+const INDEXEDDB_NAME = 'rpf';
+const INDEXEDDB_VERSION = 3; // bump when STORAGE_COLLECTIONS changes so missing object stores get created
+let storagePromise = null;
+
+function storageError(code, message, cause) {
+  const err = new Error(message);
+  err.name = 'StorageError';
+  err.code = code;
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function reportStorageError(action, e) {
+  const code = (e && e.code) || 'unknown';
+  console.warn(`Storage: ${action} failed [${code}]`, e);
+  pushActivity({ kind: 'network', title: 'Storage error', detail: `${action} failed (${code})` });
+}
+
+// localStorage: one key per record, `rpf:<collection>:<id>`
+function createLocalAdapter(prefix = LOCAL_STORAGE_PREFIX) {
+  const keyOf = (collection, id) => `${prefix}${collection}:${id}`;
+  const read = (key) => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return null;
+    try { return JSON.parse(raw); } catch (e) { throw storageError('corrupt', `Unreadable record ${key}`, e); }
+  };
+  const guard = (fn) => {
+    try {
+      if (typeof localStorage === 'undefined') throw storageError('unavailable', 'localStorage is not available');
+      return Promise.resolve(fn());
+    } catch (e) {
+      if (e && e.code && e.name === 'StorageError') return Promise.reject(e);
+      const quota = e && (e.name === 'QuotaExceededError' || e.code === 22);
+      return Promise.reject(storageError(quota ? 'quota' : 'unavailable', quota ? 'Browser storage is full' : 'localStorage access failed', e));
+    }
+  };
+  return {
+    kind: 'local',
+    get: (collection, id) => guard(() => read(keyOf(collection, id))),
+    set: (collection, id, value) => guard(() => { localStorage.setItem(keyOf(collection, id), JSON.stringify(value)); return value; }),
+    remove: (collection, id) => guard(() => { localStorage.removeItem(keyOf(collection, id)); }),
+    list: (collection) => guard(() => {
+      const start = keyOf(collection, '');
+      const out = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(start)) out.push(read(key));
+      }
+      return out;
+    })
+  };
+}
+
+// IndexedDB: one object store per collection, record id as the out-of-line key
+function createIndexedDbAdapter(dbName = INDEXEDDB_NAME) {
+  let dbPromise = null;
+  const open = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(storageError('unavailable', 'IndexedDB is not available'));
+      const req = indexedDB.open(dbName, INDEXEDDB_VERSION);
+      req.onupgradeneeded = () => {
+        STORAGE_COLLECTIONS.forEach((name) => { if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name); });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(storageError('unavailable', 'IndexedDB could not be opened', req.error));
+      req.onblocked = () => reject(storageError('unavailable', 'IndexedDB upgrade blocked by another tab'));
+    });
+    return dbPromise;
+  };
+  const run = async (collection, mode, makeRequest) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      let req;
+      try { req = makeRequest(db.transaction(collection, mode).objectStore(collection)); } catch (e) { return reject(storageError('unavailable', `IndexedDB store ${collection} unavailable`, e)); }
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        const quota = req.error && req.error.name === 'QuotaExceededError';
+        reject(storageError(quota ? 'quota' : 'unavailable', `IndexedDB ${mode} on ${collection} failed`, req.error));
+      };
+    });
+  };
+  return {
+    kind: 'indexeddb',
+    open,
+    get: async (collection, id) => { const value = await run(collection, 'readonly', s => s.get(id)); return value === undefined ? null : value; },
+    set: async (collection, id, value) => { await run(collection, 'readwrite', s => s.put(value, id)); return value; },
+    remove: async (collection, id) => { await run(collection, 'readwrite', s => s.delete(id)); },
+    list: (collection) => run(collection, 'readonly', s => s.getAll())
+  };
+}
+
+// REST: GET/PUT/DELETE {base}/{collection}/{id}, GET {base}/{collection} returns an array
+function createRestAdapter(baseUrl = apiBaseUrl) {
+  const url = (collection, id) => `${baseUrl}/${collection}${id === undefined ? '' : `/${encodeURIComponent(id)}`}`;
+  const request = async (method, target, body) => {
+    let resp;
+    try {
+      const init = { method, headers: authHeaders(body === undefined ? {} : { 'Content-Type': 'application/json' }) };
+      if (body !== undefined) init.body = JSON.stringify(body);
+      resp = await fetch(target, init);
+    } catch (e) {
+      throw storageError('network', `${method} ${target} failed`, e);
+    }
+    if (resp.status === 404 && method === 'GET') return null;
+    if (!resp.ok) throw storageError('http', `${method} ${target} returned ${resp.status}`);
+    const text = await resp.text();
+    if (!text) return null;
+    try { return JSON.parse(text); } catch (e) { throw storageError('corrupt', `${target} did not return JSON`, e); }
+  };
+  return {
+    kind: 'rest',
+    get: (collection, id) => request('GET', url(collection, id)),
+    set: async (collection, id, value) => { await request('PUT', url(collection, id), value); return value; },
+    remove: async (collection, id) => { await request('DELETE', url(collection, id)); },
+    list: async (collection) => { const data = await request('GET', url(collection)); return Array.isArray(data) ? data : []; }
+  };
+}
+
+function resolveStorageBackend() {
+  return STORAGE_BACKEND || (apiBaseUrl ? 'rest' : 'local');
+}
+
+// sessions are per-browser, whatever backend holds the shared data
+const sessionStore = createLocalAdapter();
+
+// Schema migrations for browser backends. Version 1 is the original layout: rpf_users (map of
+// username → account), rpf_leaderboard (array, possibly with duplicate names) and rpf_user.
+const STORAGE_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Move rpf_users / rpf_leaderboard / rpf_user into storage collections',
+    async up(store) {
+      const legacy = (key) => {
+        try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch (e) { console.warn(`Dropping unreadable ${key}`, e); return null; }
+      };
+      const users = legacy('rpf_users');
+      if (users && typeof users === 'object') {
+        for (const [username, record] of Object.entries(users)) {
+          if (!username || !record) continue;
+          // credentials stay in this browser (sessionStore); the shared record only gets the profile
+          const { credentials, profile } = splitCredentials(record);
+          if (credentials) await sessionStore.set('credentials', username, credentials);
+          await store.set('users', username, Object.assign({ badges: [] }, profile));
+        }
+      }
+      const board = legacy('rpf_leaderboard');
+      if (Array.isArray(board)) {
+        for (const entry of deduplicateLeaderboard(board)) await store.set('leaderboard', entry.name, entry);
+      }
+      const session = legacy('rpf_user');
+      if (session) await sessionStore.set('session', 'current', session);
+      ['rpf_users', 'rpf_leaderboard', 'rpf_user'].forEach(key => localStorage.removeItem(key));
+    }
+  }
+];
+
+async function migrateStorage(store) {
+  const meta = await store.get('meta', 'schema');
+  let version = (meta && meta.version) || 1;
+  for (const migration of STORAGE_MIGRATIONS) {
+    if (migration.version <= version) continue;
+    await migration.up(store);
+    version = migration.version;
+    await store.set('meta', 'schema', { version, migratedAt: Date.now() });
+  }
+  return version;
+}
+
+async function initStorage() {
+  const backend = resolveStorageBackend();
+  if (backend === 'rest') {
+    if (!apiBaseUrl) console.warn('STORAGE_BACKEND is "rest" but the active network has no apiBaseUrl — using localStorage');
+    else return createRestAdapter(apiBaseUrl);
+  }
+  let store = createLocalAdapter();
+  if (backend === 'indexeddb') {
+    const idb = createIndexedDbAdapter();
+    try { await idb.open(); store = idb; } catch (e) { console.warn('IndexedDB unavailable — using localStorage', e); }
+  }
+  try {
+    await migrateStorage(store);
+  } catch (e) {
+    reportStorageError('schema migration', e);
+  }
+  return store;
+}
+
+// single shared adapter, created (and migrated) on first use
+function openStorage() {
+  if (!storagePromise) storagePromise = initStorage();
+  return storagePromise;
+}
+
+// read-modify-write helper; `fn` receives the current record (or null)
+async function updateRecord(collection, id, fn) {
+  const store = await openStorage();
+  const next = fn(await store.get(collection, id));
+  return store.set(collection, id, next);
+}
+
+// demo data: changed lots are written back so registrations, IoT logs and handoffs survive a reload
+function saveDemoProduct(lot) {
+  if (!DEMO_PRODUCTS[lot]) return Promise.resolve();
+  return openStorage()
+    .then(store => store.set('demoProducts', lot, Object.assign({ lot }, DEMO_PRODUCTS[lot])))
+    .catch(e => reportStorageError(`saving ${lot}`, e));
+}
+
+async function loadStoredDemoProducts() {
+  try {
+    const store = await openStorage();
+    (await store.list('demoProducts')).forEach((record) => {
+      if (!record || !record.lot) return;
+      const { lot, ...product } = record;
+      DEMO_PRODUCTS[lot] = product;
+    });
+  } catch (e) {
+    reportStorageError('loading demo data', e);
+  }
+}
+
+// ------------------ Auth & persistence ------------------
+
+// Credentials never leave the browser in plaintext storage: local accounts keep a PBKDF2
+// (WebCrypto) hash + per-user salt in sessionStore (`credentials/<username>`), never in the shared
+// `users` collection, which only holds profile data (badges, progress); the API path owns its own
+// credentials and exchanges them for a bearer token. Every session (session/current) carries an
+// expiry and is dropped once it passes.
+
+const PASSWORD_HASH_ITERATIONS = 150000;
+const CREDENTIAL_FIELDS = ['salt', 'hash', 'iterations', 'password'];
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+let sessionExpiryTimer = null;
+
+const bytesToHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+const hexToBytes = (hex) => new Uint8Array((hex.match(/.{2}/g) || []).map(h => parseInt(h, 16)));
+const randomHex = (byteLength) => bytesToHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+async function derivePasswordHash(password, saltHex, iterations = PASSWORD_HASH_ITERATIONS) {
+  if (!window.crypto || !crypto.subtle) throw new Error('WebCrypto unavailable — serve the app over https or localhost');
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt: hexToBytes(saltHex), iterations, hash: 'SHA-256' }, key, 256);
+  return bytesToHex(new Uint8Array(bits));
+}
+
+// compare without an early exit so timing does not reveal the matching prefix
+function constantTimeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+async function createCredentialRecord(password) {
+  const salt = randomHex(16);
+  return { salt, hash: await derivePasswordHash(password, salt), iterations: PASSWORD_HASH_ITERATIONS };
+}
+
+// a legacy rpf_users record split into its credential fields (null when it has none) and its profile
+function splitCredentials(record) {
+  const profile = Object.assign({}, record);
+  const credentials = {};
+  CREDENTIAL_FIELDS.forEach((field) => {
+    if (field in profile) { credentials[field] = profile[field]; delete profile[field]; }
+  });
+  return { credentials: Object.keys(credentials).length ? credentials : null, profile };
+}
+
+// true when password matches; legacy plaintext records are upgraded to a hash in place
+async function verifyLocalPassword(username, password) {
+  const record = await sessionStore.get('credentials', username);
+  if (!record) return false;
+  if (record.hash && record.salt) {
+    const hash = await derivePasswordHash(password, record.salt, record.iterations || PASSWORD_HASH_ITERATIONS);
+    return constantTimeEqual(hash, record.hash);
+  }
+  if (typeof record.password === 'string' && record.password && constantTimeEqual(record.password, password)) {
+    await sessionStore.set('credentials', username, await createCredentialRecord(password));
+    return true;
+  }
+  return false;
+}
+
+function startSession(user, { token = null, expiresAt = null, method = 'password' } = {}) {
+  currentUser = Object.assign({}, user, { token, method, expiresAt: expiresAt || Date.now() + SESSION_TTL_MS });
+  sessionStore.set('session', 'current', currentUser).catch(e => reportStorageError('saving session', e));
+  scheduleSessionExpiry();
+  onLoginSuccess(currentUser);
+}
+
+// restore a saved session unless it expired (or predates expiring sessions)
+async function restoreSession() {
+  let saved = null;
+  try { saved = await sessionStore.get('session', 'current'); } catch (e) { saved = null; }
+  if (!saved) return;
+  if (!saved.expiresAt || saved.expiresAt <= Date.now()) {
+    await sessionStore.remove('session', 'current').catch(() => {});
+    return;
+  }
+  currentUser = saved;
+  scheduleSessionExpiry();
+  onLoginSuccess(currentUser);
+}
+
+function scheduleSessionExpiry() {
+  if (sessionExpiryTimer) { clearTimeout(sessionExpiryTimer); sessionExpiryTimer = null; }
+  if (!currentUser || !currentUser.expiresAt) return;
+  const remaining = currentUser.expiresAt - Date.now();
+  // setTimeout overflows past ~24.8 days; long sessions are re-checked on next load instead
+  if (remaining > 0x7fffffff) return;
+  sessionExpiryTimer = setTimeout(() => { logout(); alert('Session expired — please log in again'); }, Math.max(0, remaining));
+}
+
+// Authorization header for API calls made on behalf of the signed-in user
+function authHeaders(extra = {}) {
+  const headers = Object.assign({}, extra);
+  if (currentUser && currentUser.token) headers.Authorization = `Bearer ${currentUser.token}`;
+  return headers;
+}
+
+// API responses: { token, expiresAt, user: { username, id, address? } }
+function startApiSession(data, method) {
+  const user = data.user || {};
+  const expiresAt = data.expiresAt ? new Date(data.expiresAt).getTime() : null;
+  startSession({ username: user.username, id: user.id, address: user.address || null }, { token: data.token, expiresAt, method });
+}
 
 // Signup: single write, badges initialized
 async function signup(username, password) {
-  if (API_BASE_URL) {
+  if (apiBaseUrl) {
     try {
-      const resp = await fetch(`${API_BASE_URL}/users`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
-      if (resp.ok) { const data = await resp.json(); currentUser = { username: data.username, id: data.id }; localStorage.setItem('rpf_user', JSON.stringify(currentUser)); onLoginSuccess(currentUser); return; }
+      const resp = await fetch(`${apiBaseUrl}/auth/signup`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
+      if (resp.ok) { startApiSession(await resp.json(), 'password'); return; }
+      if (resp.status === 409) return alert('User exists');
+      return alert('Signup failed');
     } catch (e) { console.warn('API signup failed', e); }
   }
-  // local fallback
-  const store = JSON.parse(localStorage.getItem('rpf_users') || '{}');
-  if (store[username]) return alert('User exists');
-  store[username] = { password: password, badges: [] };
-  localStorage.setItem('rpf_users', JSON.stringify(store));
-  currentUser = { username: username, id: username };
-  localStorage.setItem('rpf_user', JSON.stringify(currentUser));
-  onLoginSuccess(currentUser);
+  // local fallback: credentials stay in this browser, the shared store only gets the profile
+  try {
+    const store = await openStorage();
+    if (await sessionStore.get('credentials', username) || await store.get('users', username)) return alert('User exists');
+    await sessionStore.set('credentials', username, await createCredentialRecord(password));
+    await store.set('users', username, { badges: [] });
+  } catch (e) {
+    if (e.name === 'StorageError') reportStorageError('signup', e);
+    return alert(e.message);
+  }
+  startSession({ username: username, id: username });
 }
 
-// Login: properly set currentUser and persist
+// Login: credentials are checked by the API (token session) or against the local hash
 async function login(username, password) {
-  if (API_BASE_URL) {
+  if (apiBaseUrl) {
     try {
-      const resp = await fetch(`${API_BASE_URL}/users?username=${encodeURIComponent(username)}`);
-      const arr = await resp.json();
-      if (arr.length && arr[0].password === password) { currentUser = { username: arr[0].username, id: arr[0].id }; localStorage.setItem('rpf_user', JSON.stringify(currentUser)); onLoginSuccess(currentUser); return; }
+      const resp = await fetch(`${apiBaseUrl}/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
+      if (resp.ok) { startApiSession(await resp.json(), 'password'); return; }
       alert('Invalid credentials'); return;
     } catch (e) { console.warn('API login failed', e); }
   }
-  const store = JSON.parse(localStorage.getItem('rpf_users') || '{}');
-  if (store[username] && store[username].password === password) {
-    currentUser = { username: username, id: username };
-    localStorage.setItem('rpf_user', JSON.stringify(currentUser));
-    onLoginSuccess(currentUser);
+  let valid = false;
+  try {
+    valid = await verifyLocalPassword(username, password);
+  } catch (e) {
+    if (e.name === 'StorageError') reportStorageError('login', e);
+    return alert(e.message);
+  }
+  if (valid) {
+    startSession({ username: username, id: username });
   } else {
     alert('Invalid credentials');
   }
 }
 
+// ---- sign-in with wallet: the connected account signs a one-time nonce ----
+
+const walletLoginMessage = ({ address, nonce, issuedAt }) =>
+  `${location.host} wants you to sign in to Rich Products with your account:\n${address}\n\nNonce: ${nonce}\nIssued at: ${new Date(issuedAt).toISOString()}`;
+
+async function signInWithWallet() {
+  if (!window.ethereum || !web3) {
+    alert('Install MetaMask or a Web3 wallet');
+    return;
+  }
+  if (!accounts || !accounts[0]) await connectWallet();
+  if (!accounts || !accounts[0]) return;
+  const address = accounts[0];
+
+  let nonce = null;
+  if (apiBaseUrl) {
+    try {
+      const resp = await fetch(`${apiBaseUrl}/auth/nonce?address=${encodeURIComponent(address)}`);
+      if (resp.ok) nonce = (await resp.json()).nonce;
+    } catch (e) { console.warn('API nonce request failed', e); }
+  }
+  const serverNonce = Boolean(nonce);
+  if (!nonce) nonce = randomHex(16);
+
+  const message = walletLoginMessage({ address, nonce, issuedAt: Date.now() });
+  let signature;
+  try {
+    signature = await web3.eth.personal.sign(message, address, '');
+  } catch (e) {
+    console.warn('Wallet sign-in rejected', e);
+    return alert('Sign-in cancelled');
+  }
+
+  if (serverNonce) {
+    try {
+      const resp = await fetch(`${apiBaseUrl}/auth/wallet`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ address, message, signature }) });
+      if (resp.ok) { startApiSession(await resp.json(), 'wallet'); return; }
+      return alert('Wallet sign-in rejected by server');
+    } catch (e) {
+      console.warn('API wallet sign-in failed', e);
+      return alert('Wallet sign-in failed');
+    }
+  }
+
+  // local session: verify the signature ourselves
+  let signer = '';
+  try { signer = web3.eth.accounts.recover(message, signature); } catch (e) { signer = ''; }
+  if (!sameParty(signer, address)) return alert('Signature does not match the connected account');
+  startSession({ username: address, id: address, address }, { method: 'wallet' });
+}
+
 function logout() {
   currentUser = null;
-  localStorage.removeItem('rpf_user');
+  if (sessionExpiryTimer) { clearTimeout(sessionExpiryTimer); sessionExpiryTimer = null; }
+  sessionStore.remove('session', 'current').catch(e => reportStorageError('clearing session', e));
   const welcome = $('welcomeUser'); if (welcome) welcome.textContent = 'Guest';
   const logoutBtn = $('logoutBtn'); if (logoutBtn) logoutBtn.classList.add('hidden');
-  renderLeaderboardWith(LEADERBOARD);
+  renderLeaderboard();
+  renderBadges();
+  checkRecallNotices();
+  loadRoles();
 }
 
 function onLoginSuccess(user) {
-  const welcome = $('welcomeUser'); if (welcome) welcome.textContent = user.username;
+  const welcome = $('welcomeUser');
+  if (welcome) { welcome.textContent = formatParty(user.username); welcome.title = user.username; }
   const logoutBtn = $('logoutBtn'); if (logoutBtn) logoutBtn.classList.remove('hidden');
-  loadUserLeaderboard();
+  loadLeaderboard();
+  renderBadges();
+  checkRecallNotices();
+  loadRoles();
 }
 
 function openAuthModal(mode) {
@@ -630,39 +6871,20 @@ function closeAuthModal() {
   const modal = $('authModal'); if (!modal) return; modal.classList.add('hidden');
 }
 
-// Load leaderboard: merges local persisted entries + in-memory safely (dedupe by name)
-async function loadUserLeaderboard() {
-  if (API_BASE_URL) {
-    try {
-      const resp = await fetch(`${API_BASE_URL}/leaderboard`);
-      if (resp.ok) { const data = await resp.json(); const merged = [...LEADERBOARD]; data.forEach(it => merged.push({ name: it.name, points: it.points, badges: it.badges || [] })); renderLeaderboardWith(deduplicateLeaderboard(merged)); return; }
-    } catch (e) { console.warn('Failed to fetch leaderboard from API', e); }
-  }
-  const saved = JSON.parse(localStorage.getItem('rpf_leaderboard') || 'null');
-  if (saved) {
-    const merged = deduplicateLeaderboard([...LEADERBOARD, ...(saved || [])]);
-    renderLeaderboardWith(merged);
-  } else {
-    renderLeaderboardWith(LEADERBOARD);
-  }
-}
-
-// Persist leaderboard entry: merges by name in localStorage (incremental points)
+// Persist leaderboard entry: merges by name (incremental points) and folds in the user's badges
 async function persistLeaderboardEntry(entry) {
-  if (API_BASE_URL) {
-    try { await fetch(`${API_BASE_URL}/leaderboard`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(entry) }); return; } catch (e) { console.warn('Failed to persist to API', e); }
-  }
-  const arr = JSON.parse(localStorage.getItem('rpf_leaderboard') || '[]');
-  const idx = arr.findIndex(a => a.name === entry.name);
-  let userBadges = [];
-  try { const users = JSON.parse(localStorage.getItem('rpf_users') || '{}'); if (users[entry.name] && users[entry.name].badges) userBadges = users[entry.name].badges; } catch (e) {}
-  if (idx >= 0) {
-    arr[idx].points = (arr[idx].points || 0) + (entry.points || 0);
-    arr[idx].badges = Array.from(new Set([...(arr[idx].badges || []), ...(entry.badges || []), ...userBadges]));
-  } else {
-    arr.push({ name: entry.name, points: entry.points || 0, badges: Array.from(new Set([...(entry.badges || []), ...userBadges])) });
+  try {
+    const store = await openStorage();
+    const user = await store.get('users', entry.name).catch(() => null);
+    const userBadges = (user && user.badges) || [];
+    await updateRecord('leaderboard', entry.name, (prev) => ({
+      name: entry.name,
+      points: ((prev && prev.points) || 0) + (entry.points || 0),
+      badges: Array.from(new Set([...((prev && prev.badges) || []), ...(entry.badges || []), ...userBadges]))
+    }));
+  } catch (e) {
+    reportStorageError('saving leaderboard entry', e);
   }
-  localStorage.setItem('rpf_leaderboard', JSON.stringify(arr));
 }
 
 // utility: deduplicate leaderboard array by name (sum points, union badges)
@@ -677,36 +6899,8 @@ function deduplicateLeaderboard(list) {
   return Object.values(map).sort((a,b) => b.points - a.points);
 }
 
-// badges UI
-function renderBadges() {
-  const wrap = $('badgesList');
-  if (!wrap) return;
-  wrap.innerHTML = '';
-  BADGE_LIBRARY.forEach((badgeLabel) => {
-    const chip = document.createElement('div');
-    chip.className = 'badge';
-    chip.textContent = badgeLabel;
-    wrap.appendChild(chip);
-  });
-}
-
-// award demo badge and return bonus points
-function awardBadgesIfAny(lot) {
-  if (lot.includes('1001')) {
-    const badge = 'Farm Fresh';
-    if (currentUser) {
-      try {
-        const users = JSON.parse(localStorage.getItem('rpf_users') || '{}');
-        if (!users[currentUser.username]) users[currentUser.username] = { password: '', badges: [] };
-        users[currentUser.username].badges = Array.from(new Set([...(users[currentUser.username].badges || []), badge]));
-        localStorage.setItem('rpf_users', JSON.stringify(users));
-      } catch (e) { console.warn('Failed to persist badge', e); }
-    }
-    return 5;
-  }
-  return 0;
-}
-
+// hide the full app before first paint when opened from a QR link
+if (parseConsumerLink(window.location.search)) document.documentElement.classList.add('consumer-mode');
 window.addEventListener('load', init);
 
 // Optional CSS helper (add active timeline style)
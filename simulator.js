@@ -0,0 +1,298 @@
+// simulator.js
+// Virtual IoT gateway for the Rich Products traceability demo
+// - Several sensors per lot, each with a first-order thermal model (setpoint, compressor cycling, noise)
+// - Faults: door-open spikes, compressor failure, dropouts (manual buttons or random)
+// - Publishes readings on the 'rpf-iot-gateway' BroadcastChannel and, optionally, to a WebSocket relay
+// - Message format: see the "IoT gateway" section of app.js
+
+// ==== CONFIG ====
+const IOT_GATEWAY_CHANNEL = 'rpf-iot-gateway';
+const AMBIENT_C = 22;
+const SETPOINTS_C = { frozen: -18, chilled: 3 };
+// tau = minutes to close ~63% of the gap to the target temperature
+const SENSOR_POSITIONS = {
+  core: { label: 'core', tau: 45, doorTau: 120, noise: 0.03 },
+  rear: { label: 'rear', tau: 20, doorTau: 30, noise: 0.08 },
+  door: { label: 'door', tau: 12, doorTau: 4, noise: 0.2 }
+};
+const COMPRESSOR_CYCLE = { amplitudeC: 0.8, periodMinutes: 40 };
+const COMPRESSOR_FAILURE_TAU = 300;
+const FAULT_DURATIONS_MINUTES = { doorOpen: 4, dropout: 30 };
+const RANDOM_FAULT_RATES_PER_HOUR = { doorOpen: 1.5, dropout: 0.3 };
+// readings carry the sensor's simulated clock, so gaps and excursions keep their simulated length.
+// Faster than real time, a sensor starts this far in the past and replays up to now, then runs live
+// (a reading is never stamped in the future).
+const SIM_REPLAY_HOURS = 12;
+
+// ==== STATE ====
+const $ = (id) => document.getElementById(id);
+let sensors = []; // [{ id, lot, profile, position, temp, startedAt, simMinutes, phase, doorOpenUntil, dropoutUntil, compressorFailed, published }]
+let sensorSeq = 0;
+let tickTimer = null;
+let channel = null;
+let socket = null;
+
+function init() {
+  const addBtn = $('simAddBtn'); if (addBtn) addBtn.onclick = () => addSensor($('simPosition').value);
+  const addSetBtn = $('simAddSetBtn'); if (addSetBtn) addSetBtn.onclick = () => Object.keys(SENSOR_POSITIONS).forEach(addSensor);
+  const startBtn = $('simStartBtn'); if (startBtn) startBtn.onclick = startSimulation;
+  const stopBtn = $('simStopBtn'); if (stopBtn) stopBtn.onclick = stopSimulation;
+  const socketBtn = $('simSocketBtn'); if (socketBtn) socketBtn.onclick = toggleSocket;
+  const interval = $('simInterval'); if (interval) interval.addEventListener('change', () => { if (tickTimer) startSimulation(); });
+
+  if (typeof BroadcastChannel !== 'undefined') channel = new BroadcastChannel(IOT_GATEWAY_CHANNEL);
+  renderSensors();
+  renderSimStatus();
+}
+
+// ------------------ Sensor model ------------------
+
+function addSensor(position) {
+  const lot = ($('simLot') && $('simLot').value.trim()) || 'LOT-1001';
+  const profile = ($('simProfile') && $('simProfile').value) || 'frozen';
+  sensorSeq += 1;
+  sensors.push({
+    id: `S${String(sensorSeq).padStart(2, '0')}-${SENSOR_POSITIONS[position].label}`,
+    lot,
+    profile,
+    position,
+    temp: SETPOINTS_C[profile] + (Math.random() - 0.5),
+    startedAt: Date.now() - (readSpeed() > 1 ? SIM_REPLAY_HOURS * 3600000 : 0),
+    simMinutes: 0,
+    phase: Math.random() * COMPRESSOR_CYCLE.periodMinutes,
+    doorOpenUntil: 0,
+    dropoutUntil: 0,
+    compressorFailed: false,
+    published: 0
+  });
+  renderSensors();
+  renderSimStatus();
+}
+
+function removeSensor(id) {
+  sensors = sensors.filter(s => s.id !== id);
+  publish({ type: 'sensor-removed', sensorId: id });
+  renderSensors();
+  renderSimStatus();
+}
+
+// standard normal sample (Box–Muller)
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// 'dropout' | 'compressor-failure' | 'door-open' | ''
+function currentFault(sensor) {
+  if (sensor.simMinutes < sensor.dropoutUntil) return 'dropout';
+  if (sensor.compressorFailed) return 'compressor-failure';
+  if (sensor.simMinutes < sensor.doorOpenUntil) return 'door-open';
+  return '';
+}
+
+function maybeInjectRandomFaults(sensor, dtMinutes) {
+  const toggle = $('simRandomFaults');
+  if (!toggle || !toggle.checked) return;
+  const chance = (perHour) => Math.random() < perHour * dtMinutes / 60;
+  if (chance(RANDOM_FAULT_RATES_PER_HOUR.doorOpen)) triggerDoorOpen(sensor);
+  if (chance(RANDOM_FAULT_RATES_PER_HOUR.dropout)) triggerDropout(sensor);
+}
+
+// advance one sensor by dtMinutes of simulated time
+function stepSensor(sensor, dtMinutes) {
+  const pos = SENSOR_POSITIONS[sensor.position];
+  sensor.simMinutes += dtMinutes;
+  maybeInjectRandomFaults(sensor, dtMinutes);
+
+  const cycle = Math.sin(2 * Math.PI * (sensor.simMinutes + sensor.phase) / COMPRESSOR_CYCLE.periodMinutes);
+  let target = SETPOINTS_C[sensor.profile] + COMPRESSOR_CYCLE.amplitudeC * cycle;
+  let tau = pos.tau;
+  if (sensor.compressorFailed) { target = AMBIENT_C; tau = COMPRESSOR_FAILURE_TAU; }
+  if (sensor.simMinutes < sensor.doorOpenUntil) { target = AMBIENT_C; tau = pos.doorTau; }
+
+  sensor.temp += (target - sensor.temp) * (1 - Math.exp(-dtMinutes / tau));
+  sensor.temp += gaussian() * pos.noise * Math.sqrt(Math.max(dtMinutes, 0.01));
+}
+
+function triggerDoorOpen(sensor) {
+  sensor.doorOpenUntil = sensor.simMinutes + FAULT_DURATIONS_MINUTES.doorOpen;
+}
+
+function triggerDropout(sensor) {
+  sensor.dropoutUntil = sensor.simMinutes + FAULT_DURATIONS_MINUTES.dropout;
+}
+
+function toggleCompressorFailure(sensor) {
+  sensor.compressorFailed = !sensor.compressorFailed;
+}
+
+// ------------------ Gateway loop ------------------
+
+function readIntervalMs() {
+  const seconds = parseFloat(($('simInterval') && $('simInterval').value) || '5');
+  return Math.min(600, Math.max(1, Number.isFinite(seconds) ? seconds : 5)) * 1000;
+}
+
+function readSpeed() {
+  const speed = parseFloat(($('simSpeed') && $('simSpeed').value) || '60');
+  return Number.isFinite(speed) && speed > 0 ? speed : 60;
+}
+
+// simulated time of a sensor (ms)
+const sensorClock = (sensor) => sensor.startedAt + sensor.simMinutes * 60000;
+
+function startSimulation() {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = setInterval(tick, readIntervalMs());
+  tick();
+  renderSimStatus();
+}
+
+function stopSimulation() {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = null;
+  renderSimStatus();
+}
+
+function tick() {
+  const intervalMs = readIntervalMs();
+  const dtMinutes = (intervalMs / 1000) * readSpeed() / 60;
+  sensors.forEach((sensor) => {
+    // a sensor that has caught up with now advances in real time
+    stepSensor(sensor, Math.max(0, Math.min(dtMinutes, (Date.now() - sensorClock(sensor)) / 60000)));
+    const fault = currentFault(sensor);
+    if (fault === 'dropout') return; // the sensor is silent; the app notices the gap
+    publish({
+      type: 'reading',
+      sensorId: sensor.id,
+      lot: sensor.lot,
+      temp: Math.round(sensor.temp * 100) / 100,
+      ts: Math.round(sensorClock(sensor)),
+      intervalMs,
+      position: sensor.position,
+      fault
+    });
+    sensor.published += 1;
+  });
+  updateSensorReadouts();
+  renderSimStatus();
+}
+
+function publish(message) {
+  if (channel) channel.postMessage(message);
+  if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function toggleSocket() {
+  const status = $('simSocketStatus');
+  const btn = $('simSocketBtn');
+  if (socket) {
+    socket.close();
+    return;
+  }
+  const url = ($('simSocketUrl') && $('simSocketUrl').value.trim()) || '';
+  if (!/^wss?:\/\//.test(url)) {
+    if (status) status.textContent = 'Enter a ws:// or wss:// URL';
+    return;
+  }
+  try {
+    socket = new WebSocket(url);
+  } catch (e) {
+    console.warn('WebSocket relay failed', e);
+    if (status) status.textContent = `Could not connect: ${e.message}`;
+    socket = null;
+    return;
+  }
+  if (status) status.textContent = 'Connecting…';
+  socket.onopen = () => { if (status) status.textContent = `Connected to ${url}`; if (btn) btn.textContent = 'Disconnect'; };
+  socket.onerror = (e) => console.warn('WebSocket relay error', e);
+  socket.onclose = () => {
+    socket = null;
+    if (status) status.textContent = 'Not connected';
+    if (btn) btn.textContent = 'Connect';
+  };
+}
+
+// ------------------ UI ------------------
+
+function renderSimStatus() {
+  const el = $('simStatus');
+  if (el) {
+    const published = sensors.reduce((sum, s) => sum + s.published, 0);
+    el.textContent = `${tickTimer ? 'Running' : 'Stopped'} • ${sensors.length} sensor(s) • ${published} reading(s) published`;
+    el.dataset.tone = tickTimer ? 'success' : 'warning';
+  }
+  const startBtn = $('simStartBtn'); if (startBtn) startBtn.disabled = Boolean(tickTimer);
+  const stopBtn = $('simStopBtn'); if (stopBtn) stopBtn.disabled = !tickTimer;
+}
+
+function renderSensors() {
+  const wrap = $('simSensors');
+  if (!wrap) return;
+  wrap.innerHTML = '';
+  if (!sensors.length) {
+    const empty = document.createElement('p');
+    empty.className = 'card-hint';
+    empty.textContent = 'No sensors yet — add one above, then press Start.';
+    wrap.appendChild(empty);
+    return;
+  }
+  sensors.forEach((sensor) => {
+    const row = document.createElement('div');
+    row.className = 'sim-sensor';
+    row.id = `sim-${sensor.id}`;
+
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = sensor.id;
+    const meta = document.createElement('div');
+    meta.className = 'chart-help';
+    meta.dataset.role = 'meta';
+    info.append(name, meta);
+
+    const temp = document.createElement('div');
+    temp.className = 'sim-temp';
+    temp.dataset.role = 'temp';
+
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    const button = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn';
+      btn.textContent = label;
+      btn.onclick = () => { onClick(sensor); updateSensorReadouts(); };
+      actions.appendChild(btn);
+      return btn;
+    };
+    button(`Open door (${FAULT_DURATIONS_MINUTES.doorOpen} min)`, triggerDoorOpen);
+    button('Compressor failure on/off', toggleCompressorFailure);
+    button(`Dropout (${FAULT_DURATIONS_MINUTES.dropout} min)`, triggerDropout);
+    button('Clear faults', (s) => { s.doorOpenUntil = 0; s.dropoutUntil = 0; s.compressorFailed = false; });
+    button('Remove', (s) => removeSensor(s.id));
+
+    row.append(info, temp, actions);
+    wrap.appendChild(row);
+  });
+  updateSensorReadouts();
+}
+
+function updateSensorReadouts() {
+  sensors.forEach((sensor) => {
+    const row = $(`sim-${sensor.id}`);
+    if (!row) return;
+    const fault = currentFault(sensor);
+    row.dataset.fault = fault;
+    const temp = row.querySelector('[data-role="temp"]');
+    if (temp) temp.textContent = `${sensor.temp.toFixed(1)}°C`;
+    const meta = row.querySelector('[data-role="meta"]');
+    if (meta) {
+      const simHours = Math.floor(sensor.simMinutes / 60);
+      const simMinutes = Math.round(sensor.simMinutes % 60);
+      meta.textContent = `${sensor.lot} • ${sensor.profile} • ${sensor.position} • sim time ${simHours} h ${simMinutes} min${fault ? ` • ${fault}` : ''}`;
+    }
+  });
+}
+
+window.addEventListener('load', init);
@@ -0,0 +1,79 @@
+// sw.js — offline app shell for the Rich Products traceability demo
+// - Precaches the page, script, styles and CDN libraries on install
+// - Navigations: network first; offline, the app (any ?query) gets the cached index.html and other
+//   shell pages (simulator.html) their own cached copy
+// - Shell assets: served from cache, refreshed in the background
+// - Everything else (wallet RPC, REST API) passes through untouched
+// Cached lookups live in 'rpf-lookups-v1', written by app.js; activation keeps that cache.
+
+const SHELL_CACHE = 'rpf-shell-v2';
+const LOOKUP_CACHE = 'rpf-lookups-v1';
+const SHELL_ASSETS = ['./', './index.html', './app.js', './styles.css', './manifest.webmanifest', './icon.svg', './simulator.html', './simulator.js'];
+// build output may not be deployed alongside the page, so it is cached best effort like the CDN files
+const OPTIONAL_ASSETS = ['./artifacts/FoodTraceabilityFull.json'];
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/web3@1.10.0/dist/web3.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js',
+  'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.min.js',
+  'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_ASSETS);
+    // CDN files are best effort: the app still works offline in demo mode without them
+    await Promise.all([...CDN_ASSETS, ...OPTIONAL_ASSETS].map(url => cache.add(url).catch(e => console.warn('SW: could not cache', url, e))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, LOOKUP_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const APP_PAGES = ['./', './index.html'].map(path => new URL(path, self.location).pathname);
+
+const isShellRequest = (url) =>
+  CDN_ASSETS.includes(url.href) ||
+  (url.origin === self.location.origin && [...SHELL_ASSETS, ...OPTIONAL_ASSETS].some(path => new URL(path, self.location).pathname === url.pathname));
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      const url = new URL(request.url);
+      const appPage = url.origin === self.location.origin && APP_PAGES.includes(url.pathname);
+      const key = appPage ? './index.html' : request;
+      try {
+        const fresh = await fetch(request);
+        if (fresh.ok && (appPage || isShellRequest(url))) (await caches.open(SHELL_CACHE)).put(key, fresh.clone());
+        return fresh;
+      } catch (e) {
+        return (await caches.match(key, { ignoreSearch: true })) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  if (!isShellRequest(new URL(request.url))) return;
+  event.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = fetch(request)
+      .then((resp) => { if (resp.ok) cache.put(request, resp.clone()); return resp; })
+      .catch(() => null);
+    if (cached) {
+      event.waitUntil(refresh);
+      return cached;
+    }
+    return (await refresh) || Response.error();
+  })());
+});